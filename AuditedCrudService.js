@@ -1,6 +1,37 @@
 const GenericCrudService = require("./GenericCrudService"),
   assert = require("assert"),
-  { ObjectId } = require("mongodb");
+  { ObjectId } = require("mongodb"),
+  {
+    jsonPatch,
+    changedPaths,
+    applyPatch,
+    applyChanges,
+    isEqual
+  } = require("./utils/diff"),
+  { getPath } = require("./utils/cursor"),
+  { compileRules, redact } = require("./utils/redact"),
+  { verifyChain } = require("./utils/auditChain"),
+  { ensureCollection } = require("./utils/transaction"),
+  fs = require("fs").promises,
+  zlib = require("zlib"),
+  { promisify } = require("util"),
+  { AsyncLocalStorage } = require("async_hooks"),
+  AuditSink = require("./sinks/AuditSink"),
+  MongoAuditSink = require("./sinks/MongoAuditSink"),
+  NotFoundError = require("./exceptions/NotFoundError");
+
+const gzip = promisify(zlib.gzip);
+
+/* Converts ObjectIds to strings and dates to ISO strings */
+function toPlainJSON(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/* Holds the service that is running an audited read, so its nested reads are not audited */
+const readStorage = new AsyncLocalStorage();
+
+/* Holds the context set with runWithContext: the acting user and metadata of the request */
+const auditContext = new AsyncLocalStorage();
 
 /**
  * A subclass of the GenericCrudService that stores audit registers
@@ -18,12 +49,152 @@ class AuditedCrudService extends GenericCrudService {
    * @param {String} databaseName: The database name
    * @param {String} collectionName: The collection name
    * @param {String} [auditCollectionName='audits']: The name of the collection where the audits will be stored
+   * @param {Object} [options={}]: Same options as the GenericCrudService, and:
+   * @param {String} [options.auditMode="snapshot"]: What the update audits store: "snapshot" stores the
+   * old and new documents, "diff" only stores the changes and "both" stores the documents and the changes
+   * @param {String} [options.diffFormat="jsonPatch"]: Format of the changes: "jsonPatch" (RFC 6902) or
+   * "paths" (a list of changed paths with their old and new values)
+   * @param {Object} [options.redact={}]: Redaction rules applied to the documents and users stored in
+   * the audits. Keys are dot notation paths or glob patterns, and values are "drop", "mask" or "hash"
+   * @param {String} [options.redactionKey]: The HMAC key used by the "hash" redaction rules
+   * @param {AuditSink} [options.auditSink]: Where the audits are stored. By default, a MongoAuditSink
+   * that stores them in the audit collection of the same database
+   * @param {String} [options.auditChain]: Hash chains the audits stored by the default audit sink, so
+   * they are tamper-evident: "collection" keeps a chain for every collection and "global" a single
+   * chain for all the collections that share the audit collection
+   * @param {Object} [options.retention]: Max age in milliseconds of the audits of every operation, for
+   * example { READ: 86400000 }. The "default" key applies to the operations that are not listed. It
+   * cannot be used with auditChain
+   * @param {boolean} [options.retentionTTL=false]: Deletes the expired audits with a TTL index
+   * managed by the service. Every audit stores the date it expires at in its expireAt field. The audit
+   * sink must store the audits in a MongoDB collection
+   * @param {boolean|Object} [options.auditReads=false]: Stores a READ audit for get, getById, list,
+   * listPage, paginate, listDeleted, listSubdocuments and getSubdocument. It can be an object with
+   * these options:
+   * @param {Number} [options.auditReads.sampleRate=1]: Fraction of the reads that are audited, between 0 and 1
+   * @param {Number} [options.auditReads.batchSize=1]: Number of READ audits stored at once. When it
+   * is greater than 1, the audits are buffered and stored in the background
+   * @param {Number} [options.auditReads.flushInterval=1000]: Max time in milliseconds a buffered READ
+   * audit waits before being stored
    */
-  constructor(client, databaseName, collectionName, auditCollectionName) {
-    super(client, databaseName, collectionName);
+  constructor(
+    client,
+    databaseName,
+    collectionName,
+    auditCollectionName,
+    options = {}
+  ) {
+    super(client, databaseName, collectionName, options);
     this.auditCollectionName =
       auditCollectionName || this.DEFAULT_AUDIT_COLLECTION_NAME;
     this.auditCollection = null;
+    this.auditSink =
+      options.auditSink ||
+      new MongoAuditSink(client, databaseName, this.auditCollectionName, {
+        chain: options.auditChain
+      });
+    assert(
+      this.auditSink instanceof AuditSink,
+      "The auditSink must be an instance of AuditSink"
+    );
+    this.auditChain = options.auditChain || this.auditSink.chain || null;
+    this.retention = options.retention || null;
+    this.retentionTTL = Boolean(options.retentionTTL);
+    assert(
+      !this.retention ||
+        (Object.keys(this.retention).length > 0 &&
+          Object.keys(this.retention).every(
+            operation =>
+              Number.isFinite(this.retention[operation]) &&
+              this.retention[operation] > 0
+          )),
+      "The retention must map the operations to their max age in milliseconds"
+    );
+    assert(
+      !this.retentionTTL || this.retention,
+      "A retention is required to expire the audits with a TTL index"
+    );
+    assert(
+      !this.retentionTTL || this.auditSink.isQueryable(),
+      "The retentionTTL option requires an audit sink that stores the audits in a MongoDB collection"
+    );
+    /* Expiring the audits of some operations removes links from the middle of the chain */
+    assert(
+      !this.auditChain || !this.retention,
+      "The retention cannot be used with hash chained audits"
+    );
+    this.readAuditing = options.auditReads
+      ? Object.assign(
+          { sampleRate: 1, batchSize: 1, flushInterval: 1000 },
+          options.auditReads === true ? {} : options.auditReads
+        )
+      : null;
+    assert(
+      !this.readAuditing ||
+        (this.readAuditing.sampleRate >= 0 &&
+          this.readAuditing.sampleRate <= 1),
+      "The sampleRate must be between 0 and 1"
+    );
+    assert(
+      !this.readAuditing ||
+        (Number.isInteger(this.readAuditing.batchSize) &&
+          this.readAuditing.batchSize > 0),
+      "The batchSize must be a positive integer"
+    );
+    this._readAudits = [];
+    this._readAuditsTimer = null;
+    this.redactionKey = options.redactionKey;
+    this.redactionRules = compileRules(options.redact, this.redactionKey);
+    this.auditMode = options.auditMode || "snapshot";
+    this.diffFormat = options.diffFormat || "jsonPatch";
+    assert(
+      ["snapshot", "diff", "both"].includes(this.auditMode),
+      "The auditMode must be 'snapshot', 'diff' or 'both'"
+    );
+    assert(
+      ["jsonPatch", "paths"].includes(this.diffFormat),
+      "The diffFormat must be 'jsonPatch' or 'paths'"
+    );
+  }
+
+  /**
+   * Runs a function in an audit context. The audits stored while it runs,
+   * including the ones of asynchronous calls, pick up the user of the context
+   * when no user is passed to the write methods, and store the rest of the
+   * context in their context field. Nested contexts extend the outer one.
+   *
+   * @param {Object} context:
+   * @param {*} [context.user]: The acting user
+   * @param {String} [context.requestId]: The id of the request
+   * @param {String} [context.ip]: The ip of the client
+   * @param {Function} fn: The function to be run. Its result is returned
+   */
+  static runWithContext(context, fn) {
+    assert(typeof fn === "function", "The 'fn' parameter must be a function");
+    return auditContext.run(
+      Object.assign({}, auditContext.getStore(), context),
+      fn
+    );
+  }
+
+  /**
+   * Runs a function without storing the READ audits of the reads of this
+   * service, like the reads a caller needs before a write
+   *
+   * @param {Function} fn: The function to be run. Its result is returned
+   */
+  runWithoutReadAudits(fn) {
+    assert(typeof fn === "function", "The 'fn' parameter must be a function");
+    return readStorage.run(this, fn);
+  }
+
+  /**
+   * Returns the current audit context, or undefined outside runWithContext
+   *
+   * @returns {Object}
+   */
+  static getContext() {
+    return auditContext.getStore();
   }
 
   get CREATE() {
@@ -38,6 +209,42 @@ class AuditedCrudService extends GenericCrudService {
     return "REMOVE";
   }
 
+  get SOFT_DELETE() {
+    return "SOFT_DELETE";
+  }
+
+  get RESTORE() {
+    return "RESTORE";
+  }
+
+  get SUBDOCUMENT_ADD() {
+    return "SUBDOCUMENT_ADD";
+  }
+
+  get SUBDOCUMENT_UPDATE() {
+    return "SUBDOCUMENT_UPDATE";
+  }
+
+  get SUBDOCUMENT_REMOVE() {
+    return "SUBDOCUMENT_REMOVE";
+  }
+
+  get REVERT() {
+    return "REVERT";
+  }
+
+  get READ() {
+    return "READ";
+  }
+
+  get REPORT_FIELDS() {
+    return ["user", "operation", "collection"];
+  }
+
+  get REPORT_INTERVALS() {
+    return ["hour", "day", "week"];
+  }
+
   get ANONYMOUS() {
     return "Anonymous";
   }
@@ -46,34 +253,447 @@ class AuditedCrudService extends GenericCrudService {
     return "audits";
   }
 
-  verifyConnection() {
-    super.verifyConnection();
+  get HOOKABLE_METHODS() {
+    return super.HOOKABLE_METHODS.concat([
+      "getHistory",
+      "listAudits",
+      "getLastChange",
+      "getAsOf",
+      "revertTo",
+      "undelete",
+      "verifyAuditChain",
+      "archiveAudits",
+      "auditReport",
+      "mostChangedDocuments",
+      "ensureAuditIndexes",
+      "flushReadAudits"
+    ]);
+  }
+
+  /**
+   * Verifies the connections of the service and of the audit sink, and sets
+   * the auditCollection attribute. Only the methods that query the audits call
+   * it, so the other ones keep working when the audit sink is down
+   */
+  verifyAuditConnection() {
+    this.verifyConnection();
     if (!this.auditCollection) {
-      this.auditCollection = this.database.collection(this.auditCollectionName);
+      this.auditCollection = this.auditSink.getCollection();
     }
+    assert(
+      this.auditCollection,
+      "The audit sink does not store the audits in a MongoDB collection"
+    );
   }
 
-  async _generate_audit(data) {
-    return await this.auditCollection.insertOne(data);
+  async _generate_audit(data, options = {}) {
+    return await this._generate_audits([data], options);
+  }
+
+  async _generate_audits(audits, options = {}) {
+    if (this.retentionTTL) {
+      await this.ensureAuditIndexes();
+    }
+    return await this.auditSink.send(audits, options);
+  }
+
+  /**
+   * Builds an audit register. Creations always store the new document and
+   * hard deletes the old one. The other operations store the documents, the
+   * changes between them or both, depending on the audit mode.
+   *
+   * The redaction rules are applied to the documents before the changes are
+   * computed, so the changes never hold a redacted value.
+   *
+   * @param {String} operation: The audited operation
+   * @param {Object} oldDoc: The document before the operation
+   * @param {Object} newDoc: The document after the operation
+   * @param {*} user
+   * @param {Date} [timestamp=new Date()]
+   * @param {String} [path]: If the documents are subdocuments, the path of their array field
+   */
+  _audit(operation, oldDoc, newDoc, user, timestamp = new Date(), path) {
+    const document = newDoc || oldDoc,
+      audit = {
+        collection: this.collection.collectionName,
+        operation,
+        documentId: document && document._id !== undefined ? document._id : null
+      };
+    oldDoc = oldDoc && this._redact(oldDoc, path);
+    newDoc = newDoc && this._redact(newDoc, path);
+    if (!newDoc) {
+      audit.old = oldDoc;
+    } else if (!oldDoc) {
+      audit.new = newDoc;
+    } else {
+      if (this.auditMode !== "diff") {
+        audit.old = oldDoc;
+        audit.new = newDoc;
+      }
+      if (this.auditMode !== "snapshot") {
+        audit.diff =
+          this.diffFormat === "paths"
+            ? changedPaths(oldDoc, newDoc)
+            : jsonPatch(oldDoc, newDoc);
+      }
+    }
+    return this._stamp(audit, user, timestamp);
+  }
+
+  /**
+   * Sets the user, context, timestamp and expiration date of an audit
+   *
+   * @param {Object} audit: The audit, with its operation
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   * @param {Date} timestamp
+   */
+  _stamp(audit, user, timestamp) {
+    const { user: contextUser, ...metadata } =
+      AuditedCrudService.getContext() || {};
+    audit.user = this._redact(
+      [user, contextUser, this.ANONYMOUS].find(value => value !== undefined)
+    );
+    if (Object.keys(metadata).length > 0) {
+      audit.context = this._redact(metadata);
+    }
+    audit.timestamp = timestamp;
+    const maxAge = this.retentionTTL
+      ? this._maxAge(audit.operation)
+      : undefined;
+    if (maxAge !== undefined) {
+      audit.expireAt = new Date(timestamp.getTime() + maxAge);
+    }
+    return audit;
+  }
+
+  /**
+   * Returns the max age in milliseconds of the audits of an operation, or
+   * undefined if they never expire
+   *
+   * @param {String} operation: The audited operation
+   * @returns {Number}
+   */
+  _maxAge(operation) {
+    if (!this.retention) {
+      return undefined;
+    }
+    return this.retention.hasOwnProperty(operation)
+      ? this.retention[operation]
+      : this.retention.default;
+  }
+
+  /**
+   * Applies the redaction rules to a copy of a document, subdocument or user
+   *
+   * @param {*} value: The value to be redacted
+   * @param {String} [path]: If the value is a subdocument, the path of its array field
+   */
+  _redact(value, path) {
+    return redact(value, this.redactionRules, {
+      key: this.redactionKey,
+      path
+    });
+  }
+
+  /**
+   * Builds the audit register of a subdocument operation. The old and new
+   * values (or their changes) are the ones of the subdocument, not the ones of
+   * the whole document.
+   *
+   * @param {String} operation: The audited operation
+   * @param {ObjectId} _id: The MongoDB Id of the document
+   * @param {String} embeddedField: The name of the subdocument array field
+   * @param {Object} oldSubdocument: The subdocument before the operation
+   * @param {Object} newSubdocument: The subdocument after the operation
+   * @param {*} user
+   * @param {Date} [timestamp=new Date()]
+   */
+  _subdocumentAudit(
+    operation,
+    _id,
+    embeddedField,
+    oldSubdocument,
+    newSubdocument,
+    user,
+    timestamp = new Date()
+  ) {
+    const audit = this._audit(
+      operation,
+      oldSubdocument,
+      newSubdocument,
+      user,
+      timestamp,
+      embeddedField
+    );
+    audit.subdocumentId = audit.documentId;
+    audit.documentId = _id;
+    audit.embeddedField = embeddedField;
+    return audit;
+  }
+
+  /**
+   * Creates the collection of the service and the one of the audits, once.
+   * MongoDB 4.0 and 4.2 cannot create collections inside transactions, so they
+   * are created before the first one
+   */
+  async _ensureCollections() {
+    if (!this._collections) {
+      this._collections = Promise.all([
+        ensureCollection(this.database, this.collectionName),
+        this.auditSink.ensureCollection()
+      ]).catch(error => {
+        this._collections = null;
+        throw error;
+      });
+    }
+    return await this._collections;
+  }
+
+  /**
+   * Runs a write operation and its audits in a single transaction when the
+   * deployment supports transactions. The collections are created before the
+   * first transaction. If a session is passed in the options, the caller is in
+   * charge of the transaction and the session is used as is.
+   *
+   * @param {Object} options: The options of the write operation
+   * @param {Function} fn: async (options) => result. Receives the options with the session
+   */
+  async _runAudited(options, fn) {
+    if (options.session || !(await this.supportsTransactions())) {
+      return await fn(options);
+    }
+    await this._ensureCollections();
+    /* The sinks that cannot join the transaction get the audits after the commit */
+    const afterCommit = [],
+      result = await this.withTransaction(session => {
+        afterCommit.length = 0;
+        return fn(Object.assign({}, options, { session, afterCommit }));
+      });
+    for (const callback of afterCommit) {
+      await callback();
+    }
+    return result;
+  }
+
+  /**
+   * Runs a read and stores its READ audit when read auditing is enabled. The
+   * reads that run inside another read of the service, like the get of
+   * getSubdocument, are not audited again.
+   *
+   * @param {Object} fields: The fields of the audit known before the read: method, query and projection
+   * @param {Function} fn: async () => result. Performs the read
+   * @param {Function} describe: (result) => Object. Returns the fields of the audit that depend
+   * on the result, like the _id of the returned documents
+   */
+  async _auditRead(fields, fn, describe) {
+    if (!this.readAuditing || readStorage.getStore() === this) {
+      return await fn();
+    }
+    /* MongoDB does not store the keys of queries and projections ($ operators and dots) */
+    const query = JSON.stringify(this._redact(fields.query || {})),
+      projection = JSON.stringify(fields.projection || {}),
+      result = await readStorage.run(this, fn);
+    if (Math.random() < this.readAuditing.sampleRate) {
+      const audit = Object.assign(
+        {
+          collection: this.collection.collectionName,
+          operation: this.READ,
+          method: fields.method,
+          query,
+          projection
+        },
+        describe(result)
+      );
+      await this._queueReadAudit(this._stamp(audit, undefined, new Date()));
+    }
+    return result;
+  }
+
+  async _queueReadAudit(audit) {
+    this._readAudits.push(audit);
+    if (this._readAudits.length >= this.readAuditing.batchSize) {
+      return await this.flushReadAudits();
+    }
+    this._scheduleReadAuditsFlush();
+  }
+
+  /**
+   * Stores the buffered READ audits once the flushInterval passes. Nobody
+   * awaits this flush, so its errors are reported to the logger of the sink
+   */
+  _scheduleReadAuditsFlush() {
+    if (!this._readAuditsTimer) {
+      this._readAuditsTimer = setTimeout(
+        () =>
+          this.flushReadAudits().catch(error =>
+            this.auditSink.logger.error(
+              `${
+                this.auditSink.constructor.name
+              } could not store the READ audits`,
+              error
+            )
+          ),
+        this.readAuditing.flushInterval
+      );
+      this._readAuditsTimer.unref();
+    }
+  }
+
+  /**
+   * Stores the buffered READ audits. Call it before exiting the process when
+   * the READ audits are batched. The errors follow the failure policy of the
+   * sink: with the "fail" policy the audits stay buffered for the next flush
+   * and the error is thrown.
+   */
+  async flushReadAudits() {
+    clearTimeout(this._readAuditsTimer);
+    this._readAuditsTimer = null;
+    const audits = this._readAudits.splice(0);
+    if (audits.length > 0) {
+      try {
+        await this._generate_audits(audits);
+      } catch (error) {
+        this._readAudits.unshift(...audits);
+        this._scheduleReadAuditsFlush();
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Returns the document that satisfies a query. See GenericCrudService.get
+   */
+  async get(query, projection = {}, options = {}) {
+    return await this._auditRead(
+      { method: "get", query, projection },
+      () => super.get(query, projection, options),
+      document => ({ documentId: document ? document._id : null })
+    );
+  }
+
+  /**
+   * Returns the document with the given _id. See GenericCrudService.getById
+   */
+  async getById(_id, projection = {}, options = {}) {
+    return await this._auditRead(
+      { method: "getById", query: { _id }, projection },
+      () => super.getById(_id, projection, options),
+      document => ({ documentId: document ? document._id : null })
+    );
+  }
+
+  /**
+   * Returns the documents that satisfy a query. See GenericCrudService.list.
+   * The READ audit stores the _id of the returned documents.
+   */
+  async list(query, limit, skip, sort, projection, options = {}) {
+    return await this._auditRead(
+      { method: "list", query, projection },
+      () => super.list(query, limit, skip, sort, projection, options),
+      documents => ({ documentIds: documents.map(document => document._id) })
+    );
+  }
+
+  /**
+   * Returns a page of the documents that satisfy a query. See
+   * GenericCrudService.listPage. The READ audit stores the _id of the
+   * documents of the page.
+   */
+  async listPage(query, options = {}) {
+    return await this._auditRead(
+      { method: "listPage", query, projection: options.projection },
+      () => super.listPage(query, options),
+      page => ({ documentIds: page.items.map(document => document._id) })
+    );
+  }
+
+  /**
+   * Returns a page of the documents that satisfy a query and their total
+   * count. See GenericCrudService.paginate. The READ audit stores the _id of
+   * the documents of the page.
+   */
+  async paginate(query, options = {}) {
+    return await this._auditRead(
+      { method: "paginate", query, projection: options.projection },
+      () => super.paginate(query, options),
+      page => ({ documentIds: page.items.map(document => document._id) })
+    );
+  }
+
+  /**
+   * Returns the soft deleted documents that satisfy a query. See
+   * GenericCrudService.listDeleted. The READ audit stores the _id of the
+   * returned documents.
+   */
+  async listDeleted(query, limit, skip, sort, projection, options = {}) {
+    return await this._auditRead(
+      { method: "listDeleted", query, projection },
+      () => super.listDeleted(query, limit, skip, sort, projection, options),
+      documents => ({ documentIds: documents.map(document => document._id) })
+    );
+  }
+
+  /**
+   * Returns the subdocuments of a document. See GenericCrudService.listSubdocuments
+   */
+  async listSubdocuments(
+    _id,
+    embeddedField,
+    as = "item",
+    query = {},
+    options = {}
+  ) {
+    return await this._auditRead(
+      { method: "listSubdocuments", query },
+      () => super.listSubdocuments(_id, embeddedField, as, query, options),
+      subdocuments => ({
+        documentId: this.generateObjectId(_id),
+        embeddedField,
+        subdocumentIds: subdocuments.map(subdocument => subdocument._id)
+      })
+    );
+  }
+
+  /**
+   * Returns a subdocument of a document. See GenericCrudService.getSubdocument
+   */
+  async getSubdocument(
+    _id,
+    embeddedField,
+    query,
+    projection = {},
+    options = {}
+  ) {
+    return await this._auditRead(
+      { method: "getSubdocument", query, projection },
+      () =>
+        super.getSubdocument(_id, embeddedField, query, projection, options),
+      subdocument => ({
+        documentId: this.generateObjectId(_id),
+        embeddedField,
+        subdocumentId: subdocument ? subdocument._id : null
+      })
+    );
   }
 
   /**
    * Creates a document and returns it
    *
    * @param {Object} document: JSON document to be stored in MongoDB
-   * @param {*} [user=ANONYMOUS]
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async create(document, user = this.ANONYMOUS) {
+  async create(document, user, options = {}) {
     await this.verifyConnection();
-    const object = await super.create(document);
-    await this._generate_audit({
-      collection: this.collection.collectionName,
-      operation: this.CREATE,
-      new: object,
-      user: user,
-      timestamp: new Date()
+    return await this._runAudited(options, async options => {
+      const object = await super.create(document, options);
+      await this._generate_audit(
+        this._audit(this.CREATE, null, object, user),
+        options
+      );
+      return object;
     });
-    return object;
   }
 
   /**
@@ -82,22 +702,25 @@ class AuditedCrudService extends GenericCrudService {
    * @param {String} _id: The MongoDB Id of the object to be updated
    * @param {Object} data: The data to be updated
    */
-  async patch(query, data, options = {}, user = this.ANONYMOUS) {
+  async patch(query, data, options = {}, user) {
     await this.verifyConnection();
-    const oldDoc = await this.collection.findOne(query);
-    if (!oldDoc) {
-      return;
-    }
-    const newDoc = await super.patch(query, data, options);
-    await this._generate_audit({
-      collection: this.collection.collectionName,
-      operation: this.UPDATE,
-      old: oldDoc,
-      new: newDoc,
-      user,
-      timestamp: new Date()
+    return await this._runAudited(options, async options => {
+      const oldDoc = await this.collection.findOne(
+        this._excludeDeleted(query),
+        {
+          session: options.session
+        }
+      );
+      if (!oldDoc) {
+        return this._found(null, query, options);
+      }
+      const newDoc = await super.patch(query, data, options);
+      await this._generate_audit(
+        this._audit(this.UPDATE, oldDoc, newDoc, user),
+        options
+      );
+      return newDoc;
     });
-    return newDoc;
   }
 
   /**
@@ -111,7 +734,7 @@ class AuditedCrudService extends GenericCrudService {
    * @param {boolean} [options.returnOriginal=false]:
    * @returns {Object}
    */
-  async patchById(_id, data, options = {}, user = this.ANONYMOUS) {
+  async patchById(_id, data, options = {}, user) {
     this.verifyConnection();
     _id = this.generateObjectId(_id);
     return await this.patch({ _id }, data, options, user);
@@ -123,22 +746,25 @@ class AuditedCrudService extends GenericCrudService {
    * @param {String} _id: The MongoDB Id of the object to be updated
    * @param {Object} data: The data to be updated
    */
-  async update(query, data, options = {}, user = this.ANONYMOUS) {
+  async update(query, data, options = {}, user) {
     await this.verifyConnection();
-    const oldDoc = await this.collection.findOne(query);
-    if (!oldDoc) {
-      return;
-    }
-    const newDoc = await super.update(query, data, options);
-    await this._generate_audit({
-      collection: this.collection.collectionName,
-      operation: this.UPDATE,
-      old: oldDoc,
-      new: newDoc,
-      user,
-      timestamp: new Date()
+    return await this._runAudited(options, async options => {
+      const oldDoc = await this.collection.findOne(
+        this._excludeDeleted(query),
+        {
+          session: options.session
+        }
+      );
+      if (!oldDoc) {
+        return this._found(null, query, options);
+      }
+      const newDoc = await super.update(query, data, options);
+      await this._generate_audit(
+        this._audit(this.UPDATE, oldDoc, newDoc, user),
+        options
+      );
+      return newDoc;
     });
-    return newDoc;
   }
 
   /**
@@ -151,7 +777,7 @@ class AuditedCrudService extends GenericCrudService {
    * @param {Object} [options={}]:
    * @param {boolean} [options.returnOriginal=false]:
    */
-  async updateById(_id, update, options = {}, user = this.ANONYMOUS) {
+  async updateById(_id, update, options = {}, user) {
     this.verifyConnection();
     _id = this.generateObjectId(_id);
     return await this.update(
@@ -168,21 +794,40 @@ class AuditedCrudService extends GenericCrudService {
   }
 
   /**
-   * Soft deletes a document
+   * Deletes a document. If soft delete is enabled, a SOFT_DELETE audit is stored
+   * instead of a REMOVE audit
    *
-   * @param {Object} document: JSON document to be stored in MongoDB
+   * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
    */
-  async remove(query, options = {}, user = this.ANONYMOUS) {
+  async remove(query, options = {}, user) {
     await this.verifyConnection();
-    const object = await super.remove(query, options);
-    await this._generate_audit({
-      collection: this.collection.collectionName,
-      operation: this.REMOVE,
-      old: object,
-      user,
-      timestamp: new Date()
+    return await this._runAudited(options, async options => {
+      if (this.softDelete) {
+        const oldDoc = await this.collection.findOne(
+          this._excludeDeleted(query),
+          { session: options.session }
+        );
+        if (!oldDoc) {
+          return this._found(null, query, options);
+        }
+        const newDoc = await super.remove(query, options);
+        await this._generate_audit(
+          this._audit(this.SOFT_DELETE, oldDoc, newDoc, user),
+          options
+        );
+        return newDoc;
+      }
+      const object = await super.remove(query, options);
+      if (object) {
+        await this._generate_audit(
+          this._audit(this.REMOVE, object, null, user),
+          options
+        );
+      }
+      return object;
     });
-    return object;
   }
 
   /**
@@ -191,38 +836,1028 @@ class AuditedCrudService extends GenericCrudService {
    * @param {ObjectId|String} _id: The MongoDB Id of the requested document
    * @param {Object} [options={}]:
    */
-  async removeById(_id, options = {}, user = this.ANONYMOUS) {
+  async removeById(_id, options = {}, user) {
     this.verifyConnection();
     _id = this.generateObjectId(_id);
     return await this.remove({ _id }, options, user);
   }
 
+  /**
+   * Restores a soft deleted document and stores a RESTORE audit
+   *
+   * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   */
+  async restore(query, options = {}, user) {
+    await this.verifyConnection();
+    assert(this.softDelete, "Soft delete is not enabled for this service");
+    return await this._runAudited(options, async options => {
+      const oldDoc = await this.collection.findOne(this._onlyDeleted(query), {
+        session: options.session
+      });
+      if (!oldDoc) {
+        return this._found(null, query, options);
+      }
+      const newDoc = await super.restore(query, options);
+      await this._generate_audit(
+        this._audit(this.RESTORE, oldDoc, newDoc, user),
+        options
+      );
+      return newDoc;
+    });
+  }
+
+  /**
+   * Alias for restore method with an _id lookup
+   *
+   * @param {ObjectId|String} _id: The MongoDB Id of the requested document
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   */
+  async restoreById(_id, options = {}, user) {
+    this.verifyConnection();
+    _id = this.generateObjectId(_id);
+    return await this.restore({ _id }, options, user);
+  }
+
+  /**
+   * Permanently deletes the soft deleted documents that satisfy a query.
+   * A REMOVE audit is stored for every purged document
+   *
+   * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   */
+  async purge(query, options = {}, user) {
+    await this.verifyConnection();
+    assert(this.softDelete, "Soft delete is not enabled for this service");
+    return await this._runAudited(options, async options => {
+      const objects = await this.collection
+        .find(this._onlyDeleted(query), { session: options.session })
+        .toArray();
+      if (objects.length === 0) {
+        return 0;
+      }
+      const count = await super.purge(
+        { _id: { $in: objects.map(object => object._id) } },
+        options
+      );
+      const timestamp = new Date();
+      await this._generate_audits(
+        objects.map(object =>
+          this._audit(this.REMOVE, object, null, user, timestamp)
+        ),
+        options
+      );
+      return count;
+    });
+  }
+
+  /**
+   * Executes many create, patch, update and remove operations (see
+   * GenericCrudService.bulkWrite) and stores an audit for every affected
+   * document. The audits are inserted in bulk.
+   *
+   * The operations run one at a time, in order. Before running each patch,
+   * update and remove operation, its query is resolved to the _id of the
+   * document it affects, so it sees the changes of the previous operations and
+   * each audit points to the right document. The document is read again after
+   * each operation, so the audits of a document affected by many operations
+   * of the same bulk hold the state each one left. Use a session with a
+   * transaction to make the bulk atomic.
+   *
+   * @param {Array<Object>} operations: The operations to be executed
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.ordered=true]: If true, the execution stops at the first error
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   */
+  async bulkWrite(operations, options = {}, user) {
+    await this.verifyConnection();
+    assert(Array.isArray(operations), "The operations must be an array");
+    return await this._runAudited(options, async options => {
+      const ordered = options.ordered !== false,
+        response = {
+          results: [],
+          errors: [],
+          insertedCount: 0,
+          matchedCount: 0,
+          modifiedCount: 0,
+          deletedCount: 0
+        },
+        oldDocs = [],
+        newDocs = [],
+        resolvedOperations = [];
+      for (let index = 0; index < operations.length; index++) {
+        const operation = operations[index],
+          [type] = Object.keys(operation),
+          payload = operation[type];
+        if (ordered && response.errors.length > 0) {
+          response.results.push({ index, operation: type, status: "skipped" });
+          oldDocs.push(null);
+          newDocs.push(null);
+          resolvedOperations.push(operation);
+          continue;
+        }
+        let oldDoc = null;
+        if (type !== "create" && payload && payload.query) {
+          oldDoc = await this.collection.findOne(
+            this._excludeDeleted(payload.query),
+            { session: options.session }
+          );
+        }
+        const resolvedOperation = oldDoc
+            ? {
+                [type]: Object.assign({}, payload, {
+                  query: { _id: oldDoc._id }
+                })
+              }
+            : operation,
+          single = await super.bulkWrite([resolvedOperation], options);
+        oldDocs.push(oldDoc);
+        newDocs.push(
+          oldDoc &&
+            single.results[0].status === "ok" &&
+            (type !== "remove" || this.softDelete)
+            ? await this.collection.findOne(
+                { _id: oldDoc._id },
+                { session: options.session }
+              )
+            : null
+        );
+        resolvedOperations.push(resolvedOperation);
+        response.results.push(Object.assign(single.results[0], { index }));
+        for (const error of single.errors) {
+          response.errors.push(Object.assign(error, { index }));
+        }
+        for (const count of [
+          "insertedCount",
+          "matchedCount",
+          "modifiedCount",
+          "deletedCount"
+        ]) {
+          response[count] += single[count];
+        }
+      }
+
+      const succeeded = response.results.filter(
+          result => result.status === "ok"
+        ),
+        audits = [],
+        timestamp = new Date();
+      for (const result of succeeded) {
+        const oldDoc = oldDocs[result.index];
+        if (result.operation === "create") {
+          audits.push(
+            this._audit(
+              this.CREATE,
+              null,
+              resolvedOperations[result.index].create,
+              user,
+              timestamp
+            )
+          );
+        } else if (!oldDoc) {
+          /* The operation did not match any document */
+          continue;
+        } else if (result.operation === "remove" && !this.softDelete) {
+          audits.push(this._audit(this.REMOVE, oldDoc, null, user, timestamp));
+        } else {
+          audits.push(
+            this._audit(
+              result.operation === "remove" ? this.SOFT_DELETE : this.UPDATE,
+              oldDoc,
+              newDocs[result.index],
+              user,
+              timestamp
+            )
+          );
+        }
+      }
+      if (audits.length > 0) {
+        await this._generate_audits(audits, options);
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Creates many documents, one at a time. See bulkWrite.
+   *
+   * @param {Array<Object>} documents: JSON documents to be stored in MongoDB
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   */
+  async createMany(documents, options = {}, user) {
+    assert(Array.isArray(documents), "The documents must be an array");
+    return await this.bulkWrite(
+      documents.map(document => ({ create: document })),
+      options,
+      user
+    );
+  }
+
+  /**
+   * Partially updates many documents, one at a time. See bulkWrite.
+   *
+   * @param {Array<{query: Object, data: Object}>} items: The query and data of every patch
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   */
+  async patchMany(items, options = {}, user) {
+    assert(Array.isArray(items), "The items must be an array");
+    return await this.bulkWrite(
+      items.map(item => ({ patch: item })),
+      options,
+      user
+    );
+  }
+
+  /**
+   * Updates many documents, one at a time. See bulkWrite.
+   *
+   * @param {Array<{query: Object, update: Object}>} items: The query and update operations of every update
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   */
+  async updateMany(items, options = {}, user) {
+    assert(Array.isArray(items), "The items must be an array");
+    return await this.bulkWrite(
+      items.map(item => ({ update: item })),
+      options,
+      user
+    );
+  }
+
+  /**
+   * Deletes many documents, one per query and one at a time. See bulkWrite.
+   *
+   * @param {Array<Object>} queries: MongoDB queries
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   */
+  async removeMany(queries, options = {}, user) {
+    assert(Array.isArray(queries), "The queries must be an array");
+    return await this.bulkWrite(
+      queries.map(query => ({ remove: { query } })),
+      options,
+      user
+    );
+  }
+
+  /**
+   * Creates the indexes used to query the audits: the audited document, the
+   * timestamp and the user, and the TTL index when retentionTTL is enabled. It
+   * is called before querying the audits, but it can be called at startup so
+   * the indexes are not created on the first query.
+   */
+  async ensureAuditIndexes() {
+    this.verifyAuditConnection();
+    if (!this._auditIndexes) {
+      this._auditIndexes = this.auditCollection
+        .createIndexes(
+          [
+            { key: { documentId: 1, timestamp: -1 } },
+            { key: { "new._id": 1, timestamp: -1 } },
+            { key: { "old._id": 1, timestamp: -1 } },
+            { key: { timestamp: -1 } },
+            { key: { user: 1, timestamp: -1 } }
+          ]
+            .concat(
+              this.readAuditing
+                ? [{ key: { documentIds: 1, timestamp: -1 } }]
+                : []
+            )
+            .concat(
+              this.retentionTTL
+                ? [{ key: { expireAt: 1 }, expireAfterSeconds: 0 }]
+                : []
+            )
+        )
+        .catch(error => {
+          this._auditIndexes = null;
+          throw error;
+        });
+    }
+    return await this._auditIndexes;
+  }
+
+  /**
+   * Returns the session to be used when reading the audits. The session of a
+   * write can only be used if the audit sink stores the audits with its client.
+   */
+  _auditSession(options) {
+    return this.auditSink.supportsSession(options.session)
+      ? options.session
+      : undefined;
+  }
+
+  /**
+   * Builds the query of the audits that satisfy a filter
+   *
+   * @param {Object} [filter={}]:
+   * @param {*} [filter.user]: Only the audits of this user
+   * @param {String} [filter.requestId]: Only the audits of this request (see runWithContext)
+   * @param {String|Array<String>} [filter.operations]: Only the audits of these operations
+   * @param {String} [filter.collection]: Only the audits of this collection
+   * @param {ObjectId|String} [filter.documentId]: Only the audits of this document
+   * @param {Date} [filter.from]: Only the audits stored at or after this date
+   * @param {Date} [filter.to]: Only the audits stored at or before this date
+   */
+  _auditQuery(filter = {}) {
+    const query = {};
+    if (filter.collection !== undefined) {
+      query.collection = filter.collection;
+    }
+    if (filter.user !== undefined) {
+      query.user = filter.user;
+    }
+    if (filter.requestId !== undefined) {
+      query["context.requestId"] = filter.requestId;
+    }
+    if (filter.operations !== undefined) {
+      query.operation = { $in: [].concat(filter.operations) };
+    }
+    if (filter.from !== undefined || filter.to !== undefined) {
+      query.timestamp = {};
+      if (filter.from !== undefined) {
+        query.timestamp.$gte = new Date(filter.from);
+      }
+      if (filter.to !== undefined) {
+        query.timestamp.$lte = new Date(filter.to);
+      }
+    }
+    if (filter.documentId !== undefined) {
+      const _id = this.generateObjectId(filter.documentId);
+      /* The audits stored before the documentId field existed only have the documents */
+      query.$or = [{ documentId: _id }, { "new._id": _id }, { "old._id": _id }];
+      if (this.readAuditing) {
+        query.$or.push({ documentIds: _id });
+      }
+    }
+    return query;
+  }
+
+  /**
+   * Returns the audits that satisfy a filter, the most recent first. The READ
+   * audits are not returned unless they are included in the operations.
+   *
+   * @param {Object} [filter={}]: See _auditQuery. Also accepts:
+   * @param {Number} [filter.limit]: Max number of audits to be returned
+   * @param {Number} [filter.skip]: Number of audits to be skipped
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Array<Object>}
+   */
+  async listAudits(filter = {}, options = {}) {
+    const query = this._auditQuery(filter);
+    if (filter.operations === undefined) {
+      query.operation = { $ne: this.READ };
+    }
+    await this.ensureAuditIndexes();
+    return await this.auditCollection
+      .find(query, {
+        limit: filter.limit,
+        skip: filter.skip,
+        sort: { timestamp: -1, _id: -1 },
+        session: this._auditSession(options)
+      })
+      .toArray();
+  }
+
+  /**
+   * Returns the audits of a document of the collection, the most recent first.
+   * The READ audits are not returned unless they are included in the operations.
+   *
+   * @param {ObjectId|String} _id: The MongoDB Id of the document
+   * @param {Object} [filter={}]:
+   * @param {Number} [filter.limit]: Max number of audits to be returned
+   * @param {Number} [filter.skip]: Number of audits to be skipped
+   * @param {String|Array<String>} [filter.operations]: Only the audits of these operations
+   * @param {Date} [filter.from]: Only the audits stored at or after this date
+   * @param {Date} [filter.to]: Only the audits stored at or before this date
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Array<Object>}
+   */
+  async getHistory(_id, filter = {}, options = {}) {
+    assert(_id, "The '_id' parameter is required");
+    this.verifyConnection();
+    return await this.listAudits(
+      Object.assign({}, filter, {
+        documentId: _id,
+        collection: this.collection.collectionName
+      }),
+      options
+    );
+  }
+
+  /**
+   * Returns the most recent change of a document of the collection, or null
+   * if the document has no audits. The READ audits are not changes
+   *
+   * @param {ObjectId|String} _id: The MongoDB Id of the document
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Object}
+   */
+  async getLastChange(_id, options = {}) {
+    const [audit] = await this.getHistory(_id, { limit: 1 }, options);
+    return audit || null;
+  }
+
+  /**
+   * Counts the audits that satisfy a filter, grouped by some of their fields
+   * and by time buckets. The results are plain JSON: ObjectIds are returned as
+   * strings and dates as ISO strings.
+   *
+   * @param {Object} [params={}]: The filter of listAudits (user, operations, collection, from, to...),
+   * and the report parameters. The audits of every collection are counted unless a collection is passed
+   * @param {Array<String>} [params.groupBy=[]]: The fields the audits are grouped by: "user",
+   * "operation" and/or "collection"
+   * @param {String} [params.interval]: Groups the audits in time buckets: "hour", "day" or "week"
+   * (ISO weeks, starting on Monday)
+   * @param {String} [params.timezone="UTC"]: Timezone of the buckets, an Olson name ("America/Caracas")
+   * or an offset ("-04:00")
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Array<Object>} The grouped fields, the start of the bucket (period) and the count of
+   * every group, sorted by period and then by count, the greatest first
+   */
+  async auditReport(params = {}, options = {}) {
+    const { groupBy = [], interval, timezone = "UTC" } = params;
+    assert(
+      groupBy.every(field => this.REPORT_FIELDS.includes(field)),
+      `The audits can only be grouped by ${this.REPORT_FIELDS.join(", ")}`
+    );
+    assert(
+      interval === undefined || this.REPORT_INTERVALS.includes(interval),
+      `The interval must be one of ${this.REPORT_INTERVALS.join(", ")}`
+    );
+    await this.ensureAuditIndexes();
+    const group = {};
+    for (const field of groupBy) {
+      group[field] = `$${field}`;
+    }
+    if (interval) {
+      group.period = this._bucket(interval, timezone);
+    }
+    const results = await this.auditCollection
+      .aggregate(
+        [
+          { $match: this._auditQuery(params) },
+          { $group: { _id: group, count: { $sum: 1 } } },
+          { $sort: { "_id.period": 1, count: -1, _id: 1 } }
+        ],
+        { session: this._auditSession(options) }
+      )
+      .toArray();
+    return toPlainJSON(
+      results.map(result =>
+        Object.assign({}, result._id, { count: result.count })
+      )
+    );
+  }
+
+  /**
+   * Returns the documents with the most audits that satisfy a filter. The READ
+   * audits are not counted unless they are included in the operations.
+   *
+   * @param {Object} [params={}]: The filter of listAudits (user, operations, collection, from, to...)
+   * @param {Number} [params.limit=10]: Max number of documents to be returned
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Array<{collection: String, documentId: String, count: Number, lastChange: String}>}
+   */
+  async mostChangedDocuments(params = {}, options = {}) {
+    const { limit = 10 } = params,
+      query = this._auditQuery(params);
+    if (params.operations === undefined) {
+      query.operation = { $ne: this.READ };
+    }
+    await this.ensureAuditIndexes();
+    const results = await this.auditCollection
+      .aggregate(
+        [
+          { $match: query },
+          {
+            $group: {
+              _id: { collection: "$collection", documentId: "$documentId" },
+              count: { $sum: 1 },
+              lastChange: { $max: "$timestamp" }
+            }
+          },
+          { $sort: { count: -1, lastChange: -1 } },
+          { $limit: limit }
+        ],
+        { session: this._auditSession(options) }
+      )
+      .toArray();
+    return toPlainJSON(
+      results.map(result =>
+        Object.assign({}, result._id, {
+          count: result.count,
+          lastChange: result.lastChange
+        })
+      )
+    );
+  }
+
+  /**
+   * Returns the aggregation expression of the start of the time bucket of an
+   * audit, in a timezone
+   *
+   * @param {String} interval: "hour", "day" or "week"
+   * @param {String} timezone: Olson name or offset
+   */
+  _bucket(interval, timezone) {
+    const part = operator => ({
+      [operator]: { date: "$timestamp", timezone }
+    });
+    if (interval === "week") {
+      return {
+        $dateFromParts: {
+          isoWeekYear: part("$isoWeekYear"),
+          isoWeek: part("$isoWeek"),
+          isoDayOfWeek: 1,
+          timezone
+        }
+      };
+    }
+    const parts = {
+      year: part("$year"),
+      month: part("$month"),
+      day: part("$dayOfMonth"),
+      timezone
+    };
+    if (interval === "hour") {
+      parts.hour = part("$hour");
+    }
+    return { $dateFromParts: parts };
+  }
+
+  /**
+   * Verifies the hash chain of the audits and reports the first audit that was
+   * modified, removed, duplicated or reordered
+   *
+   * @param {Object} [filter={}]:
+   * @param {Number} [filter.from=1]: The first seq to be verified
+   * @param {Number} [filter.to]: The last seq to be verified. By default, the end of the chain
+   * @param {String} [filter.chain]: The chain to be verified. By default, the chain of the collection
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {{valid: boolean, checked: Number, error: Object}} error holds the type ("gap",
+   * "duplicate", "tampered" or "broken_link"), seq, auditId and a message of the first problem
+   */
+  async verifyAuditChain(filter = {}, options = {}) {
+    assert(this.auditChain, "The audits are not hash chained");
+    this.verifyAuditConnection();
+    const chain =
+      filter.chain ||
+      (this.auditChain === "global"
+        ? "global"
+        : this.collection.collectionName);
+    return await verifyChain(this.auditCollection, chain, {
+      from: filter.from,
+      to: filter.to,
+      session: this._auditSession(options)
+    });
+  }
+
+  /**
+   * Builds the query of the audits of the collection that expired according
+   * to the retention
+   *
+   * @param {Date} [now=new Date()]
+   */
+  _expiredAuditsQuery(now = new Date()) {
+    const operations = Object.keys(this.retention).filter(
+        operation => operation !== "default"
+      ),
+      expiredBefore = maxAge => ({ $lt: new Date(now.getTime() - maxAge) }),
+      clauses = operations.map(operation => ({
+        operation,
+        timestamp: expiredBefore(this.retention[operation])
+      }));
+    if (this.retention.default !== undefined) {
+      clauses.push({
+        operation: { $nin: operations },
+        timestamp: expiredBefore(this.retention.default)
+      });
+    }
+    return { collection: this.collection.collectionName, $or: clauses };
+  }
+
+  /**
+   * Moves old audits of the collection to an archive collection or to a
+   * gzipped NDJSON file. The audits are moved in batches and every batch is
+   * archived before it is deleted, so an interrupted archival never loses
+   * audits, although it may archive a batch twice in a file. The hash chained
+   * audits cannot be archived, because it would break their chain.
+   *
+   * @param {Object} params:
+   * @param {Date|Number} [params.olderThan]: The audits stored before this date, or older than this
+   * age in milliseconds, are archived. By default, the audits expired according to the retention
+   * @param {Object} params.to: Where the audits are archived
+   * @param {String|Collection} [params.to.collection]: The archive collection, or its name in the
+   * database of the service
+   * @param {String} [params.to.file]: Path of the NDJSON.gz file. The audits are appended to it
+   * @param {Number} [params.batchSize=1000]: Number of audits moved at once
+   * @returns {Number} The number of archived audits
+   */
+  async archiveAudits({ olderThan, to, batchSize = 1000 } = {}) {
+    assert(!this.auditChain, "The hash chained audits cannot be archived");
+    this.verifyAuditConnection();
+    assert(
+      to && Boolean(to.collection) !== Boolean(to.file),
+      "Either 'to.collection' or 'to.file' is required"
+    );
+    assert(
+      olderThan !== undefined || this.retention,
+      "The 'olderThan' parameter is required when there is no retention"
+    );
+    const query =
+        olderThan === undefined
+          ? this._expiredAuditsQuery()
+          : {
+              collection: this.collection.collectionName,
+              timestamp: {
+                $lt:
+                  olderThan instanceof Date
+                    ? olderThan
+                    : new Date(Date.now() - olderThan)
+              }
+            },
+      archive = to.file
+        ? audits => this._archiveToFile(to.file, audits)
+        : audits =>
+            this._archiveToCollection(
+              typeof to.collection === "string"
+                ? this.database.collection(to.collection)
+                : to.collection,
+              audits
+            );
+    let archived = 0;
+    for (;;) {
+      const audits = await this.auditCollection
+        .find(query, { sort: { timestamp: 1, _id: 1 }, limit: batchSize })
+        .toArray();
+      if (audits.length === 0) {
+        break;
+      }
+      await archive(audits);
+      await this.auditCollection.deleteMany({
+        _id: { $in: audits.map(audit => audit._id) }
+      });
+      archived += audits.length;
+      if (audits.length < batchSize) {
+        break;
+      }
+    }
+    return archived;
+  }
+
+  async _archiveToCollection(collection, audits) {
+    /* Upserts, so archiving a batch again does not fail */
+    await collection.bulkWrite(
+      audits.map(audit => ({
+        replaceOne: {
+          filter: { _id: audit._id },
+          replacement: audit,
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+  }
+
+  async _archiveToFile(path, audits) {
+    /* Every batch is a gzip member, a file with many members is a valid gzip file */
+    const data = audits.map(audit => `${JSON.stringify(audit)}\n`).join("");
+    await fs.appendFile(path, await gzip(data));
+  }
+
+  /**
+   * Rebuilds the state of a document from its audits. Starts from the most
+   * recent audit that satisfies the query and goes back until an audit that
+   * stores the whole document, then applies the changes of the newer audits.
+   *
+   * @param {ObjectId} _id: The MongoDB Id of the document
+   * @param {Object} query: Query of the audits to be considered
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Object} The document, or null if it did not exist
+   */
+  async _rebuild(_id, query, options = {}) {
+    await this.ensureAuditIndexes();
+    const cursor = this.auditCollection.find(
+        {
+          $and: [
+            this._auditQuery({
+              documentId: _id,
+              collection: this.collection.collectionName
+            }),
+            { operation: { $ne: this.READ } },
+            query
+          ]
+        },
+        {
+          sort: { timestamp: -1, _id: -1 },
+          session: this._auditSession(options)
+        }
+      ),
+      changes = [];
+    let state;
+    try {
+      while (state === undefined && (await cursor.hasNext())) {
+        const audit = await cursor.next();
+        if (audit.operation === this.REMOVE) {
+          state = null;
+        } else if (audit.hasOwnProperty("embeddedField") || !audit.new) {
+          changes.unshift(audit);
+        } else {
+          state = audit.new;
+        }
+      }
+    } finally {
+      await cursor.close();
+    }
+    if (!state) {
+      return null;
+    }
+    return changes.reduce(
+      (document, audit) =>
+        audit.hasOwnProperty("embeddedField")
+          ? this._applySubdocumentAudit(document, audit)
+          : this._applyDiff(document, audit.diff || []),
+      state
+    );
+  }
+
+  /**
+   * Applies the changes stored in an audit, in any of the diff formats
+   */
+  _applyDiff(document, diff) {
+    return diff.every(change => change.hasOwnProperty("op"))
+      ? applyPatch(document, diff)
+      : applyChanges(document, diff);
+  }
+
+  /**
+   * Applies a subdocument audit to a copy of a document
+   */
+  _applySubdocumentAudit(document, audit) {
+    const result = applyPatch(document, []),
+      keys = audit.embeddedField.split("."),
+      field = keys.pop(),
+      parent = keys.reduce(
+        (value, key) => (value === undefined ? value : value[key]),
+        result
+      );
+    if (!parent) {
+      return result;
+    }
+    const list = parent[field] || (parent[field] = []),
+      index = list.findIndex(item =>
+        audit.subdocumentId === null
+          ? isEqual(item, audit.old)
+          : Boolean(item) && isEqual(item._id, audit.subdocumentId)
+      );
+    if (audit.operation === this.SUBDOCUMENT_ADD) {
+      list.push(audit.new);
+    } else if (index !== -1 && audit.operation === this.SUBDOCUMENT_REMOVE) {
+      list.splice(index, 1);
+    } else if (index !== -1) {
+      list[index] = audit.hasOwnProperty("new")
+        ? audit.new
+        : this._applyDiff(list[index], audit.diff);
+    }
+    return result;
+  }
+
+  /**
+   * Rebuilds a document as it was at a given date, using its audits. Returns
+   * null if the document did not exist at that date.
+   *
+   * @param {ObjectId|String} _id: The MongoDB Id of the document
+   * @param {Date} date: The date
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Object}
+   */
+  async getAsOf(_id, date, options = {}) {
+    assert(_id, "The '_id' parameter is required");
+    assert(date, "The 'date' parameter is required");
+    this.verifyConnection();
+    return await this._rebuild(
+      this.generateObjectId(_id),
+      { timestamp: { $lte: new Date(date) } },
+      options
+    );
+  }
+
+  /**
+   * Restores a document to the state it had right after one of its audits, and
+   * stores a REVERT audit whose revertedAuditId field points to that audit. If
+   * the document was removed, it is inserted again.
+   *
+   * The version and the modification date of the document are updated as in
+   * any other write. It is not available when the audits are redacted, because
+   * they do not hold the redacted values.
+   *
+   * @param {ObjectId|String} _id: The MongoDB Id of the document
+   * @param {ObjectId|String} auditId: The MongoDB Id of the audit
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Object} The reverted document
+   * @throws {NotFoundError} If the audit does not belong to the document, or the document did not
+   * exist after it
+   */
+  async revertTo(_id, auditId, user, options = {}) {
+    assert(_id, "The '_id' parameter is required");
+    assert(
+      this.redactionRules.length === 0,
+      "The documents cannot be reverted when the audits are redacted"
+    );
+    assert(auditId, "The 'auditId' parameter is required");
+    await this.ensureAuditIndexes();
+    _id = this.generateObjectId(_id);
+    auditId = this.generateObjectId(auditId);
+    return await this._runAudited(options, async options => {
+      const audit = await this.auditCollection.findOne(
+        {
+          $and: [
+            { _id: auditId },
+            this._auditQuery({
+              documentId: _id,
+              collection: this.collection.collectionName
+            })
+          ]
+        },
+        { session: this._auditSession(options) }
+      );
+      if (!audit) {
+        throw new NotFoundError(
+          this.auditCollection.collectionName,
+          { _id: auditId, documentId: _id },
+          "The audit does not exist or does not belong to the document"
+        );
+      }
+      const state = await this._rebuild(
+        _id,
+        {
+          $or: [
+            { timestamp: { $lt: audit.timestamp } },
+            { timestamp: audit.timestamp, _id: { $lte: audit._id } }
+          ]
+        },
+        options
+      );
+      if (!state) {
+        throw new NotFoundError(
+          this.collectionName,
+          { _id },
+          "The document did not exist after the audit"
+        );
+      }
+      return await this._revert(_id, state, audit, user, options);
+    });
+  }
+
+  /**
+   * Inserts again a document that was permanently deleted, using its last
+   * REMOVE audit, and stores a REVERT audit that points to the REMOVE audit.
+   * It is not available when the audits are redacted.
+   *
+   * @param {ObjectId|String} _id: The MongoDB Id of the document
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Object} The restored document
+   * @throws {NotFoundError} If the document has no REMOVE audit
+   */
+  async undelete(_id, user, options = {}) {
+    assert(_id, "The '_id' parameter is required");
+    assert(
+      this.redactionRules.length === 0,
+      "The documents cannot be reverted when the audits are redacted"
+    );
+    this.verifyConnection();
+    _id = this.generateObjectId(_id);
+    return await this._runAudited(options, async options => {
+      const [audit] = await this.getHistory(
+        _id,
+        { operations: [this.REMOVE], limit: 1 },
+        options
+      );
+      if (!audit || !audit.old) {
+        throw new NotFoundError(
+          this.auditCollection.collectionName,
+          { documentId: _id, operation: this.REMOVE },
+          "The document has not been removed"
+        );
+      }
+      const current = await this.collection.findOne(
+        { _id },
+        { projection: { _id: 1 }, session: options.session }
+      );
+      assert(!current, "The document already exists");
+      return await this._revert(_id, audit.old, audit, user, options);
+    });
+  }
+
+  /**
+   * Replaces a document with a previous state, or inserts it if it does not
+   * exist, and stores the REVERT audit
+   */
+  async _revert(_id, state, audit, user, options) {
+    const oldDoc = await this.collection.findOne(
+        { _id },
+        { session: options.session }
+      ),
+      newDoc = Object.assign({}, state, { _id }),
+      /* The stamped fields are not part of the schema */
+      fields = Object.assign({}, newDoc);
+    for (const field of Object.keys(this._stampedProperties())) {
+      delete fields[field];
+    }
+    this._validateDocument(fields);
+    newDoc[this.modificationDateField] = this._generate_timestamp();
+    if (this.versioning && oldDoc) {
+      newDoc[this.versionField] = (oldDoc[this.versionField] || 0) + 1;
+    }
+    if (oldDoc) {
+      await this.collection.replaceOne({ _id }, newDoc, {
+        session: options.session
+      });
+    } else {
+      await this.collection.insertOne(newDoc, { session: options.session });
+    }
+    await this._generate_audit(
+      Object.assign(this._audit(this.REVERT, oldDoc, newDoc, user), {
+        revertedAuditId: audit._id
+      }),
+      options
+    );
+    return newDoc;
+  }
+
+  /**
+   * Adds a subdocument to an array and stores a SUBDOCUMENT_ADD audit
+   *
+   * @param {ObjectId|String} _id: The MongoDB Id of the requested document
+   * @param {String} embeddedField: The name of the subdocument array field
+   * @param {Object} data: The subdocument
+   * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
+   * @returns {Object}
+   */
   async addSubdocument(_id, embeddedField, data, options = {}, user) {
     assert(_id, "The '_id' parameter is required");
     assert(embeddedField, "The 'embeddedField' parameter is required");
     assert(data, "The 'data' parameter is required");
+    this.verifyConnection();
+    _id = this.generateObjectId(_id);
     if (data === Object(data)) {
       data["_id"] = new ObjectId();
     }
-    return await this.updateById(
-      _id,
-      { $push: { [embeddedField]: data } },
-      Object.assign({}, options),
-      user
-    );
+    return await this._runAudited(options, async options => {
+      const object = await super.update(
+        { _id },
+        { $push: { [embeddedField]: data } },
+        options
+      );
+      if (object) {
+        await this._generate_audit(
+          this._subdocumentAudit(
+            this.SUBDOCUMENT_ADD,
+            _id,
+            embeddedField,
+            null,
+            data,
+            user
+          ),
+          options
+        );
+      }
+      return object;
+    });
   }
 
   /**
-   * Partially updates a sub documenty
+   * Partially updates a sub documenty and stores a SUBDOCUMENT_UPDATE audit
    *
    * @param {ObjectId|String} _id: The MongoDB Id of the requested document
    * @param {String} embeddedField: The name of the subdocument array field
    * @param {Object} query: The query used to search for the subdocument to be pulled
    * @param {Object} data: The data to be updated
    * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
    * @returns {Object}
    */
   async patchSubdocument(_id, embeddedField, query, data, options = {}, user) {
+    this.verifyConnection();
     _id = this.generateObjectId(_id);
 
     for (const key in query) {
@@ -243,7 +1878,44 @@ class AuditedCrudService extends GenericCrudService {
       }
     }
     query["_id"] = _id;
-    return await this.patch(query, data, options, user);
+    return await this._runAudited(options, async options => {
+      const oldDoc = await this.collection.findOne(
+        this._excludeDeleted(query),
+        {
+          session: options.session
+        }
+      );
+      if (!oldDoc) {
+        return this._found(null, query, options);
+      }
+      /* The positional projection returns the subdocument the update will modify */
+      const matched = await this.collection.findOne(
+          this._excludeDeleted(query),
+          {
+            projection: { [`${embeddedField}.$`]: 1 },
+            session: options.session
+          }
+        ),
+        [oldSubdocument] = getPath(matched, embeddedField),
+        index = getPath(oldDoc, embeddedField).findIndex(item =>
+          isEqual(item, oldSubdocument)
+        ),
+        newDoc = await super.patch(query, data, options);
+      if (newDoc) {
+        await this._generate_audit(
+          this._subdocumentAudit(
+            this.SUBDOCUMENT_UPDATE,
+            _id,
+            embeddedField,
+            oldSubdocument,
+            getPath(newDoc, embeddedField)[index],
+            user
+          ),
+          options
+        );
+      }
+      return newDoc;
+    });
   }
 
   /**
@@ -254,6 +1926,7 @@ class AuditedCrudService extends GenericCrudService {
    * @param {Object} embedId: The MongoDB Id of the requested subdocument
    * @param {Object} data: The data to be updated
    * @param {Object} [options={}]:
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
    * @returns {Object}
    */
   async patchSubdocumentById(
@@ -277,7 +1950,8 @@ class AuditedCrudService extends GenericCrudService {
   }
 
   /**
-   * Removes a subdocument from an array
+   * Removes a subdocument from an array and stores a SUBDOCUMENT_REMOVE audit
+   * for every removed subdocument
    *
    * Uses the $pull operator.
    *
@@ -287,17 +1961,58 @@ class AuditedCrudService extends GenericCrudService {
    * @param {String} embeddedField: The name of the subdocument array field
    * @param {Object} query: The query used to search for the subdocument to be pulled
    * @param {Object} [options={}]: update options
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
    */
   async removeSubdocument(_id, embeddedField, query, options = {}, user) {
     assert(_id, "The '_id' parameter is required");
     assert(embeddedField, "The 'embeddedField' parameter is required");
     assert(query, "The 'query' parameter is required");
-    return await this.updateById(
-      _id,
-      { $pull: { [embeddedField]: query } },
-      Object.assign({}, options),
-      user
-    );
+    this.verifyConnection();
+    _id = this.generateObjectId(_id);
+    return await this._runAudited(options, async options => {
+      const oldDoc = await this.collection.findOne(
+        this._excludeDeleted({ _id }),
+        { session: options.session }
+      );
+      if (!oldDoc) {
+        return this._found(null, { _id }, options);
+      }
+      const newDoc = await super.update(
+        { _id },
+        { $pull: { [embeddedField]: query } },
+        options
+      );
+      if (!newDoc) {
+        return newDoc;
+      }
+      const remaining = (getPath(newDoc, embeddedField) || []).slice(),
+        removed = (getPath(oldDoc, embeddedField) || []).filter(item => {
+          const index = remaining.findIndex(other => isEqual(item, other));
+          if (index === -1) {
+            return true;
+          }
+          remaining.splice(index, 1);
+          return false;
+        });
+      if (removed.length > 0) {
+        const timestamp = new Date();
+        await this._generate_audits(
+          removed.map(item =>
+            this._subdocumentAudit(
+              this.SUBDOCUMENT_REMOVE,
+              _id,
+              embeddedField,
+              item,
+              null,
+              user,
+              timestamp
+            )
+          ),
+          options
+        );
+      }
+      return newDoc;
+    });
   }
 
   /**
@@ -307,6 +2022,7 @@ class AuditedCrudService extends GenericCrudService {
    * @param {String} embeddedField: The name of the subdocument array field
    * @param {Object} embedId: The MongoDB Id of the requested subdocument
    * @param {Object} [options={}]: update options
+   * @param {*} [user]: By default, the user of the context or ANONYMOUS
    */
   async removeSubdocumentById(_id, embeddedField, embedId, options = {}, user) {
     assert(embedId, "The 'embedId' parameter is required");
@@ -1,6 +1,30 @@
 const { MongoClient, ObjectId } = require("mongodb"),
   assert = require("assert"),
-  ClientNotConnected = require("./exceptions/ClientNotConnected");
+  { AsyncLocalStorage } = require("async_hooks"),
+  ClientNotConnected = require("./exceptions/ClientNotConnected"),
+  InvalidIdError = require("./exceptions/InvalidIdError"),
+  NotFoundError = require("./exceptions/NotFoundError"),
+  ValidationError = require("./exceptions/ValidationError"),
+  VersionConflict = require("./exceptions/VersionConflict"),
+  jsonSchema = require("./utils/jsonSchema"),
+  queryString = require("./utils/queryString"),
+  { translateError } = require("./utils/errors"),
+  { normalizeIndexes, planIndexes } = require("./utils/indexes"),
+  {
+    encodeCursor,
+    decodeCursor,
+    getPath,
+    keysetFilter,
+    keysetProjection
+  } = require("./utils/cursor"),
+  { runTransaction, supportsTransactions } = require("./utils/transaction");
+
+/* Keeps track of the services that are running a hooked method in the current
+ * async context, so the methods they call internally do not fire hooks again */
+const hookStorage = new AsyncLocalStorage();
+
+/* Code of the error thrown when listing the indexes of a collection that does not exist */
+const NAMESPACE_NOT_FOUND = 26;
 
 /**
  * Implements basic Crud operations for a desired collection.
@@ -15,8 +39,27 @@ class GenericCrudService {
    * operations
    * @param {String} databaseName: The database name
    * @param {String} collectionName: The collection name
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.softDelete=false]: If true, remove operations stamp the deletedAtField
+   * instead of deleting the document, and the other operations ignore the deleted documents
+   * @param {Object} [options.schema]: JSON Schema (draft-07 subset) used to validate the written documents.
+   * Subdocuments are validated against the items schema of their embeddedField
+   * @param {Number} [options.maxPageSize=DEFAULT_MAX_PAGE_SIZE]: The maximum page size accepted by paginate
+   * @param {boolean} [options.versioning=false]: If true, documents store a versionField that is incremented
+   * on every write, and patch and update accept an expectedVersion option for optimistic concurrency control
+   * @param {Object|Array<String>} [options.filterable={}]: The fields that parseQueryString accepts as filters,
+   * and their types. See utils/queryString
+   * @param {Array<String>} [options.sortable=[]]: The fields that parseQueryString accepts in the sort
+   * @param {Array<String>} [options.selectable]: The fields that parseQueryString accepts in the projection.
+   * By default, any field
+   * @param {boolean} [options.strict=false]: If true, the methods that read or write a single document throw
+   * a NotFoundError when no document matches, instead of returning null. Every method accepts a strict
+   * option that overrides it
+   * @param {Array<Object>} [options.indexes=[]]: The indexes of the collection, created by syncIndexes. Every
+   * index is { key, name, unique, sparse, partialFilterExpression, expireAfterSeconds, collation, weights,
+   * default_language, language_override }, like in the createIndexes command. Only the key is required
    */
-  constructor(client, databaseName, collectionName) {
+  constructor(client, databaseName, collectionName, options = {}) {
     assert(
       client.constructor.name === "MongoClient",
       "client MUST be an instance of MongoClient"
@@ -29,6 +72,15 @@ class GenericCrudService {
     this.client = client;
     this.databaseName = databaseName;
     this.collectionName = collectionName;
+    this.softDelete = Boolean(options.softDelete);
+    this.schema = options.schema || null;
+    this.maxPageSize = options.maxPageSize || this.DEFAULT_MAX_PAGE_SIZE;
+    this.versioning = Boolean(options.versioning);
+    this.filterable = options.filterable || {};
+    this.sortable = options.sortable || [];
+    this.selectable = options.selectable;
+    this.strict = Boolean(options.strict);
+    this.indexes = normalizeIndexes(options.indexes || []);
     if (this.client.isConnected()) {
       this.database = this.client.db(this.databaseName);
       this.collection = this.database.collection(this.collectionName);
@@ -36,6 +88,132 @@ class GenericCrudService {
       this.database = null;
       this.collection = null;
     }
+    this._hooks = { before: {}, after: {} };
+    for (const method of this.HOOKABLE_METHODS) {
+      this[method] = this._wrapWithHooks(method, this[method]);
+    }
+  }
+
+  /**
+   * The public methods that accept before and after hooks
+   */
+  get HOOKABLE_METHODS() {
+    return [
+      "list",
+      "listPage",
+      "paginate",
+      "listDeleted",
+      "count",
+      "exists",
+      "create",
+      "get",
+      "getById",
+      "update",
+      "updateById",
+      "patch",
+      "patchById",
+      "remove",
+      "removeById",
+      "restore",
+      "restoreById",
+      "purge",
+      "bulkWrite",
+      "createMany",
+      "patchMany",
+      "updateMany",
+      "removeMany",
+      "listSubdocuments",
+      "getSubdocument",
+      "addSubdocument",
+      "patchSubdocument",
+      "patchSubdocumentById",
+      "removeSubdocument",
+      "removeSubdocumentById",
+      "applySchemaValidator",
+      "syncIndexes"
+    ];
+  }
+
+  /**
+   * Registers a hook that runs before a method. The hook receives a context
+   * { method, args, service } and can:
+   *
+   * - Mutate or replace context.args to change the arguments of the method.
+   * - Return a value other than undefined to skip the method and use the value as its result.
+   * - Throw to abort the operation.
+   *
+   * Hooks only fire for the method called by the user. Methods called internally,
+   * for example patch when patchById is called, do not fire their hooks.
+   *
+   * @param {String} method: The name of the method
+   * @param {Function} fn: async (context) => result
+   */
+  before(method, fn) {
+    return this._registerHook("before", method, fn);
+  }
+
+  /**
+   * Registers a hook that runs after a method. The hook receives a context
+   * { method, args, service, result } and can return a value other than undefined
+   * to replace the result, or throw to make the operation fail.
+   *
+   * @param {String} method: The name of the method
+   * @param {Function} fn: async (context) => result
+   */
+  after(method, fn) {
+    return this._registerHook("after", method, fn);
+  }
+
+  _registerHook(type, method, fn) {
+    assert(
+      this.HOOKABLE_METHODS.includes(method),
+      `The '${method}' method does not accept hooks`
+    );
+    assert(typeof fn === "function", "The hook MUST be a function");
+    if (!this._hooks[type][method]) {
+      this._hooks[type][method] = [];
+    }
+    this._hooks[type][method].push(fn);
+    return this;
+  }
+
+  /**
+   * Wraps a method so it runs its before and after hooks, and translates the
+   * errors it throws (see utils/errors). The methods called internally receive
+   * the untranslated errors.
+   *
+   * @param {String} method: The name of the method
+   * @param {Function} fn: The method implementation
+   */
+  _wrapWithHooks(method, fn) {
+    return async (...args) => {
+      const services = hookStorage.getStore();
+      if (services && services.has(this)) {
+        return await fn.apply(this, args);
+      }
+      const context = { method, args, service: this };
+      try {
+        for (const hook of this._hooks.before[method] || []) {
+          const result = await hook(context);
+          if (result !== undefined) {
+            return result;
+          }
+        }
+        context.result = await hookStorage.run(
+          new Set(services).add(this),
+          () => fn.apply(this, context.args)
+        );
+        for (const hook of this._hooks.after[method] || []) {
+          const result = await hook(context);
+          if (result !== undefined) {
+            context.result = result;
+          }
+        }
+      } catch (error) {
+        throw translateError(error);
+      }
+      return context.result;
+    };
   }
 
   get creationDateField() {
@@ -46,6 +224,22 @@ class GenericCrudService {
     return "lastModifiedAt";
   }
 
+  get deletedAtField() {
+    return "deletedAt";
+  }
+
+  get versionField() {
+    return "__v";
+  }
+
+  get DEFAULT_PAGE_SIZE() {
+    return 20;
+  }
+
+  get DEFAULT_MAX_PAGE_SIZE() {
+    return 100;
+  }
+
   /**
    * Verifies if the client is connected, if it is, then it sets the
    * database and collection attributes
@@ -64,14 +258,15 @@ class GenericCrudService {
 
   /**
    * Alias for the generateObjectId method.
-   * 
+   *
    * Soon to be deprecated
-   * 
+   *
    * @param {ObjectId|String} _id: The mongodb id string or object
+   * @throws {InvalidIdError} If the value is not a valid id
    */
   verifyId(_id) {
     if (!(_id instanceof ObjectId)) {
-      _id = new ObjectId(_id);
+      _id = this._toObjectId(_id);
     }
     return _id;
   }
@@ -81,16 +276,25 @@ class GenericCrudService {
    * it is used for generating it.
    *
    * @param {ObjectId|String} _id: The mongodb id string or object
+   * @throws {InvalidIdError} If the value is not a valid id
    */
   generateObjectId(_id) {
     if (!_id) {
       return new ObjectId();
     } else if (!(_id instanceof ObjectId)) {
-      return new ObjectId(_id);
+      return this._toObjectId(_id);
     }
     return _id;
   }
 
+  _toObjectId(value) {
+    try {
+      return new ObjectId(value);
+    } catch (error) {
+      throw new InvalidIdError(value);
+    }
+  }
+
   /**
     Encapsulates the logic of generating timestmaps, the reasoning behind this
     is to have an easy way of overriding the timestamp format
@@ -99,6 +303,321 @@ class GenericCrudService {
     return new Date();
   }
 
+  /**
+   * Runs a function inside a transaction. The function receives a ClientSession that
+   * must be passed in the options of every service method that has to be part of the
+   * transaction, including methods of other services that use the same client.
+   * The transaction is retried on transient errors, committed when the function
+   * resolves and aborted when it throws.
+   *
+   * Transactions require MongoDB 4.0 replica sets or MongoDB 4.2 sharded clusters.
+   *
+   * @param {Function} fn: async (session) => result
+   * @param {Object} [options={}]: Transaction options (readConcern, writeConcern, readPreference)
+   * @returns {*} The value returned by fn
+   */
+  async withTransaction(fn, options = {}) {
+    this.verifyConnection();
+    try {
+      return await runTransaction(this.client, fn, options);
+    } catch (error) {
+      throw translateError(error);
+    }
+  }
+
+  /**
+   * Checks if the deployment supports transactions. The result is cached.
+   *
+   * @returns {boolean}
+   */
+  async supportsTransactions() {
+    this.verifyConnection();
+    if (this._supportsTransactions === undefined) {
+      this._supportsTransactions = await supportsTransactions(this.database);
+    }
+    return this._supportsTransactions;
+  }
+
+  /**
+   * Removes the options handled by the service, so only MongoDB options are
+   * passed to the driver
+   *
+   * @param {Object} options: The options of a service method
+   */
+  _driverOptions(options) {
+    const driverOptions = Object.assign({}, options);
+    delete driverOptions.expectedVersion;
+    delete driverOptions.afterCommit;
+    delete driverOptions.strict;
+    return driverOptions;
+  }
+
+  /**
+   * Returns the result of an operation on a single document. If no document
+   * matched, it throws a NotFoundError in strict mode and returns null otherwise
+   *
+   * @param {Object} result: The document, or null if no document matched
+   * @param {Object} query: The query of the operation
+   * @param {Object} [options={}]: The options of the method
+   * @throws {NotFoundError}
+   */
+  _found(result, query, options = {}) {
+    if (result !== null && result !== undefined) {
+      return result;
+    }
+    if (options.strict !== undefined ? options.strict : this.strict) {
+      throw new NotFoundError(this.collectionName, query);
+    }
+    return null;
+  }
+
+  /**
+   * If versioning is enabled, adds the version increment to an update. If an
+   * expected version is passed, it is added to the query.
+   *
+   * @param {Object} query: MongoDB query.
+   * @param {Object} update: MongoDB update operations
+   * @param {Number} [expectedVersion]: The version the document must have
+   * @returns {Object} The query to be used
+   */
+  _applyVersion(query, update, expectedVersion) {
+    if (!this.versioning) {
+      return query;
+    }
+    update.$inc = Object.assign({}, update.$inc, { [this.versionField]: 1 });
+    if (expectedVersion === undefined) {
+      return query;
+    }
+    return Object.assign({}, query, { [this.versionField]: expectedVersion });
+  }
+
+  /**
+   * Called when a versioned write did not match any document. Throws a
+   * VersionConflict if the document exists with another version.
+   *
+   * @param {Object} query: MongoDB query, without the version filter.
+   * @param {Object} options: The options of the write operation
+   */
+  async _checkVersionConflict(query, options) {
+    if (!this.versioning || options.expectedVersion === undefined) {
+      return;
+    }
+    const object = await this.collection.findOne(query, {
+      projection: { [this.versionField]: 1 },
+      session: options.session
+    });
+    if (object) {
+      throw new VersionConflict(
+        object[this.versionField],
+        options.expectedVersion
+      );
+    }
+  }
+
+  /**
+   * Throws a ValidationError if the list of errors is not empty
+   *
+   * @param {Array<{path: String, message: String}>} errors: Validation errors
+   */
+  _throwIfInvalid(errors) {
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+
+  /**
+   * Validates a full document against the service schema
+   *
+   * @param {Object} document: JSON document to be stored in MongoDB
+   */
+  _validateDocument(document) {
+    if (this.schema) {
+      this._throwIfInvalid(jsonSchema.validate(this.schema, document));
+    }
+  }
+
+  /**
+   * Validates a full document against the service schema, the same way create
+   * does. The _id and the fields stamped by the service are not part of it
+   *
+   * @param {Object} document: JSON document
+   * @throws {ValidationError}
+   */
+  validate(document) {
+    this._validateDocument(document);
+  }
+
+  /**
+   * Validates only the fields being set against the service schema
+   *
+   * @param {Object} data: The data to be set, keys can use dot notation
+   */
+  _validateFields(data) {
+    if (this.schema) {
+      this._throwIfInvalid(jsonSchema.validatePartial(this.schema, data));
+    }
+  }
+
+  /**
+   * Validates the $set, $setOnInsert, $push and $addToSet payloads of an
+   * update against the service schema
+   *
+   * @param {Object} update: MongoDB update operations
+   */
+  _validateUpdate(update) {
+    if (this.schema) {
+      this._throwIfInvalid(
+        [].concat(
+          jsonSchema.validatePartial(this.schema, update.$set),
+          jsonSchema.validatePartial(this.schema, update.$setOnInsert),
+          jsonSchema.validateArrayItems(this.schema, update.$push),
+          jsonSchema.validateArrayItems(this.schema, update.$addToSet)
+        )
+      );
+    }
+  }
+
+  /**
+   * Returns the schemas of the fields the service stamps on the documents,
+   * which the server side validator has to accept
+   *
+   * @returns {Object}
+   */
+  _stampedProperties() {
+    const properties = {
+      [this.creationDateField]: { bsonType: "date" },
+      [this.modificationDateField]: { bsonType: "date" }
+    };
+    if (this.softDelete) {
+      properties[this.deletedAtField] = { bsonType: ["date", "null"] };
+    }
+    if (this.versioning) {
+      properties[this.versionField] = { bsonType: ["int", "long"] };
+    }
+    return properties;
+  }
+
+  /**
+   * Pushes the service schema to the collection as a server side $jsonSchema
+   * validator. The collection is created if it does not exist. The _id and the
+   * fields stamped by the service are added to the schema properties.
+   *
+   * https://docs.mongodb.com/manual/core/schema-validation/
+   *
+   * @param {Object} [options={}]:
+   * @param {String} [options.validationLevel="strict"]: "off", "strict" or "moderate"
+   * @param {String} [options.validationAction="error"]: "error" or "warn"
+   */
+  async applySchemaValidator(options = {}) {
+    this.verifyConnection();
+    assert(this.schema, "This service does not have a schema");
+    const validator = {
+        $jsonSchema: jsonSchema.toMongoJsonSchema(
+          this.schema,
+          this._stampedProperties()
+        )
+      },
+      validationLevel = options.validationLevel || "strict",
+      validationAction = options.validationAction || "error";
+    const collections = await this.database
+      .listCollections({ name: this.collectionName })
+      .toArray();
+    if (collections.length === 0) {
+      await this.database.createCollection(this.collectionName, {
+        validator,
+        validationLevel,
+        validationAction
+      });
+    } else {
+      await this.database.command({
+        collMod: this.collectionName,
+        validator,
+        validationLevel,
+        validationAction
+      });
+    }
+  }
+
+  /**
+   * Compares the declared indexes with the indexes of the collection, drops the
+   * indexes whose options changed and creates the missing ones. The indexes
+   * that are not declared are only dropped with the dropUnknown option, and
+   * the _id index is never touched.
+   *
+   * The TTL indexes whose expireAfterSeconds is the only change are modified
+   * in place with collMod. The replacement of the other indexes is not atomic:
+   * between the drop and the creation the collection does not have the index,
+   * so the writes of that gap are not checked by its unique constraint.
+   *
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.dropUnknown=false]: If true, drops the indexes that are not declared
+   * @param {boolean} [options.dryRun=false]: If true, only returns the plan
+   * @returns {Object} The plan: { create, replace, modify, drop, unknown, unchanged, inSync, dryRun }.
+   * See utils/indexes
+   */
+  async syncIndexes(options = {}) {
+    this.verifyConnection();
+    let existing;
+    try {
+      existing = await this.collection.listIndexes().toArray();
+    } catch (error) {
+      if (error.code !== NAMESPACE_NOT_FOUND) {
+        throw error;
+      }
+      existing = [];
+    }
+    const plan = planIndexes(this.indexes, existing, options);
+    plan.dryRun = Boolean(options.dryRun);
+    if (plan.dryRun) {
+      return plan;
+    }
+    const dropped = plan.replace
+        .map(item => item.existingName)
+        .concat(plan.drop),
+      created = plan.create.concat(plan.replace.map(item => item.name)),
+      indexes = this.indexes.filter(index => created.includes(index.name));
+    for (const { name, expireAfterSeconds } of plan.modify) {
+      await this.database.command({
+        collMod: this.collectionName,
+        index: { name, expireAfterSeconds }
+      });
+    }
+    for (const name of dropped) {
+      await this.collection.dropIndex(name);
+    }
+    if (indexes.length > 0) {
+      await this.collection.createIndexes(indexes);
+    }
+    return plan;
+  }
+
+  /**
+   * If soft delete is enabled, adds a filter to the query that hides the deleted
+   * documents from the reads and the writes, except restore and purge. Queries
+   * that already filter by the deletedAtField are left untouched.
+   *
+   * @param {Object} query: MongoDB query.
+   */
+  _excludeDeleted(query) {
+    if (!this.softDelete) {
+      return query;
+    }
+    query = query || {};
+    if (query.hasOwnProperty(this.deletedAtField)) {
+      return query;
+    }
+    return Object.assign({}, query, { [this.deletedAtField]: null });
+  }
+
+  /**
+   * Adds a filter to the query that only matches soft deleted documents
+   *
+   * @param {Object} query: MongoDB query.
+   */
+  _onlyDeleted(query) {
+    return Object.assign({}, query, { [this.deletedAtField]: { $ne: null } });
+  }
+
   /**
    * Returns the quizzes that satisfy a query
    *
@@ -107,14 +626,247 @@ class GenericCrudService {
    * @param {Number} skip: Used for pagination. Defines how many documents of the result query must be skipped before returing the objects.
    * @param {Object} sort: MongoDB sort options.
    * @param {Object} projection: Used for projection. Defines which fields of the objects must be returned. Useful for optimizing queries.
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async list(query, limit, skip, sort, projection) {
+  async list(query, limit, skip, sort, projection, options = {}) {
     this.verifyConnection();
-    const cursor = await this.collection.find(query, {
+    const cursor = await this.collection.find(this._excludeDeleted(query), {
       limit,
       skip,
       sort,
-      projection
+      projection,
+      session: options.session
+    });
+    return cursor.toArray();
+  }
+
+  /**
+   * Translates a REST query string to the arguments of list, using the
+   * filterable, sortable and selectable fields of the service. For example:
+   *
+   * ?name[like]=tom&age[gte]=3&status[in]=a,b&sort=-createdAt,name&fields=name,age&page=2
+   *
+   * @param {String|URLSearchParams|Object} input: The query string or its parsed parameters
+   * @returns {{query: Object, limit: Number, skip: Number, sort: Object, projection: Object}}
+   * @throws {QueryStringError} If a parameter is not allowed or its value is not valid
+   */
+  parseQueryString(input) {
+    return queryString.parse(input, {
+      filterable: this.filterable,
+      sortable: this.sortable,
+      selectable: this.selectable,
+      defaultLimit: this.DEFAULT_PAGE_SIZE,
+      maxLimit: this.maxPageSize
+    });
+  }
+
+  /**
+   * Returns a page of the documents that satisfy a query using keyset (cursor based)
+   * pagination, which stays fast and stable on large collections.
+   *
+   * The cursors are opaque strings built from the values of the sort fields. The _id
+   * field is always used as the last sort field to break ties. Null and missing values
+   * are placed like MongoDB sorts them. A cursor can only be used with the same sort
+   * fields and directions it was built with.
+   *
+   * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   * @param {Number} [options.first=DEFAULT_PAGE_SIZE]: Max number of documents in the page.
+   * @param {String} [options.after]: Cursor. If passed, returns the documents after it.
+   * @param {String} [options.before]: Cursor. If passed, returns the documents before it.
+   * @param {Object} [options.sort={_id: 1}]: MongoDB sort options.
+   * @param {Object} [options.projection]: Used for projection. The sort fields are always returned.
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Object} { items, pageInfo: { hasNextPage, hasPreviousPage, startCursor, endCursor } }
+   */
+  async listPage(
+    query,
+    {
+      first = this.DEFAULT_PAGE_SIZE,
+      after,
+      before,
+      sort = {},
+      projection,
+      session
+    } = {}
+  ) {
+    this.verifyConnection();
+    assert(
+      Number.isInteger(first) && first > 0,
+      "The 'first' option must be a positive integer"
+    );
+    assert(
+      !(after && before),
+      "The 'after' and 'before' options cannot be used together"
+    );
+    const sortKeys = [];
+    for (const field in sort) {
+      sortKeys.push([field, sort[field] < 0 ? -1 : 1]);
+      if (field === "_id") {
+        break;
+      }
+    }
+    if (!sortKeys.some(([field]) => field === "_id")) {
+      sortKeys.push(["_id", 1]);
+    }
+    const fields = sortKeys.map(([field]) => field),
+      cursor = before || after,
+      backward = Boolean(before),
+      /* Going backward means reading the reversed sort after the cursor */
+      querySortKeys = backward
+        ? sortKeys.map(([field, direction]) => [field, -direction])
+        : sortKeys,
+      reversedSortKeys = querySortKeys.map(([field, direction]) => [
+        field,
+        -direction
+      ]),
+      baseQuery = this._excludeDeleted(query) || {},
+      cursorValues = cursor ? decodeCursor(sortKeys, cursor) : null;
+    assert(!cursor || cursorValues, "The cursor is not valid for this sort");
+
+    const documents = await this.collection
+      .find(
+        cursor
+          ? { $and: [baseQuery, keysetFilter(querySortKeys, cursorValues)] }
+          : baseQuery,
+        {
+          sort: querySortKeys,
+          limit: first + 1,
+          projection: keysetProjection(projection, fields),
+          session
+        }
+      )
+      .toArray();
+    const hasMore = documents.length > first,
+      items = documents.slice(0, first);
+
+    /* Checks if there are documents on the other side of the page */
+    let hasOtherSide = false;
+    if (cursor) {
+      const otherSideFilter =
+        items.length > 0
+          ? keysetFilter(
+              reversedSortKeys,
+              fields.map(field => getPath(items[0], field))
+            )
+          : keysetFilter(reversedSortKeys, cursorValues, true);
+      hasOtherSide = Boolean(
+        await this.collection.findOne(
+          { $and: [baseQuery, otherSideFilter] },
+          { projection: { _id: 1 }, session }
+        )
+      );
+    }
+
+    if (backward) {
+      items.reverse();
+    }
+    return {
+      items,
+      pageInfo: {
+        hasNextPage: backward ? hasOtherSide : hasMore,
+        hasPreviousPage: backward ? hasMore : hasOtherSide,
+        startCursor: items.length > 0 ? encodeCursor(sortKeys, items[0]) : null,
+        endCursor:
+          items.length > 0
+            ? encodeCursor(sortKeys, items[items.length - 1])
+            : null
+      }
+    };
+  }
+
+  /**
+   * Returns a page of the documents that satisfy a query along with the total count
+   * of documents. Uses a single $facet aggregation, so both numbers are consistent.
+   *
+   * https://docs.mongodb.com/manual/reference/operator/aggregation/facet/
+   *
+   * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   * @param {Number} [options.page=1]: The page number, starting from 1.
+   * @param {Number} [options.pageSize=DEFAULT_PAGE_SIZE]: Number of documents per page. Cannot be greater than maxPageSize.
+   * @param {Object} [options.sort]: MongoDB sort options. The _id field is appended to break ties.
+   * @param {Object} [options.projection]: Used for projection. Defines which fields of the objects must be returned.
+   * @param {ClientSession} [options.session]: MongoDB session
+   * @returns {Object} { items, total, page, pageSize, totalPages }
+   */
+  async paginate(
+    query,
+    {
+      page = 1,
+      pageSize = Math.min(this.DEFAULT_PAGE_SIZE, this.maxPageSize),
+      sort,
+      projection,
+      session
+    } = {}
+  ) {
+    this.verifyConnection();
+    assert(
+      Number.isInteger(page) && page > 0,
+      "The 'page' option must be a positive integer"
+    );
+    assert(
+      Number.isInteger(pageSize) && pageSize > 0,
+      "The 'pageSize' option must be a positive integer"
+    );
+    assert(
+      pageSize <= this.maxPageSize,
+      `The 'pageSize' option cannot be greater than ${this.maxPageSize}`
+    );
+    const pipeline = [{ $match: this._excludeDeleted(query) || {} }],
+      itemsPipeline = [{ $skip: (page - 1) * pageSize }, { $limit: pageSize }];
+    /*
+     * Sorting before the $facet stage allows MongoDB to use the indexes. The _id
+     * breaks the ties, so the page boundaries are stable
+     */
+    sort = Object.assign({}, sort);
+    if (!sort.hasOwnProperty("_id")) {
+      sort._id = 1;
+    }
+    pipeline.push({ $sort: sort });
+    if (projection && Object.keys(projection).length > 0) {
+      itemsPipeline.push({ $project: projection });
+    }
+    pipeline.push({
+      $facet: {
+        items: itemsPipeline,
+        total: [{ $count: "count" }]
+      }
+    });
+    const [result] = await this.collection
+        .aggregate(pipeline, { session })
+        .toArray(),
+      total = result.total.length > 0 ? result.total[0].count : 0;
+    return {
+      items: result.items,
+      total,
+      page,
+      pageSize,
+      totalPages: Math.ceil(total / pageSize)
+    };
+  }
+
+  /**
+   * Returns the soft deleted documents that satisfy a query
+   *
+   * @param {Object} query: MongoDB query.
+   * @param {Number} limit: Used for pagination. Defines how many documents can fit in the result set.
+   * @param {Number} skip: Used for pagination. Defines how many documents of the result query must be skipped before returing the objects.
+   * @param {Object} sort: MongoDB sort options.
+   * @param {Object} projection: Used for projection. Defines which fields of the objects must be returned. Useful for optimizing queries.
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
+   */
+  async listDeleted(query, limit, skip, sort, projection, options = {}) {
+    this.verifyConnection();
+    assert(this.softDelete, "Soft delete is not enabled for this service");
+    const cursor = await this.collection.find(this._onlyDeleted(query), {
+      limit,
+      skip,
+      sort,
+      projection,
+      session: options.session
     });
     return cursor.toArray();
   }
@@ -123,25 +875,34 @@ class GenericCrudService {
    * Returns the count of documents that satisfy a query
    *
    * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async count(query) {
+  async count(query, options = {}) {
     this.verifyConnection();
-    return await this.collection.countDocuments(query);
+    return await this.collection.countDocuments(this._excludeDeleted(query), {
+      session: options.session
+    });
   }
 
   /**
    * Verifies if an object exists or not
    *
    * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async exists(query) {
+  async exists(query, options = {}) {
     this.verifyConnection();
     assert(typeof query === "object", "The query must be an non-empty object");
     assert(
       Object.keys(query).length > 0,
       "The query must be an non-empty object"
     );
-    const object = await this.collection.findOne(query, { _id: 1 });
+    const object = await this.collection.findOne(this._excludeDeleted(query), {
+      projection: { _id: 1 },
+      session: options.session
+    });
     if (object) {
       return true;
     }
@@ -152,11 +913,20 @@ class GenericCrudService {
    * Creates a document and returns it
    *
    * @param {Object} document: JSON document to be stored in MongoDB
+   * @param {Object} [options={}]: http://mongodb.github.io/node-mongodb-native/3.1/api/Collection.html#insertOne
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async create(document) {
+  async create(document, options = {}) {
     this.verifyConnection();
+    this._validateDocument(document);
     document[this.creationDateField] = this._generate_timestamp();
-    const response = await this.collection.insertOne(document);
+    if (this.versioning) {
+      document[this.versionField] = 0;
+    }
+    const response = await this.collection.insertOne(
+      document,
+      this._driverOptions(options)
+    );
     return response.ops[0];
   }
 
@@ -165,10 +935,16 @@ class GenericCrudService {
    *
    * @param {Object} query: MongoDB query.
    * @param {Object} projection: Used for projection. Defines which fields of the objects must be returned. Useful for optimizing queries.
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async get(query, projection = {}) {
+  async get(query, projection = {}, options = {}) {
     this.verifyConnection();
-    return await this.collection.findOne(query, { projection });
+    const object = await this.collection.findOne(this._excludeDeleted(query), {
+      projection,
+      session: options.session
+    });
+    return this._found(object, query, options);
   }
 
   /**
@@ -176,11 +952,20 @@ class GenericCrudService {
    *
    * @param {ObjectId|String} _id: The MongoDB Id of the requested document
    * @param {Object} projection: Used for projection. Defines which fields of the objects must be returned. Useful for optimizing queries.
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async getById(_id, projection = {}) {
+  async getById(_id, projection = {}, options = {}) {
     this.verifyConnection();
     _id = this.generateObjectId(_id);
-    return await this.collection.findOne({ _id }, { projection });
+    const object = await this.collection.findOne(
+      this._excludeDeleted({ _id }),
+      {
+        projection,
+        session: options.session
+      }
+    );
+    return this._found(object, { _id }, options);
   }
 
   /**
@@ -192,24 +977,32 @@ class GenericCrudService {
    * @param {Object} update: MongoDB update operations
    * @param {Object} [options={}]:
    * @param {boolean} [options.returnOriginal=false]:
+   * @param {Number} [options.expectedVersion]: If versioning is enabled, the update is only
+   * applied if the document has this version. Otherwise a VersionConflict is thrown
    */
   async update(query, update, options = {}) {
     this.verifyConnection();
+    this._validateUpdate(update);
+    /* The soft deleted documents cannot be changed until they are restored */
+    query = this._excludeDeleted(query);
     if (!update.$set) {
       update.$set = {};
     }
     update.$set[this.modificationDateField] = this._generate_timestamp();
     const response = await this.collection.findOneAndUpdate(
-      query,
+      this._applyVersion(query, update, options.expectedVersion),
       update,
       Object.assign(
         {
           returnOriginal: false
         },
-        options
+        this._driverOptions(options)
       )
     );
-    return response.value;
+    if (!response.value) {
+      await this._checkVersionConflict(query, options);
+    }
+    return this._found(response.value, query, options);
   }
 
   /**
@@ -246,6 +1039,8 @@ class GenericCrudService {
    * @param {Object} data: The data to be updated
    * @param {Object} [options={}]:
    * @param {boolean} [options.returnOriginal=false]:
+   * @param {Number} [options.expectedVersion]: If versioning is enabled, the patch is only
+   * applied if the document has this version. Otherwise a VersionConflict is thrown
    * @returns {Object}
    */
   async patch(query, data, options = {}) {
@@ -258,20 +1053,26 @@ class GenericCrudService {
         }
       }
     }
+    this._validateFields(data);
     data[this.modificationDateField] = this._generate_timestamp();
+    query = this._excludeDeleted(query);
+    const update = {
+      $set: data
+    };
     const response = await this.collection.findOneAndUpdate(
-      query,
-      {
-        $set: data
-      },
+      this._applyVersion(query, update, options.expectedVersion),
+      update,
       Object.assign(
         {
           returnOriginal: false
         },
-        options
+        this._driverOptions(options)
       )
     );
-    return response.value;
+    if (!response.value) {
+      await this._checkVersionConflict(query, options);
+    }
+    return this._found(response.value, query, options);
   }
 
   /**
@@ -292,18 +1093,35 @@ class GenericCrudService {
   }
 
   /**
-   * Deletes documents
+   * Deletes documents. If soft delete is enabled, the document is only
+   * stamped with the deletedAtField and the stamped document is returned.
    *
    * @param {ObjectId|String} _id: The MongoDB Id of the requested document
    * @param {Object} [options={}]:
    */
   async remove(query, options = {}) {
     this.verifyConnection();
+    if (this.softDelete) {
+      const update = {
+        $set: { [this.deletedAtField]: this._generate_timestamp() }
+      };
+      const response = await this.collection.findOneAndUpdate(
+        this._applyVersion(this._excludeDeleted(query), update),
+        update,
+        Object.assign(
+          {
+            returnOriginal: false
+          },
+          this._driverOptions(options)
+        )
+      );
+      return this._found(response.value, query, options);
+    }
     const response = await this.collection.findOneAndDelete(
       query,
-      Object.assign({}, options)
+      this._driverOptions(options)
     );
-    return response.value;
+    return this._found(response.value, query, options);
   }
 
   /**
@@ -318,6 +1136,323 @@ class GenericCrudService {
     return await this.remove({ _id }, options);
   }
 
+  /**
+   * Restores a soft deleted document by unsetting the deletedAtField
+   *
+   * Options: http://mongodb.github.io/node-mongodb-native/3.1/api/Collection.html#findOneAndUpdate
+   *
+   * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.returnOriginal=false]:
+   */
+  async restore(query, options = {}) {
+    this.verifyConnection();
+    assert(this.softDelete, "Soft delete is not enabled for this service");
+    const update = {
+      $unset: { [this.deletedAtField]: "" },
+      $set: { [this.modificationDateField]: this._generate_timestamp() }
+    };
+    const response = await this.collection.findOneAndUpdate(
+      this._applyVersion(this._onlyDeleted(query), update),
+      update,
+      Object.assign(
+        {
+          returnOriginal: false
+        },
+        this._driverOptions(options)
+      )
+    );
+    return this._found(response.value, query, options);
+  }
+
+  /**
+   * Alias for restore method with an _id lookup
+   *
+   * @param {ObjectId|String} _id: The MongoDB Id of the requested document
+   * @param {Object} [options={}]:
+   */
+  async restoreById(_id, options = {}) {
+    this.verifyConnection();
+    _id = this.generateObjectId(_id);
+    return await this.restore({ _id }, options);
+  }
+
+  /**
+   * Permanently deletes the soft deleted documents that satisfy a query.
+   * Returns the number of deleted documents
+   *
+   * @param {Object} query: MongoDB query.
+   * @param {Object} [options={}]:
+   */
+  async purge(query, options = {}) {
+    this.verifyConnection();
+    assert(this.softDelete, "Soft delete is not enabled for this service");
+    const response = await this.collection.deleteMany(
+      this._onlyDeleted(query),
+      this._driverOptions(options)
+    );
+    return response.deletedCount;
+  }
+
+  /**
+   * Transforms a bulkWrite operation of this service into a MongoDB driver
+   * operation, applying the same timestamps, validation and soft delete rules
+   * as the single document methods.
+   *
+   * @param {Object} operation: One of { create }, { patch: { query, data } },
+   * { update: { query, update } } or { remove: { query } }
+   */
+  _bulkOperation(operation) {
+    const [type] = Object.keys(operation),
+      payload = operation[type];
+    switch (type) {
+      case "create": {
+        this._validateDocument(payload);
+        payload[this.creationDateField] = this._generate_timestamp();
+        if (this.versioning) {
+          payload[this.versionField] = 0;
+        }
+        if (payload._id === undefined) {
+          payload._id = this.generateObjectId();
+        }
+        return { insertOne: { document: payload } };
+      }
+      case "patch": {
+        const data = payload.data;
+        for (const key in data) {
+          if (data.hasOwnProperty(key) && data[key] === undefined) {
+            delete data[key];
+          }
+        }
+        this._validateFields(data);
+        data[this.modificationDateField] = this._generate_timestamp();
+        const update = { $set: data };
+        return {
+          updateOne: {
+            filter: this._applyVersion(
+              this._excludeDeleted(payload.query),
+              update
+            ),
+            update
+          }
+        };
+      }
+      case "update": {
+        const update = payload.update;
+        this._validateUpdate(update);
+        if (!update.$set) {
+          update.$set = {};
+        }
+        update.$set[this.modificationDateField] = this._generate_timestamp();
+        return {
+          updateOne: {
+            filter: this._applyVersion(
+              this._excludeDeleted(payload.query),
+              update
+            ),
+            update
+          }
+        };
+      }
+      case "remove": {
+        if (this.softDelete) {
+          const update = {
+            $set: { [this.deletedAtField]: this._generate_timestamp() }
+          };
+          return {
+            updateOne: {
+              filter: this._applyVersion(
+                this._excludeDeleted(payload.query),
+                update
+              ),
+              update
+            }
+          };
+        }
+        return { deleteOne: { filter: payload.query } };
+      }
+      default:
+        throw new assert.AssertionError({
+          message: `Unknown bulk operation '${type}'`
+        });
+    }
+  }
+
+  /**
+   * Executes many create, patch, update and remove operations in a single
+   * round-trip. Each operation is an object with a single key:
+   *
+   * - { create: document }
+   * - { patch: { query, data } }
+   * - { update: { query, update } }
+   * - { remove: { query } }
+   *
+   * Patch, update and remove operations affect only the first document that
+   * matches their query. Operations that fail the schema validation are not sent
+   * to MongoDB and are reported as errors.
+   *
+   * Options: http://mongodb.github.io/node-mongodb-native/3.1/api/Collection.html#bulkWrite
+   *
+   * @param {Array<Object>} operations: The operations to be executed
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.ordered=true]: If true, the execution stops at the first error
+   * @returns {Object} { results, errors, insertedCount, matchedCount, modifiedCount, deletedCount }.
+   * Each result is { index, operation, status, _id } where status is "ok", "error" or "skipped"
+   */
+  async bulkWrite(operations, options = {}) {
+    this.verifyConnection();
+    assert(Array.isArray(operations), "The operations must be an array");
+    const ordered = options.ordered !== false,
+      results = operations.map((operation, index) => ({
+        index,
+        operation: Object.keys(operation)[0],
+        status: "skipped"
+      })),
+      errors = [],
+      driverOperations = [],
+      indexes = [];
+
+    for (let i = 0; i < operations.length; i++) {
+      try {
+        driverOperations.push(this._bulkOperation(operations[i]));
+        indexes.push(i);
+      } catch (error) {
+        const item = {
+          index: i,
+          operation: results[i].operation,
+          code: error.code,
+          message: error.message
+        };
+        if (error.errors) {
+          item.errors = error.errors;
+        }
+        results[i].status = "error";
+        errors.push(item);
+        if (ordered) {
+          break;
+        }
+      }
+    }
+
+    let response = null,
+      writeErrors = [];
+    if (driverOperations.length > 0) {
+      try {
+        response = await this.collection.bulkWrite(
+          driverOperations,
+          Object.assign(this._driverOptions(options), { ordered })
+        );
+      } catch (error) {
+        if (
+          !error.result ||
+          typeof error.result.getWriteErrors !== "function"
+        ) {
+          throw error;
+        }
+        writeErrors = error.result.getWriteErrors();
+        /* The write concern errors do not belong to any operation */
+        if (
+          writeErrors.length === 0 ||
+          (typeof error.result.getWriteConcernError === "function" &&
+            error.result.getWriteConcernError())
+        ) {
+          throw error;
+        }
+        response = error.result;
+      }
+    }
+
+    const failed = {};
+    for (const writeError of writeErrors) {
+      failed[writeError.index] = writeError;
+    }
+    const lastExecuted =
+      ordered && writeErrors.length > 0
+        ? Math.min(...writeErrors.map(writeError => writeError.index))
+        : driverOperations.length - 1;
+    indexes.forEach((index, driverIndex) => {
+      const result = results[index];
+      if (failed[driverIndex]) {
+        result.status = "error";
+        errors.push({
+          index,
+          operation: result.operation,
+          code: failed[driverIndex].code,
+          message: failed[driverIndex].errmsg
+        });
+      } else if (driverIndex <= lastExecuted) {
+        result.status = "ok";
+        if (result.operation === "create") {
+          result._id = driverOperations[driverIndex].insertOne.document._id;
+        }
+      }
+    });
+    errors.sort((a, b) => a.index - b.index);
+
+    return {
+      results,
+      errors,
+      insertedCount: response ? response.nInserted : 0,
+      matchedCount: response ? response.nMatched : 0,
+      modifiedCount: response ? response.nModified || 0 : 0,
+      deletedCount: response ? response.nRemoved : 0
+    };
+  }
+
+  /**
+   * Creates many documents in a single round-trip. See bulkWrite.
+   *
+   * @param {Array<Object>} documents: JSON documents to be stored in MongoDB
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.ordered=true]: If true, the execution stops at the first error
+   */
+  async createMany(documents, options = {}) {
+    assert(Array.isArray(documents), "The documents must be an array");
+    return await this.bulkWrite(
+      documents.map(document => ({ create: document })),
+      options
+    );
+  }
+
+  /**
+   * Partially updates many documents in a single round-trip. See bulkWrite.
+   *
+   * @param {Array<{query: Object, data: Object}>} items: The query and data of every patch
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.ordered=true]: If true, the execution stops at the first error
+   */
+  async patchMany(items, options = {}) {
+    assert(Array.isArray(items), "The items must be an array");
+    return await this.bulkWrite(items.map(item => ({ patch: item })), options);
+  }
+
+  /**
+   * Updates many documents in a single round-trip. See bulkWrite.
+   *
+   * @param {Array<{query: Object, update: Object}>} items: The query and update operations of every update
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.ordered=true]: If true, the execution stops at the first error
+   */
+  async updateMany(items, options = {}) {
+    assert(Array.isArray(items), "The items must be an array");
+    return await this.bulkWrite(items.map(item => ({ update: item })), options);
+  }
+
+  /**
+   * Deletes many documents in a single round-trip, one per query. See bulkWrite.
+   *
+   * @param {Array<Object>} queries: MongoDB queries
+   * @param {Object} [options={}]:
+   * @param {boolean} [options.ordered=true]: If true, the execution stops at the first error
+   */
+  async removeMany(queries, options = {}) {
+    assert(Array.isArray(queries), "The queries must be an array");
+    return await this.bulkWrite(
+      queries.map(query => ({ remove: { query } })),
+      options
+    );
+  }
+
   /**
    * Obtains a list of subdocuments. Can be filtered using the $filter aggregation pipeline.
    *
@@ -327,33 +1462,42 @@ class GenericCrudService {
    * @param {String} embeddedField: The name of the subdocument array field
    * @param {String} as: alias used by $filter for each element of the list, used to interpret the filter
    * @param {Object} query: Filters applied to the $filter aggregation
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async listSubdocuments(_id, embeddedField, as = "item", query = {}) {
+  async listSubdocuments(
+    _id,
+    embeddedField,
+    as = "item",
+    query = {},
+    options = {}
+  ) {
     this.verifyConnection();
     _id = this.generateObjectId(_id);
     const objects = await this.collection
-      .aggregate([
-        { $match: { _id } },
-        {
-          $project: {
-            [embeddedField]: {
-              $filter: {
-                input: `$${embeddedField}`,
-                as: as,
-                cond: query
+      .aggregate(
+        [
+          { $match: this._excludeDeleted({ _id }) },
+          {
+            $project: {
+              [embeddedField]: {
+                $filter: {
+                  input: `$${embeddedField}`,
+                  as: as,
+                  cond: query
+                }
               }
             }
           }
-        }
-      ])
+        ],
+        { session: options.session }
+      )
       .toArray();
     const [object] = objects;
-    if (!objects) {
-      return;
+    if (!this._found(object, { _id }, options)) {
+      return [];
     }
-    return object && object[embeddedField].length > 0
-      ? object[embeddedField]
-      : null;
+    return object[embeddedField] || [];
   }
 
   /**
@@ -368,8 +1512,16 @@ class GenericCrudService {
    * @param {String} embeddedField: The name of the subdocument array field
    * @param {Object} query: The query used to search for the subdocument to be pulled
    * @param {Object} [projection={}]: MongoDB projection object
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session
    */
-  async getSubdocument(_id, embeddedField, query, projection = {}) {
+  async getSubdocument(
+    _id,
+    embeddedField,
+    query,
+    projection = {},
+    options = {}
+  ) {
     _id = this.generateObjectId(_id);
     const object = await this.get(
       {
@@ -381,11 +1533,10 @@ class GenericCrudService {
       Object.assign(projection, {
         [embeddedField]: 1,
         [`${embeddedField}.$`]: 1
-      })
+      }),
+      options
     );
-    return object && object[embeddedField].length > 0
-      ? object[embeddedField][0]
-      : null;
+    return object ? object[embeddedField][0] : null;
   }
 
   /**
@@ -422,6 +1573,8 @@ class GenericCrudService {
    * @param {Object} query: The query used to search for the subdocument to be pulled
    * @param {Object} data: The data to be updated
    * @param {Object} [options={}]:
+   * @param {Number} [options.expectedVersion]: If versioning is enabled, the patch is only
+   * applied if the document has this version. Otherwise a VersionConflict is thrown
    * @returns {Object}
    */
   async patchSubdocument(_id, embeddedField, query, data, options = {}) {
@@ -0,0 +1,381 @@
+const { ObjectId } = require("mongodb"),
+  assert = require("assert"),
+  fs = require("fs"),
+  path = require("path"),
+  AuditedCrudService = require("./AuditedCrudService"),
+  ClientNotConnected = require("./exceptions/ClientNotConnected"),
+  MigrationLockError = require("./exceptions/MigrationLockError"),
+  { runTransaction } = require("./utils/transaction");
+
+const DUPLICATE_KEY = 11000,
+  /* Matches the migration files, like 20181105120000-add-owner.js */
+  FILE_NAME = /^(\d+)[-_](.+)\.js$/;
+
+function compareVersions(a, b) {
+  return a.localeCompare(b, "en", { numeric: true });
+}
+
+/**
+ * Loads the migrations of a directory. Every file is named
+ * <version>-<name>.js and exports its up and down functions.
+ *
+ * @param {String} directory: The directory path
+ * @returns {Array<Object>}
+ */
+function loadMigrations(directory) {
+  return fs
+    .readdirSync(directory)
+    .filter(file => FILE_NAME.test(file))
+    .map(file => {
+      const [, version, name] = FILE_NAME.exec(file);
+      return Object.assign(
+        { version, name },
+        require(path.resolve(directory, file))
+      );
+    });
+}
+
+/**
+ * Runs versioned data migrations. The applied migrations are stored in a
+ * collection, and a lock document in the same collection prevents
+ * concurrent runners.
+ *
+ * A migration is { version, name, up, down, transaction }. up and down are
+ * async (services, { session, client, database }) functions, where services
+ * are the services passed to the Migrator. The writes of the migrations run
+ * inside an audit context with the Migrator user, so the audits of the
+ * AuditedCrudServices store it and the migration version.
+ *
+ * While the migrations run, the runner extends the expiration of its lock
+ * every third of the lockTimeout, and it checks that it still holds the lock
+ * before recording each migration, so a slow runner whose lock was taken
+ * over stops instead of recording its migrations twice.
+ */
+class Migrator {
+  /**
+   * Creates an instance of a Migrator
+   *
+   * @param {MongoClient} client: A MongoClient instance from the NodeJS MongoDB driver. It has to be
+   * connected when running the migrations
+   * @param {String} databaseName: The database name
+   * @param {Object} options:
+   * @param {String} [options.directory]: The directory of the migration files, named <version>-<name>.js,
+   * like 20181105120000-add-owner.js. Each file exports up, down and optionally transaction
+   * @param {Array<Object>} [options.migrations]: The migrations, instead of a directory. Each one is
+   * { version, name, up, down, transaction }
+   * @param {Object} [options.services={}]: The services passed to the migrations, like { cats: catService }
+   * @param {String} [options.collectionName="migrations"]: The collection of the applied migrations
+   * @param {boolean} [options.transaction=false]: If true, every migration runs inside a transaction with
+   * its bookkeeping. A migration can override it with its transaction attribute
+   * @param {*} [options.user="system"]: The user of the audits of the migrations
+   * @param {Number} [options.lockTimeout=600000]: Milliseconds after which a lock that was not released
+   * or extended, for example because the runner crashed, is ignored
+   */
+  constructor(client, databaseName, options = {}) {
+    assert(
+      client.constructor.name === "MongoClient",
+      "client MUST be an instance of MongoClient"
+    );
+    assert(typeof databaseName === "string", "databaseName MUST be a string");
+    assert(
+      Boolean(options.directory) !== Boolean(options.migrations),
+      "Either the directory or the migrations option is required"
+    );
+    const migrations = options.directory
+      ? loadMigrations(options.directory)
+      : options.migrations;
+    assert(Array.isArray(migrations), "The migrations must be an array");
+    const versions = new Set();
+    for (const migration of migrations) {
+      assert(
+        typeof migration.version === "string" && migration.version !== "",
+        "Every migration must have a version string"
+      );
+      assert(
+        migration.version !== this.LOCK_ID,
+        `The version ${this.LOCK_ID} is reserved for the lock`
+      );
+      assert(
+        !versions.has(migration.version),
+        `The version ${migration.version} is duplicated`
+      );
+      assert(
+        typeof migration.up === "function",
+        `The migration ${migration.version} does not have an up function`
+      );
+      versions.add(migration.version);
+    }
+    this.client = client;
+    this.databaseName = databaseName;
+    this.migrations = migrations
+      .slice()
+      .sort((a, b) => compareVersions(a.version, b.version));
+    this.services = options.services || {};
+    this.collectionName = options.collectionName || "migrations";
+    this.transaction = Boolean(options.transaction);
+    this.user = options.user !== undefined ? options.user : this.SYSTEM_USER;
+    this.lockTimeout = options.lockTimeout || 10 * 60 * 1000;
+  }
+
+  get SYSTEM_USER() {
+    return "system";
+  }
+
+  get LOCK_ID() {
+    return "lock";
+  }
+
+  /**
+   * Verifies if the client is connected, if it is, then it sets the
+   * database and collection attributes
+   */
+  verifyConnection() {
+    if (!this.client.isConnected()) {
+      throw new ClientNotConnected(
+        "This client is not connected, it cannot perform operations"
+      );
+    }
+    if (!this.database) {
+      this.database = this.client.db(this.databaseName);
+      this.collection = this.database.collection(this.collectionName);
+    }
+  }
+
+  /**
+   * Returns the state of every migration, sorted by version. The applied
+   * migrations whose file no longer exists are included with missing: true
+   *
+   * @returns {Array<Object>} [{ version, name, applied, appliedAt, missing }]
+   */
+  async status() {
+    this.verifyConnection();
+    const applied = await this._applied(),
+      result = this.migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: applied.has(migration.version),
+        appliedAt: applied.has(migration.version)
+          ? applied.get(migration.version).appliedAt
+          : null,
+        missing: false
+      }));
+    for (const record of applied.values()) {
+      if (
+        !this.migrations.some(migration => migration.version === record._id)
+      ) {
+        result.push({
+          version: record._id,
+          name: record.name,
+          applied: true,
+          appliedAt: record.appliedAt,
+          missing: true
+        });
+      }
+    }
+    return result.sort((a, b) => compareVersions(a.version, b.version));
+  }
+
+  /**
+   * Applies the pending migrations in version order. It stops at the first
+   * migration that fails, leaving the previous ones applied.
+   *
+   * @param {Object} [options={}]:
+   * @param {String} [options.to]: The last version to apply. By default, all of them
+   * @returns {Array<Object>} The applied migrations: [{ version, name }]
+   * @throws {MigrationLockError} If another runner holds the lock, or takes it over while running
+   */
+  async up(options = {}) {
+    this.verifyConnection();
+    return await this._withLock(async owner => {
+      const applied = await this._applied(),
+        pending = this.migrations.filter(
+          migration =>
+            !applied.has(migration.version) &&
+            (options.to === undefined ||
+              compareVersions(migration.version, options.to) <= 0)
+        );
+      for (const migration of pending) {
+        await this._run(migration, "up", owner);
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  /**
+   * Reverts the applied migrations in reverse version order.
+   *
+   * @param {Object} [options={}]:
+   * @param {String} [options.to]: Reverts the migrations after this version. Use "0" to revert all of them
+   * @param {Number} [options.steps=1]: The number of migrations to revert when there is no to option
+   * @returns {Array<Object>} The reverted migrations: [{ version, name }]
+   * @throws {MigrationLockError} If another runner holds the lock, or takes it over while running
+   */
+  async down(options = {}) {
+    this.verifyConnection();
+    const steps = options.steps === undefined ? 1 : options.steps;
+    assert(
+      Number.isInteger(steps) && steps >= 0,
+      "The steps must be a non-negative integer"
+    );
+    return await this._withLock(async owner => {
+      const applied = await this._applied(),
+        candidates = Array.from(applied.keys())
+          .sort(compareVersions)
+          .reverse(),
+        versions =
+          options.to === undefined
+            ? candidates.slice(0, steps)
+            : candidates.filter(
+                version => compareVersions(version, options.to) > 0
+              ),
+        migrations = versions.map(version => {
+          const migration = this.migrations.find(
+            item => item.version === version
+          );
+          assert(migration, `The migration ${version} does not exist`);
+          assert(
+            typeof migration.down === "function",
+            `The migration ${version} does not have a down function`
+          );
+          return migration;
+        });
+      for (const migration of migrations) {
+        await this._run(migration, "down", owner);
+      }
+      return migrations.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  /**
+   * Returns the applied migrations by version
+   *
+   * @returns {Map<String, Object>}
+   */
+  async _applied() {
+    const records = await this.collection
+      .find({ _id: { $ne: this.LOCK_ID } })
+      .toArray();
+    return new Map(records.map(record => [record._id, record]));
+  }
+
+  /**
+   * Extends the lock of an owner. Returns false if the owner lost the lock
+   *
+   * @param {String} owner: The owner of the lock
+   * @param {ClientSession} [session]
+   * @returns {boolean}
+   */
+  async _extendLock(owner, session) {
+    const { matchedCount } = await this.collection.updateOne(
+      { _id: this.LOCK_ID, owner, locked: true },
+      { $set: { expiresAt: new Date(Date.now() + this.lockTimeout) } },
+      { session }
+    );
+    return matchedCount === 1;
+  }
+
+  /**
+   * Runs a migration and records it, inside a transaction if enabled. The
+   * migration is not recorded if the owner lost the lock
+   *
+   * @param {Object} migration
+   * @param {String} direction: "up" or "down"
+   * @param {String} owner: The owner of the lock
+   */
+  async _run(migration, direction, owner) {
+    const transaction =
+        migration.transaction !== undefined
+          ? migration.transaction
+          : this.transaction,
+      run = async session => {
+        await migration[direction](this.services, {
+          session,
+          client: this.client,
+          database: this.database
+        });
+        /* Inside a transaction, a takeover of the lock is a write conflict */
+        if (!(await this._extendLock(owner, session))) {
+          const lock =
+            (await this.collection.findOne({ _id: this.LOCK_ID })) || {};
+          throw new MigrationLockError(
+            lock.lockedAt,
+            lock.expiresAt,
+            `The lock was taken over by another runner before recording the migration ${
+              migration.version
+            }`
+          );
+        }
+        if (direction === "up") {
+          await this.collection.insertOne(
+            {
+              _id: migration.version,
+              name: migration.name,
+              appliedAt: new Date()
+            },
+            { session }
+          );
+        } else {
+          await this.collection.deleteOne(
+            { _id: migration.version },
+            { session }
+          );
+        }
+      };
+    await AuditedCrudService.runWithContext(
+      { user: this.user, migration: migration.version },
+      () => (transaction ? runTransaction(this.client, run) : run())
+    );
+  }
+
+  /**
+   * Runs a function while holding the lock. A lock that was not released
+   * before its expiration is taken over. The expiration is extended while the
+   * function runs.
+   *
+   * @param {Function} fn: async (owner) => result
+   */
+  async _withLock(fn) {
+    const owner = new ObjectId().toHexString(),
+      now = new Date();
+    try {
+      await this.collection.updateOne(
+        {
+          _id: this.LOCK_ID,
+          $or: [{ locked: false }, { expiresAt: { $lte: now } }]
+        },
+        {
+          $set: {
+            locked: true,
+            owner,
+            lockedAt: now,
+            expiresAt: new Date(now.getTime() + this.lockTimeout)
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) {
+        throw error;
+      }
+      const lock = (await this.collection.findOne({ _id: this.LOCK_ID })) || {};
+      throw new MigrationLockError(lock.lockedAt, lock.expiresAt);
+    }
+    /* A failed extension is detected by _run before recording */
+    const heartbeat = setInterval(
+      () => this._extendLock(owner).catch(() => {}),
+      this.lockTimeout / 3
+    );
+    heartbeat.unref();
+    try {
+      return await fn(owner);
+    } finally {
+      clearInterval(heartbeat);
+      await this.collection.updateOne(
+        { _id: this.LOCK_ID, owner },
+        { $set: { locked: false } }
+      );
+    }
+  }
+}
+
+module.exports = Migrator;
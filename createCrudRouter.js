@@ -0,0 +1,414 @@
+const { AssertionError } = require("assert"),
+  { STATUS_CODES } = require("http"),
+  { ObjectId } = require("mongodb"),
+  AuditedCrudService = require("./AuditedCrudService"),
+  ClientNotConnected = require("./exceptions/ClientNotConnected"),
+  DuplicateKeyError = require("./exceptions/DuplicateKeyError"),
+  InvalidIdError = require("./exceptions/InvalidIdError"),
+  NotFoundError = require("./exceptions/NotFoundError"),
+  QueryStringError = require("./exceptions/QueryStringError"),
+  ValidationError = require("./exceptions/ValidationError"),
+  VersionConflict = require("./exceptions/VersionConflict"),
+  WriteConflictError = require("./exceptions/WriteConflictError");
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Thrown by the router for the requests it cannot serve
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Returns the HTTP status of an error thrown by a service
+ *
+ * @param {Error} error
+ * @returns {Number}
+ */
+function statusOf(error) {
+  if (error instanceof HttpError) {
+    return error.status;
+  }
+  if (error instanceof NotFoundError) {
+    return 404;
+  }
+  if (error instanceof ValidationError) {
+    return 422;
+  }
+  if (
+    error instanceof VersionConflict ||
+    error instanceof DuplicateKeyError ||
+    error instanceof WriteConflictError
+  ) {
+    return 409;
+  }
+  if (
+    error instanceof InvalidIdError ||
+    error instanceof QueryStringError ||
+    error instanceof AssertionError
+  ) {
+    return 400;
+  }
+  if (error instanceof ClientNotConnected) {
+    return 503;
+  }
+  return 500;
+}
+
+function toObjectId(value, name) {
+  if (!ObjectId.isValid(value)) {
+    throw new InvalidIdError(
+      value,
+      `The '${name}' is not a valid id: ${value}`
+    );
+  }
+  return new ObjectId(value);
+}
+
+function decode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new HttpError(400, `The path segment is not valid: ${segment}`);
+  }
+}
+
+/**
+ * Reads the JSON body of a Node request
+ *
+ * @param {IncomingMessage} req
+ * @param {Number} maxSize: Max size in bytes
+ */
+function readBody(req, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size <= maxSize) {
+        chunks.push(chunk);
+      }
+    });
+    req.on("error", reject);
+    req.on("end", () => {
+      if (size > maxSize) {
+        return reject(new HttpError(413, "The request body is too large"));
+      }
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(text.trim() === "" ? undefined : JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, "The request body is not valid JSON"));
+      }
+    });
+  });
+}
+
+/**
+ * Creates a REST router for a service. The router is a Node request handler,
+ * so it can be passed to http.createServer or mounted in Express, and its koa
+ * property is a Koa middleware. The routes are:
+ *
+ * - GET / => list, filtered by the query string (see parseQueryString)
+ * - POST / => create
+ * - GET /:id => getById
+ * - PATCH /:id => patchById
+ * - PUT /:id => replaces the document, through updateById. With the updateOperators option, the
+ *   body holds MongoDB update operators instead
+ * - DELETE /:id => removeById
+ * - GET /:id/:embeddedField => listSubdocuments
+ * - POST /:id/:embeddedField => addSubdocument
+ * - GET /:id/:embeddedField/:embedId => getSubdocument
+ * - PATCH /:id/:embeddedField/:embedId => patchSubdocumentById
+ * - DELETE /:id/:embeddedField/:embedId => removeSubdocumentById
+ *
+ * The fields managed by the service (_id, the timestamps, deletedAt and the
+ * version) are removed from the bodies of the documents, and _id from the
+ * bodies of the subdocuments, so the clients cannot set them.
+ *
+ * The responses are JSON. The errors are sent as { error, message } with the
+ * HTTP status of the error, and the requests that match no route are passed
+ * to the next middleware (or answered with a 404 by the plain handler).
+ *
+ * @param {GenericCrudService} service: The service
+ * @param {Object} [options={}]:
+ * @param {String} [options.prefix=""]: Path where the routes are served, like "/cats"
+ * @param {Function} [options.getUser]: (req) => user. Extracts the user of the audits from the request
+ * (the Koa context in Koa). Only used by AuditedCrudServices
+ * @param {Array<String>} [options.embeddedFields]: The subdocument fields exposed by the subdocument
+ * routes. By default, any field
+ * @param {Number} [options.maxBodySize=1048576]: Max size of the request bodies in bytes
+ * @param {boolean} [options.updateOperators=false]: If true, the PUT bodies are MongoDB update operators
+ * passed as they are to updateById, so the clients can change any field, the managed ones included
+ * @param {Function} [options.onError=console.error]: Called with the errors answered with a 500
+ * @returns {Function} (req, res, next) => Promise
+ */
+function createCrudRouter(service, options = {}) {
+  const {
+    prefix = "",
+    getUser,
+    embeddedFields,
+    maxBodySize = DEFAULT_MAX_BODY_SIZE,
+    updateOperators = false,
+    onError = console.error
+  } = options;
+
+  /* The documents that are not found are answered with a 404 */
+  const strict = { strict: true },
+    managedFields = [
+      "_id",
+      service.creationDateField,
+      service.modificationDateField,
+      service.deletedAtField,
+      service.versionField
+    ];
+
+  /**
+   * Removes the managed fields from a request body, dot notation paths included
+   *
+   * @param {Object} body: The request body
+   * @param {Array<String>} fields: The managed fields
+   */
+  function writable(body, fields) {
+    const result = {};
+    for (const key of Object.keys(body)) {
+      if (!fields.includes(key.split(".")[0])) {
+        result[key] = body[key];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Replaces a document with the body: sets its fields and unsets the others.
+   * The body is validated as a whole document against the service schema
+   */
+  async function replace(id, body) {
+    const document = writable(body, managedFields);
+    if (Object.keys(document).some(key => /^\$|\./.test(key))) {
+      throw new HttpError(
+        400,
+        "The document cannot have operators or dot notation fields"
+      );
+    }
+    service.validate(document);
+    /* The read is part of the write, so it does not store a READ audit */
+    const current = await (service instanceof AuditedCrudService
+        ? service.runWithoutReadAudits(() => service.getById(id, {}, strict))
+        : service.getById(id, {}, strict)),
+      update = { $set: document },
+      removed = Object.keys(current).filter(
+        key => !managedFields.includes(key) && !document.hasOwnProperty(key)
+      );
+    if (removed.length > 0) {
+      update.$unset = {};
+      for (const key of removed) {
+        update.$unset[key] = "";
+      }
+    }
+    /* With versioning, a write between the read and the update is a conflict */
+    return await service.updateById(
+      id,
+      update,
+      service.versioning
+        ? Object.assign(
+            { expectedVersion: current[service.versionField] },
+            strict
+          )
+        : strict
+    );
+  }
+
+  const routes = {
+    "": {
+      GET: ({ query }) => {
+        const parsed = service.parseQueryString(query);
+        return service.list(
+          parsed.query,
+          parsed.limit,
+          parsed.skip,
+          parsed.sort,
+          parsed.projection
+        );
+      },
+      POST: ({ body }) => service.create(writable(body, managedFields))
+    },
+    ":id": {
+      GET: ({ id }) => service.getById(id, {}, strict),
+      PATCH: ({ id, body }) =>
+        service.patchById(id, writable(body, managedFields), strict),
+      PUT: ({ id, body }) =>
+        updateOperators
+          ? service.updateById(id, body, strict)
+          : replace(id, body),
+      DELETE: ({ id }) => service.removeById(id, strict)
+    },
+    ":id/:embeddedField": {
+      GET: ({ id, embeddedField }) =>
+        service.listSubdocuments(id, embeddedField, "item", {}, strict),
+      POST: async ({ id, embeddedField, body }) => {
+        const subdocument = writable(body, ["_id"]);
+        await service.addSubdocument(id, embeddedField, subdocument, strict);
+        return subdocument;
+      }
+    },
+    ":id/:embeddedField/:embedId": {
+      GET: ({ id, embeddedField, embedId }) =>
+        service.getSubdocument(id, embeddedField, { _id: embedId }, {}, strict),
+      PATCH: ({ id, embeddedField, embedId, body }) =>
+        service.patchSubdocumentById(
+          id,
+          embeddedField,
+          embedId,
+          writable(body, ["_id"]),
+          strict
+        ),
+      DELETE: ({ id, embeddedField, embedId }) =>
+        service.removeSubdocumentById(id, embeddedField, embedId, strict)
+    }
+  };
+
+  /**
+   * Serves a request. Returns { status, body }, or null if no route matches
+   *
+   * @param {Object} request:
+   * @param {String} request.method: The HTTP method
+   * @param {String} request.path: The path, without the query string
+   * @param {String} request.query: The query string
+   * @param {Function} request.readBody: async () => body
+   * @param {Function} request.getUser: () => the user of the audits
+   */
+  async function handle(request) {
+    if (request.path !== prefix && !request.path.startsWith(`${prefix}/`)) {
+      return null;
+    }
+    const segments = request.path
+        .slice(prefix.length)
+        .split("/")
+        .filter(segment => segment !== ""),
+      route = ["", ":id", ":id/:embeddedField", ":id/:embeddedField/:embedId"][
+        segments.length
+      ],
+      fn =
+        route !== undefined &&
+        routes[route].hasOwnProperty(request.method) &&
+        routes[route][request.method];
+    if (!fn) {
+      return null;
+    }
+    try {
+      const [id, embeddedField, embedId] = segments.map(decode),
+        params = { query: request.query };
+      if (id !== undefined) {
+        params.id = toObjectId(id, "id");
+      }
+      if (embeddedField !== undefined) {
+        if (embeddedFields && !embeddedFields.includes(embeddedField)) {
+          throw new HttpError(
+            404,
+            `Unknown subdocument field ${embeddedField}`
+          );
+        }
+        params.embeddedField = embeddedField;
+      }
+      if (embedId !== undefined) {
+        params.embedId = toObjectId(embedId, "embedId");
+      }
+      if (["POST", "PATCH", "PUT"].includes(request.method)) {
+        params.body = await request.readBody();
+        if (
+          params.body === null ||
+          typeof params.body !== "object" ||
+          Array.isArray(params.body)
+        ) {
+          throw new HttpError(400, "The request body must be a JSON object");
+        }
+      }
+      const user = request.getUser(),
+        body =
+          service instanceof AuditedCrudService && user !== undefined
+            ? await AuditedCrudService.runWithContext({ user }, () =>
+                fn(params)
+              )
+            : await fn(params);
+      return { status: request.method === "POST" ? 201 : 200, body };
+    } catch (error) {
+      const status = statusOf(error);
+      if (status === 500) {
+        onError(error);
+        return {
+          status,
+          body: {
+            error: "InternalServerError",
+            message: "Internal Server Error"
+          }
+        };
+      }
+      const body = {
+        error:
+          error instanceof HttpError
+            ? STATUS_CODES[status].replace(/ /g, "")
+            : error.constructor.name,
+        message: error.message
+      };
+      if (error instanceof ValidationError) {
+        body.errors = error.errors;
+      }
+      return { status, body };
+    }
+  }
+
+  /* Node and Express handler */
+  async function router(req, res, next) {
+    const url = new URL(req.url, "http://localhost"),
+      response = await handle({
+        method: req.method,
+        path: url.pathname,
+        query: url.search,
+        /* Express body parsers leave the parsed body in req.body */
+        readBody: () =>
+          req.body !== undefined
+            ? Promise.resolve(req.body)
+            : readBody(req, maxBodySize),
+        getUser: () => (getUser ? getUser(req) : undefined)
+      });
+    if (!response) {
+      if (next) {
+        return next();
+      }
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.statusCode = response.status;
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.end(JSON.stringify(response.body));
+  }
+
+  /* Koa middleware */
+  router.koa = async (ctx, next) => {
+    const response = await handle({
+      method: ctx.method,
+      path: ctx.path,
+      query: ctx.querystring,
+      readBody: () =>
+        ctx.request.body !== undefined
+          ? Promise.resolve(ctx.request.body)
+          : readBody(ctx.req, maxBodySize),
+      getUser: () => (getUser ? getUser(ctx) : undefined)
+    });
+    if (!response) {
+      return await next();
+    }
+    ctx.status = response.status;
+    ctx.body = response.body;
+  };
+
+  router.handle = handle;
+  return router;
+}
+
+module.exports = createCrudRouter;
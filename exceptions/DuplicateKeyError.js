@@ -0,0 +1,17 @@
+/**
+ * Thrown when a write violates a unique index.
+ *
+ * The keyPattern attribute holds the fields of the index, like { email: 1 },
+ * and the keyValue attribute holds the duplicated values, like
+ * { email: "tom@cats.com" }. The keyValue is null when the server does not
+ * report it.
+ */
+class DuplicateKeyError extends Error {
+  constructor(keyPattern, keyValue, message = "Duplicate key") {
+    super(message);
+    this.keyPattern = keyPattern;
+    this.keyValue = keyValue;
+  }
+}
+
+module.exports = DuplicateKeyError;
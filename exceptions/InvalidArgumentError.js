@@ -0,0 +1,16 @@
+const { AssertionError } = require("assert");
+
+/**
+ * Thrown when a method receives a missing or invalid argument, or when an
+ * operation is not allowed by the configuration of the service.
+ *
+ * It extends AssertionError, so it can still be caught as one.
+ */
+class InvalidArgumentError extends AssertionError {
+  constructor(message) {
+    super({ message });
+    this.name = "InvalidArgumentError";
+  }
+}
+
+module.exports = InvalidArgumentError;
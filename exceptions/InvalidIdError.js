@@ -0,0 +1,13 @@
+/**
+ * Thrown when a value cannot be converted to an ObjectId.
+ *
+ * The value attribute holds the rejected value.
+ */
+class InvalidIdError extends Error {
+  constructor(value, message = `The id is not valid: ${value}`) {
+    super(message);
+    this.value = value;
+  }
+}
+
+module.exports = InvalidIdError;
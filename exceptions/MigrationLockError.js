@@ -0,0 +1,19 @@
+/**
+ * Thrown when the migrations cannot run because another runner holds the lock.
+ *
+ * The lockedAt and expiresAt attributes tell when the lock was taken and when
+ * it expires if it is not released.
+ */
+class MigrationLockError extends Error {
+  constructor(
+    lockedAt,
+    expiresAt,
+    message = "The migrations are locked by another runner"
+  ) {
+    super(message);
+    this.lockedAt = lockedAt;
+    this.expiresAt = expiresAt;
+  }
+}
+
+module.exports = MigrationLockError;
@@ -0,0 +1,19 @@
+/**
+ * Thrown when an operation requires a document that does not exist.
+ *
+ * The collection and query attributes hold the collection name and the query
+ * that matched no document.
+ */
+class NotFoundError extends Error {
+  constructor(
+    collection,
+    query,
+    message = `No document of the '${collection}' collection matches the query`
+  ) {
+    super(message);
+    this.collection = collection;
+    this.query = query;
+  }
+}
+
+module.exports = NotFoundError;
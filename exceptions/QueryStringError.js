@@ -0,0 +1,14 @@
+/**
+ * Thrown when a query string cannot be translated to a MongoDB query: the
+ * field is not allowed, the operator is not allowed or the value is not valid.
+ *
+ * The parameter attribute holds the query string parameter that failed.
+ */
+class QueryStringError extends Error {
+  constructor(message, parameter) {
+    super(message);
+    this.parameter = parameter;
+  }
+}
+
+module.exports = QueryStringError;
@@ -0,0 +1,13 @@
+/**
+ * Thrown when a document does not satisfy the schema of a service.
+ *
+ * The errors attribute holds a list of { path, message } pairs
+ */
+class ValidationError extends Error {
+  constructor(errors, message = "The document does not satisfy the schema") {
+    super(message);
+    this.errors = errors;
+  }
+}
+
+module.exports = ValidationError;
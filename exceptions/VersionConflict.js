@@ -0,0 +1,15 @@
+/**
+ * Thrown when a versioned write is rejected because the document was
+ * modified since the expected version was read.
+ */
+class VersionConflict extends Error {
+  constructor(currentVersion, expectedVersion) {
+    super(
+      `Version conflict: expected version ${expectedVersion} but the current version is ${currentVersion}`
+    );
+    this.currentVersion = currentVersion;
+    this.expectedVersion = expectedVersion;
+  }
+}
+
+module.exports = VersionConflict;
@@ -0,0 +1,10 @@
+/**
+ * Thrown when MongoDB rejects a write because another operation modified the
+ * same document concurrently, which mostly happens inside transactions.
+ *
+ * It keeps the errorLabels of the driver error, so withTransaction still
+ * retries the transactions that failed with a TransientTransactionError.
+ */
+class WriteConflictError extends Error {}
+
+module.exports = WriteConflictError;
@@ -1,7 +1,43 @@
 const GenericCrudService = require("./GenericCrudService"),
-  AuditedCrudService = require("./AuditedCrudService");
+  AuditedCrudService = require("./AuditedCrudService"),
+  createCrudRouter = require("./createCrudRouter"),
+  Migrator = require("./Migrator"),
+  ClientNotConnected = require("./exceptions/ClientNotConnected"),
+  ValidationError = require("./exceptions/ValidationError"),
+  VersionConflict = require("./exceptions/VersionConflict"),
+  QueryStringError = require("./exceptions/QueryStringError"),
+  InvalidIdError = require("./exceptions/InvalidIdError"),
+  NotFoundError = require("./exceptions/NotFoundError"),
+  DuplicateKeyError = require("./exceptions/DuplicateKeyError"),
+  InvalidArgumentError = require("./exceptions/InvalidArgumentError"),
+  WriteConflictError = require("./exceptions/WriteConflictError"),
+  MigrationLockError = require("./exceptions/MigrationLockError"),
+  {
+    AuditSink,
+    MongoAuditSink,
+    FileAuditSink,
+    EventEmitterAuditSink,
+    CompositeAuditSink
+  } = require("./sinks");
 
 module.exports = {
   GenericCrudService,
-  AuditedCrudService
+  AuditedCrudService,
+  createCrudRouter,
+  Migrator,
+  ClientNotConnected,
+  ValidationError,
+  VersionConflict,
+  QueryStringError,
+  InvalidIdError,
+  NotFoundError,
+  DuplicateKeyError,
+  InvalidArgumentError,
+  WriteConflictError,
+  MigrationLockError,
+  AuditSink,
+  MongoAuditSink,
+  FileAuditSink,
+  EventEmitterAuditSink,
+  CompositeAuditSink
 };
@@ -0,0 +1,113 @@
+const assert = require("assert");
+
+/**
+ * Destination of the audit registers of an AuditedCrudService. Subclasses
+ * implement the write method.
+ *
+ * Every sink has a failure policy: "fail" makes the audited write fail when the
+ * sink cannot store the audits, and "log" logs the error and lets the write
+ * continue.
+ */
+class AuditSink {
+  /**
+   * @param {Object} [options={}]:
+   * @param {String} [options.onError="fail"]: The failure policy, "fail" or "log"
+   * @param {Object} [options.logger=console]: Object with an error method, used by the "log" policy
+   */
+  constructor(options = {}) {
+    this.onError = options.onError || "fail";
+    this.logger = options.logger || console;
+    assert(
+      ["fail", "log"].includes(this.onError),
+      "The onError policy must be 'fail' or 'log'"
+    );
+  }
+
+  /**
+   * Stores audit registers. Must be implemented by the subclasses
+   *
+   * @param {Array<Object>} audits: The audit registers
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session of the audited write
+   */
+  async write(audits, options = {}) {
+    throw new Error("The write method must be implemented by the sink");
+  }
+
+  /**
+   * Checks if the sink stores the audits inside the transaction of a session.
+   * Sinks that do not are only sent the audits once the transaction commits.
+   *
+   * @param {ClientSession} session: MongoDB session
+   * @returns {boolean}
+   */
+  supportsSession(session) {
+    return false;
+  }
+
+  /**
+   * Creates the collection the sink stores the audits in, if it stores them in
+   * one. Called before the first transaction of the service, because MongoDB
+   * 4.0 and 4.2 cannot create collections inside transactions
+   */
+  async ensureCollection() {}
+
+  /**
+   * Returns the MongoDB collection the audits can be read from, or null if the
+   * audits of the sink cannot be queried
+   *
+   * @returns {Collection}
+   */
+  getCollection() {
+    return null;
+  }
+
+  /**
+   * Checks if the audits of the sink are stored in a MongoDB collection that
+   * getCollection returns. Unlike getCollection, it does not need a connection.
+   * The sinks that override getCollection must override it too
+   *
+   * @returns {boolean}
+   */
+  isQueryable() {
+    return false;
+  }
+
+  _shouldDefer(options) {
+    return Boolean(
+      options.session &&
+        options.afterCommit &&
+        !this.supportsSession(options.session)
+    );
+  }
+
+  /**
+   * Writes the audits applying the failure policy. If the audited write runs in a
+   * transaction owned by the service (options.afterCommit is set) and the sink
+   * cannot join it, the audits are sent after the commit.
+   *
+   * @param {Array<Object>} audits: The audit registers
+   * @param {Object} [options={}]:
+   * @param {ClientSession} [options.session]: MongoDB session of the audited write
+   * @param {Array<Function>} [options.afterCommit]: Callbacks run after the transaction commits
+   */
+  async send(audits, options = {}) {
+    if (this._shouldDefer(options)) {
+      options.afterCommit.push(() => this.send(audits));
+      return;
+    }
+    try {
+      await this.write(audits, options);
+    } catch (error) {
+      if (this.onError === "fail") {
+        throw error;
+      }
+      this.logger.error(
+        `${this.constructor.name} could not store ${audits.length} audit(s)`,
+        error
+      );
+    }
+  }
+}
+
+module.exports = AuditSink;
@@ -0,0 +1,78 @@
+const assert = require("assert"),
+  AuditSink = require("./AuditSink");
+
+/**
+ * Sends the audits to many sinks. Every sink applies its own failure policy,
+ * so a sink with the "log" policy never makes the others fail.
+ *
+ * @extends AuditSink
+ */
+class CompositeAuditSink extends AuditSink {
+  /**
+   * @param {Array<AuditSink>} sinks: The sinks
+   * @param {Object} [options={}]: See AuditSink
+   */
+  constructor(sinks, options = {}) {
+    super(options);
+    assert(
+      Array.isArray(sinks) && sinks.every(sink => sink instanceof AuditSink),
+      "The sinks must be an array of AuditSink"
+    );
+    this.sinks = sinks;
+  }
+
+  async ensureCollection() {
+    for (const sink of this.sinks) {
+      await sink.ensureCollection();
+    }
+  }
+
+  /**
+   * Returns the collection of the first sink whose audits can be queried
+   */
+  getCollection() {
+    for (const sink of this.sinks) {
+      const collection = sink.getCollection();
+      if (collection) {
+        return collection;
+      }
+    }
+    return null;
+  }
+
+  isQueryable() {
+    return this.sinks.some(sink => sink.isQueryable());
+  }
+
+  supportsSession(session) {
+    return this.sinks.some(sink => sink.supportsSession(session));
+  }
+
+  /**
+   * Every sink decides if it joins the transaction, so the composite never
+   * defers the audits itself
+   */
+  _shouldDefer() {
+    return false;
+  }
+
+  /**
+   * Sends the audits to every sink, even if one of them fails. The first error
+   * is thrown after all the sinks were called.
+   */
+  async write(audits, options = {}) {
+    let firstError = null;
+    for (const sink of this.sinks) {
+      try {
+        await sink.send(audits, options);
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+    if (firstError) {
+      throw firstError;
+    }
+  }
+}
+
+module.exports = CompositeAuditSink;
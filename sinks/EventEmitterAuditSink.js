@@ -0,0 +1,29 @@
+const EventEmitter = require("events"),
+  AuditSink = require("./AuditSink");
+
+/**
+ * Emits an event for every audit. The errors thrown by the listeners are
+ * handled with the failure policy of the sink.
+ *
+ * @extends AuditSink
+ */
+class EventEmitterAuditSink extends AuditSink {
+  /**
+   * @param {EventEmitter} [emitter=new EventEmitter()]: The emitter
+   * @param {Object} [options={}]: See AuditSink, and:
+   * @param {String} [options.eventName="audit"]: The name of the emitted event
+   */
+  constructor(emitter = new EventEmitter(), options = {}) {
+    super(options);
+    this.emitter = emitter;
+    this.eventName = options.eventName || "audit";
+  }
+
+  async write(audits) {
+    for (const audit of audits) {
+      this.emitter.emit(this.eventName, audit);
+    }
+  }
+}
+
+module.exports = EventEmitterAuditSink;
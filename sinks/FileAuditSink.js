@@ -0,0 +1,82 @@
+const fs = require("fs").promises,
+  AuditSink = require("./AuditSink");
+
+function ignoreMissing(error) {
+  if (error.code !== "ENOENT") {
+    throw error;
+  }
+}
+
+/**
+ * Appends the audits to a NDJSON file, one JSON document per line. ObjectId
+ * values are stored as hex strings and Date values as ISO strings.
+ *
+ * When a maxSize is set, the file is rotated before it exceeds that size:
+ * "audits.ndjson" is renamed to "audits.ndjson.1", "audits.ndjson.1" to
+ * "audits.ndjson.2" and so on. Only maxFiles rotated files are kept. The file must not be shared with
+ * other processes.
+ *
+ * @extends AuditSink
+ */
+class FileAuditSink extends AuditSink {
+  /**
+   * @param {String} path: Path of the file
+   * @param {Object} [options={}]: See AuditSink, and:
+   * @param {Number} [options.maxSize]: Max size of the file in bytes. If not set, the file is never rotated
+   * @param {Number} [options.maxFiles=5]: Number of rotated files to be kept
+   */
+  constructor(path, options = {}) {
+    super(options);
+    this.path = path;
+    this.maxSize = options.maxSize;
+    this.maxFiles = options.maxFiles === undefined ? 5 : options.maxFiles;
+    this._size = null;
+    this._queue = Promise.resolve();
+  }
+
+  async write(audits) {
+    const data = audits.map(audit => `${JSON.stringify(audit)}\n`).join("");
+    /* Writes are queued, so lines are not interleaved and rotations do not overlap */
+    const result = this._queue.then(() => this._append(data));
+    this._queue = result.catch(() => {});
+    return await result;
+  }
+
+  async _append(data) {
+    const size = Buffer.byteLength(data);
+    if (this._size === null) {
+      this._size = await this._currentSize();
+    }
+    if (this.maxSize && this._size > 0 && this._size + size > this.maxSize) {
+      await this._rotate();
+      this._size = 0;
+    }
+    await fs.appendFile(this.path, data);
+    this._size += size;
+  }
+
+  async _currentSize() {
+    try {
+      return (await fs.stat(this.path)).size;
+    } catch (error) {
+      ignoreMissing(error);
+      return 0;
+    }
+  }
+
+  async _rotate() {
+    if (this.maxFiles === 0) {
+      await fs.unlink(this.path);
+      return;
+    }
+    await fs.unlink(`${this.path}.${this.maxFiles}`).catch(ignoreMissing);
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await fs
+        .rename(`${this.path}.${i}`, `${this.path}.${i + 1}`)
+        .catch(ignoreMissing);
+    }
+    await fs.rename(this.path, `${this.path}.1`);
+  }
+}
+
+module.exports = FileAuditSink;
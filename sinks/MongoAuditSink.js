@@ -0,0 +1,172 @@
+const assert = require("assert"),
+  { ObjectId } = require("mongodb"),
+  AuditSink = require("./AuditSink"),
+  ClientNotConnected = require("../exceptions/ClientNotConnected"),
+  { stripUndefined, hashAudit } = require("../utils/auditChain"),
+  { ensureCollection } = require("../utils/transaction");
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Stores the audits in a MongoDB collection, which can be in any database of
+ * any client. When the client is the one of the audited service, the audits
+ * are stored in the same transaction as the write.
+ *
+ * The audits can be hash chained (see utils/auditChain). The chain is kept
+ * consistent under concurrent writers by a unique index on the chain and seq
+ * fields: when two writers append the same seq, the second one retries with the
+ * next seq. In a transaction the whole transaction is retried instead.
+ *
+ * @extends AuditSink
+ */
+class MongoAuditSink extends AuditSink {
+  /**
+   * @param {MongoClient} client: A MongoClient instance. It has to be connected when storing audits
+   * @param {String} databaseName: The database name
+   * @param {String} collectionName: The collection name
+   * @param {Object} [options={}]: See AuditSink, and:
+   * @param {String} [options.chain]: Hash chains the audits. "collection" keeps a chain for every
+   * audited collection and "global" a single chain for all of them
+   */
+  constructor(client, databaseName, collectionName, options = {}) {
+    super(options);
+    this.client = client;
+    this.databaseName = databaseName;
+    this.collectionName = collectionName;
+    this.collection = null;
+    this.chain = options.chain || null;
+    assert(
+      [null, "collection", "global"].includes(this.chain),
+      "The chain must be 'collection' or 'global'"
+    );
+  }
+
+  get GLOBAL_CHAIN() {
+    return "global";
+  }
+
+  /**
+   * Returns the name of the chain of an audit
+   *
+   * @param {Object} audit: The audit
+   * @returns {String}
+   */
+  chainOf(audit) {
+    return this.chain === "global" ? this.GLOBAL_CHAIN : audit.collection;
+  }
+
+  isQueryable() {
+    return true;
+  }
+
+  getCollection() {
+    if (!this.client.isConnected()) {
+      throw new ClientNotConnected(
+        "This client is not connected, it cannot perform operations"
+      );
+    }
+    if (!this.collection) {
+      this.collection = this.client
+        .db(this.databaseName)
+        .collection(this.collectionName);
+    }
+    return this.collection;
+  }
+
+  /**
+   * A disconnected client cannot join the transactions, so its collection is
+   * created when the audits are written
+   */
+  async ensureCollection() {
+    if (this.client.isConnected()) {
+      await ensureCollection(
+        this.client.db(this.databaseName),
+        this.collectionName
+      );
+    }
+  }
+
+  supportsSession(session) {
+    return Boolean(session) && session.topology === this.client.topology;
+  }
+
+  async write(audits, options = {}) {
+    const session = this.supportsSession(options.session)
+      ? options.session
+      : undefined;
+    if (this.chain) {
+      await this.ensureChainIndex();
+      for (const audit of audits) {
+        await this._append(audit, session);
+      }
+      return;
+    }
+    if (audits.length === 1) {
+      return await this.getCollection().insertOne(audits[0], { session });
+    }
+    return await this.getCollection().insertMany(audits, { session });
+  }
+
+  /**
+   * Creates the unique index that keeps the chains consistent
+   */
+  async ensureChainIndex() {
+    if (!this._chainIndex) {
+      this._chainIndex = this.getCollection()
+        .createIndex(
+          { chain: 1, seq: 1 },
+          { unique: true, partialFilterExpression: { seq: { $exists: true } } }
+        )
+        .catch(error => {
+          this._chainIndex = null;
+          throw error;
+        });
+    }
+    return await this._chainIndex;
+  }
+
+  /**
+   * Appends an audit to its chain
+   */
+  async _append(audit, session) {
+    const collection = this.getCollection(),
+      chain = this.chainOf(audit);
+    for (;;) {
+      const [last] = await collection
+        .find(
+          { chain, seq: { $exists: true } },
+          {
+            sort: { seq: -1 },
+            limit: 1,
+            projection: { seq: 1, hash: 1 },
+            session
+          }
+        )
+        .toArray();
+      const record = stripUndefined(
+        Object.assign({ _id: new ObjectId() }, audit, {
+          chain,
+          seq: last ? last.seq + 1 : 1,
+          previousHash: last ? last.hash : null
+        })
+      );
+      record.hash = hashAudit(record);
+      try {
+        return await collection.insertOne(record, { session });
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY) {
+          throw error;
+        }
+        if (session && session.inTransaction()) {
+          /* The transaction cannot continue after the error, it is retried as a whole */
+          error.errorLabels = (error.errorLabels || []).concat(
+            "TransientTransactionError"
+          );
+          throw error;
+        }
+      }
+    }
+  }
+}
+
+module.exports = MongoAuditSink;
@@ -0,0 +1,13 @@
+const AuditSink = require("./AuditSink"),
+  MongoAuditSink = require("./MongoAuditSink"),
+  FileAuditSink = require("./FileAuditSink"),
+  EventEmitterAuditSink = require("./EventEmitterAuditSink"),
+  CompositeAuditSink = require("./CompositeAuditSink");
+
+module.exports = {
+  AuditSink,
+  MongoAuditSink,
+  FileAuditSink,
+  EventEmitterAuditSink,
+  CompositeAuditSink
+};
@@ -1,8 +1,21 @@
 const chai = require("chai"),
+  { AssertionError } = require("assert"),
   chaiAsPromised = require("chai-as-promised"),
   GenericCrudService = require("../GenericCrudService"),
   AuditedCrudService = require("../AuditedCrudService"),
+  EventEmitter = require("events"),
+  fs = require("fs"),
+  os = require("os"),
+  path = require("path"),
+  zlib = require("zlib"),
+  {
+    MongoAuditSink,
+    EventEmitterAuditSink,
+    CompositeAuditSink
+  } = require("../sinks"),
   { MongoClient, ObjectId } = require("mongodb"),
+  ClientNotConnected = require("../exceptions/ClientNotConnected"),
+  NotFoundError = require("../exceptions/NotFoundError"),
   uri = "mongodb://localhost:27017",
   data = require("./data"),
   databaseName = "test",
@@ -65,7 +78,7 @@ describe("AuditedCrudService.test", () => {
         databaseName,
         collectionName
       );
-      newService.verifyConnection();
+      newService.verifyAuditConnection();
       newService.auditCollectionName.should.be.eql(
         newService.DEFAULT_AUDIT_COLLECTION_NAME
       );
@@ -81,7 +94,7 @@ describe("AuditedCrudService.test", () => {
         collectionName,
         auditCollectionName
       );
-      newService.verifyConnection();
+      newService.verifyAuditConnection();
       newService.auditCollectionName.should.be.eql(auditCollectionName);
       newService.auditCollection.collectionName.should.be.eql(
         auditCollectionName
@@ -191,27 +204,32 @@ describe("AuditedCrudService.test", () => {
     });
 
     describe("addSubdocument", () => {
-      it("should create an UPDATE audit", async () => {
+      it("should create an SUBDOCUMENT_ADD audit", async () => {
         const object = await service.addSubdocument(
             validId,
             validEmbbededField,
-            validSubdocument
+            validSubdocument,
+            {},
+            "admin"
           ),
           audits = await auditService.list(),
-          [audit] = audits;
-        audit.operation.should.be.eql(service.UPDATE);
-        audit.old[validEmbbededField].length.should.be.eql(
-          object[validEmbbededField].length - 1
-        );
-        audit.new[validEmbbededField].length.should.be.eql(
-          object[validEmbbededField].length
-        );
+          [audit] = audits,
+          subdocument = object[validEmbbededField].pop();
+        audits.length.should.be.eql(1);
+        audit.operation.should.be.eql(service.SUBDOCUMENT_ADD);
+        audit.documentId.should.be.eql(validId);
+        audit.embeddedField.should.be.eql(validEmbbededField);
+        audit.subdocumentId.should.be.eql(subdocument._id);
+        audit.new.should.be.eql(subdocument);
+        audit.should.not.haveOwnProperty("old");
+        audit.user.should.be.eql("admin");
       });
     });
 
     describe("patchSubdocument", () => {
-      it("should create an UPDATE audit", async () => {
-        const object = await service.patchSubdocument(
+      it("should create an SUBDOCUMENT_UPDATE audit", async () => {
+        const originalObject = await service.getById(validId),
+          object = await service.patchSubdocument(
             validId,
             validEmbbededField,
             {
@@ -223,22 +241,24 @@ describe("AuditedCrudService.test", () => {
           ),
           audits = await auditService.list(),
           [audit] = audits,
-          findGames = v => v.name === "games",
-          findTrouble = v => v.name === "trouble",
-          oldList = audit.old[validEmbbededField],
-          newList = audit.new[validEmbbededField],
-          oldGameCount = oldList.filter(findGames).length,
-          oldTroubleCount = oldList.filter(findTrouble).length,
-          newGameCount = newList.filter(findGames).length,
-          newTroubleCount = newList.filter(findTrouble).length;
-        audit.operation.should.be.eql(service.UPDATE);
-        newGameCount.should.be.eql(oldGameCount - 1);
-        newTroubleCount.should.be.eql(oldTroubleCount + 1);
+          index = originalObject[validEmbbededField].findIndex(
+            v => v.name === "games"
+          );
+        audits.length.should.be.eql(1);
+        audit.operation.should.be.eql(service.SUBDOCUMENT_UPDATE);
+        audit.documentId.should.be.eql(validId);
+        audit.embeddedField.should.be.eql(validEmbbededField);
+        audit.subdocumentId.should.be.eql(
+          originalObject[validEmbbededField][index]._id
+        );
+        audit.old.should.be.eql(originalObject[validEmbbededField][index]);
+        audit.new.should.be.eql(object[validEmbbededField][index]);
+        audit.new.name.should.be.eql("trouble");
       });
     });
 
     describe("patchSubdocumentById", () => {
-      it("should create an UPDATE audit", async () => {
+      it("should create an SUBDOCUMENT_UPDATE audit", async () => {
         const subdocument = await service.getSubdocument(
             validId,
             validEmbbededField,
@@ -255,24 +275,20 @@ describe("AuditedCrudService.test", () => {
             }
           ),
           audits = await auditService.list(),
-          [audit] = audits,
-          findGames = v => v.name === "games",
-          findTrouble = v => v.name === "trouble",
-          oldList = audit.old[validEmbbededField],
-          newList = audit.new[validEmbbededField],
-          oldGameCount = oldList.filter(findGames).length,
-          oldTroubleCount = oldList.filter(findTrouble).length,
-          newGameCount = newList.filter(findGames).length,
-          newTroubleCount = newList.filter(findTrouble).length;
-        audit.operation.should.be.eql(service.UPDATE);
-        newGameCount.should.be.eql(oldGameCount - 1);
-        newTroubleCount.should.be.eql(oldTroubleCount + 1);
+          [audit] = audits;
+        audit.operation.should.be.eql(service.SUBDOCUMENT_UPDATE);
+        audit.subdocumentId.should.be.eql(subdocument._id);
+        audit.old.should.be.eql(subdocument);
+        audit.new.should.be.eql(
+          object[validEmbbededField].find(v => v._id.equals(subdocument._id))
+        );
       });
     });
 
     describe("removeSubdocument", () => {
-      it("should create an UPDATE audit", async () => {
-        const object = await service.removeSubdocument(
+      it("should create an SUBDOCUMENT_REMOVE audit", async () => {
+        const originalObject = await service.getById(validId),
+          object = await service.removeSubdocument(
             validId,
             validEmbbededField,
             {
@@ -280,19 +296,48 @@ describe("AuditedCrudService.test", () => {
             }
           ),
           audits = await auditService.list(),
-          [audit] = audits;
-        audit.operation.should.be.eql(service.UPDATE);
-        audit.old[validEmbbededField].length.should.be.eql(
-          object[validEmbbededField].length + 1
-        );
-        audit.new[validEmbbededField].length.should.be.eql(
-          object[validEmbbededField].length
+          [audit] = audits,
+          subdocument = originalObject[validEmbbededField].find(
+            v => v.name === "games"
+          );
+        object[validEmbbededField].length.should.be.eql(
+          originalObject[validEmbbededField].length - 1
         );
+        audits.length.should.be.eql(1);
+        audit.operation.should.be.eql(service.SUBDOCUMENT_REMOVE);
+        audit.documentId.should.be.eql(validId);
+        audit.embeddedField.should.be.eql(validEmbbededField);
+        audit.subdocumentId.should.be.eql(subdocument._id);
+        audit.old.should.be.eql(subdocument);
+        audit.should.not.haveOwnProperty("new");
+      });
+
+      it("should create an audit for every removed subdocument", async () => {
+        await service.addSubdocument(validId, validEmbbededField, {
+          name: "games"
+        });
+        await auditCollection.deleteMany({});
+        await service.removeSubdocument(validId, validEmbbededField, {
+          name: "games"
+        });
+        const audits = await auditService.list();
+        audits.length.should.be.eql(2);
+        audits
+          .every(audit => audit.operation === service.SUBDOCUMENT_REMOVE)
+          .should.be.eql(true);
+      });
+
+      it("should not create an audit if no subdocument was removed", async () => {
+        await service.removeSubdocument(validId, validEmbbededField, {
+          name: "nothing"
+        });
+        const audits = await auditService.list();
+        audits.length.should.be.eql(0);
       });
     });
 
     describe("removeSubdocumentById", () => {
-      it("should create an UPDATE audit", async () => {
+      it("should create an SUBDOCUMENT_REMOVE audit", async () => {
         const subdocument = await service.getSubdocument(
             validId,
             validEmbbededField,
@@ -307,14 +352,1508 @@ describe("AuditedCrudService.test", () => {
           ),
           audits = await auditService.list(),
           [audit] = audits;
+        audit.operation.should.be.eql(service.SUBDOCUMENT_REMOVE);
+        audit.subdocumentId.should.be.eql(subdocument._id);
+        audit.old.should.be.eql(subdocument);
+        object[validEmbbededField]
+          .some(v => v._id.equals(subdocument._id))
+          .should.be.eql(false);
+      });
+    });
+  });
+
+  describe("Soft Delete", () => {
+    const softService = new AuditedCrudService(
+      client,
+      databaseName,
+      collectionName,
+      auditCollectionName,
+      { softDelete: true }
+    );
+
+    describe("remove", () => {
+      it("should create a SOFT_DELETE audit", async () => {
+        const object = await softService.removeById(validId),
+          audits = await auditService.list(),
+          [audit] = audits;
+        audit.operation.should.be.eql(softService.SOFT_DELETE);
+        audit.old.should.not.haveOwnProperty(softService.deletedAtField);
+        audit.new.should.be.eql(object);
+      });
+
+      it("should not change nor audit the deleted documents", async () => {
+        await softService.removeById(validId);
+        await softService
+          .patchById(validId, { type: "ugly" }, { strict: true })
+          .should.be.rejectedWith(NotFoundError);
+        (
+          (await softService.addSubdocument(validId, validEmbbededField, {
+            name: "fish"
+          })) === null
+        ).should.be.eql(true);
+        (await auditService.list()).length.should.be.eql(1);
+      });
+    });
+
+    describe("restore", () => {
+      it("should create a RESTORE audit", async () => {
+        await softService.removeById(validId);
+        const object = await softService.restoreById(validId),
+          audits = await auditService.list({ operation: softService.RESTORE }),
+          [audit] = audits;
+        audits.length.should.be.eql(1);
+        audit.old.should.haveOwnProperty(softService.deletedAtField);
+        audit.new.should.be.eql(object);
+      });
+    });
+
+    describe("purge", () => {
+      it("should create a REMOVE audit for every purged document", async () => {
+        await softService.removeById(validId);
+        await softService.purge({});
+        const audits = await auditService.list({
+          operation: softService.REMOVE
+        });
+        audits.length.should.be.eql(1);
+        audits[0].old._id.should.be.eql(validId);
+      });
+    });
+  });
+
+  describe("Bulk Services", () => {
+    describe("createMany", () => {
+      it("should create a CREATE audit for every created document", async () => {
+        await service.createMany([{ name: "foo" }, { name: "bar" }]);
+        const audits = await auditService.list({ operation: service.CREATE });
+        audits.length.should.be.eql(2);
+        audits.map(audit => audit.new.name).should.be.eql(["foo", "bar"]);
+      });
+
+      it("should not audit the failed operations", async () => {
+        await service.createMany([{ _id: validId, name: "duplicated" }]);
+        const audits = await auditService.list();
+        audits.length.should.be.eql(0);
+      });
+    });
+
+    describe("patchMany", () => {
+      it("should create an UPDATE audit for every patched document", async () => {
+        const originalObject = await service.getById(validId);
+        await service.patchMany([
+          { query: { _id: validId }, data: { type: "ugly" } },
+          { query: { name: "nobody" }, data: { type: "ugly" } }
+        ]);
+        const object = await service.getById(validId),
+          audits = await auditService.list(),
+          [audit] = audits;
+        audits.length.should.be.eql(1);
         audit.operation.should.be.eql(service.UPDATE);
-        audit.old[validEmbbededField].length.should.be.eql(
-          object[validEmbbededField].length + 1
+        audit.old.should.be.eql(originalObject);
+        audit.new.should.be.eql(object);
+      });
+    });
+
+    describe("removeMany", () => {
+      it("should create a REMOVE audit for every removed document", async () => {
+        const originalObject = await service.getById(validId);
+        await service.removeMany([{ _id: validId }], {}, "admin");
+        const audits = await auditService.list(),
+          [audit] = audits;
+        audit.operation.should.be.eql(service.REMOVE);
+        audit.old.should.be.eql(originalObject);
+        audit.user.should.be.eql("admin");
+      });
+
+      it("should resolve the queries against the changes of the previous operations", async () => {
+        await collection.updateMany(
+          { name: { $in: ["Blacky", "Petri"] } },
+          { $set: { type: "lazy" } }
+        );
+        const response = await service.removeMany([
+            { type: "lazy" },
+            { type: "lazy" }
+          ]),
+          audits = await auditService.list({ operation: service.REMOVE }),
+          removedIds = audits.map(audit => String(audit.old._id));
+        response.results
+          .map(result => result.status)
+          .should.be.eql(["ok", "ok"]);
+        response.deletedCount.should.be.eql(2);
+        (await collection.countDocuments({ type: "lazy" })).should.be.eql(0);
+        audits.length.should.be.eql(2);
+        new Set(removedIds).size.should.be.eql(2);
+      });
+    });
+
+    describe("bulkWrite", () => {
+      it("should stop at the first error when ordered", async () => {
+        const response = await service.bulkWrite([
+          { create: { _id: validId, name: "duplicated" } },
+          { patch: { query: { _id: validId }, data: { type: "ugly" } } }
+        ]);
+        response.results
+          .map(result => result.status)
+          .should.be.eql(["error", "skipped"]);
+        response.errors[0].index.should.be.eql(0);
+        (await auditService.list()).length.should.be.eql(0);
+      });
+
+      it("should store the state left by each operation in its audit", async () => {
+        await service.bulkWrite([
+          { patch: { query: { _id: validId }, data: { type: "ugly" } } },
+          { patch: { query: { _id: validId }, data: { type: "cute" } } }
+        ]);
+        const audits = await auditService.list({}, null, null, { _id: 1 });
+        audits.map(audit => audit.new.type).should.be.eql(["ugly", "cute"]);
+        audits[1].old.type.should.be.eql("ugly");
+      });
+    });
+  });
+
+  describe("Sessions", () => {
+    it("should store the audit with the given session", async () => {
+      const session = client.startSession();
+      try {
+        const object = await service.create({ name: "foo" }, "admin", {
+            session
+          }),
+          audits = await auditService.list(),
+          [audit] = audits;
+        audit.new.should.be.eql(object);
+        audit.user.should.be.eql("admin");
+      } finally {
+        session.endSession();
+      }
+    });
+
+    it("should not store the audit if the transaction is aborted", async function() {
+      if (!(await service.supportsTransactions())) {
+        this.skip();
+      }
+      try {
+        await service.withTransaction(async session => {
+          await service.patchById(validId, { type: "ugly" }, { session });
+          throw new Error("abort");
+        });
+      } catch (error) {
+        error.message.should.be.eql("abort");
+      }
+      const audits = await auditService.list(),
+        object = await service.getById(validId);
+      audits.length.should.be.eql(0);
+      object.should.not.haveOwnProperty("type");
+    });
+
+    it("should create the collections before the first transaction", async function() {
+      if (!(await service.supportsTransactions())) {
+        this.skip();
+      }
+      const newService = new AuditedCrudService(
+        client,
+        databaseName,
+        "new-cats",
+        "new-cat-audits"
+      );
+      try {
+        await newService.create({ name: "foo" });
+        (await database
+          .listCollections({ name: { $in: ["new-cats", "new-cat-audits"] } })
+          .toArray()).length.should.be.eql(2);
+        (await database
+          .collection("new-cat-audits")
+          .countDocuments({})).should.be.eql(1);
+      } finally {
+        await database
+          .collection("new-cats")
+          .drop()
+          .catch(() => null);
+        await database
+          .collection("new-cat-audits")
+          .drop()
+          .catch(() => null);
+      }
+    });
+  });
+
+  describe("Hooks", () => {
+    it("should fire the hooks once and store a single audit", async () => {
+      const hookedService = new AuditedCrudService(
+          client,
+          databaseName,
+          collectionName,
+          auditCollectionName
+        ),
+        fired = [];
+      for (const method of hookedService.HOOKABLE_METHODS) {
+        hookedService.before(method, () => {
+          fired.push(method);
+        });
+      }
+      await hookedService.removeSubdocument(validId, validEmbbededField, {
+        name: "games"
+      });
+      const audits = await auditService.list();
+      fired.should.be.eql(["removeSubdocument"]);
+      audits.length.should.be.eql(1);
+    });
+  });
+
+  describe("Audit Modes", () => {
+    const newService = options =>
+      new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        options
+      );
+
+    it("should throw an error if the audit mode is not valid", async () => {
+      try {
+        newService({ auditMode: "full" });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should store the document id in every audit", async () => {
+      const object = await service.create({ name: "foo" });
+      await service.patchById(object._id, { name: "bar" });
+      const audits = await auditService.list();
+      audits
+        .map(audit => audit.documentId)
+        .should.be.eql([object._id, object._id]);
+    });
+
+    it("should only store the changes as a JSON Patch in diff mode", async () => {
+      const diffService = newService({ auditMode: "diff" }),
+        object = await diffService.patchById(validId, { type: "ugly" }),
+        [audit] = await auditService.list();
+      audit.should.not.haveOwnProperty("old");
+      audit.should.not.haveOwnProperty("new");
+      audit.documentId.should.be.eql(validId);
+      audit.diff.should.deep.include({
+        op: "add",
+        path: "/type",
+        value: "ugly"
+      });
+      audit.diff.should.deep.include({
+        op: "replace",
+        path: `/${diffService.modificationDateField}`,
+        value: object[diffService.modificationDateField]
+      });
+    });
+
+    it("should store the documents and the changed paths in both mode", async () => {
+      const bothService = newService({
+          auditMode: "both",
+          diffFormat: "paths"
+        }),
+        originalObject = await bothService.getById(validId),
+        object = await bothService.patchById(validId, { type: "ugly" }),
+        [audit] = await auditService.list();
+      audit.old.should.be.eql(originalObject);
+      audit.new.should.be.eql(object);
+      audit.diff.should.deep.include({ path: "type", new: "ugly" });
+    });
+
+    it("should only store the changes of the subdocument in diff mode", async () => {
+      const diffService = newService({ auditMode: "diff" }),
+        subdocument = await diffService.getSubdocument(
+          validId,
+          validEmbbededField,
+          { name: "games" }
+        );
+      await diffService.patchSubdocumentById(
+        validId,
+        validEmbbededField,
+        subdocument._id,
+        { name: "trouble" }
+      );
+      const [audit] = await auditService.list();
+      audit.operation.should.be.eql(diffService.SUBDOCUMENT_UPDATE);
+      audit.subdocumentId.should.be.eql(subdocument._id);
+      audit.diff.should.be.eql([
+        { op: "replace", path: "/name", value: "trouble" }
+      ]);
+    });
+
+    it("should store the whole document in the CREATE and REMOVE audits in diff mode", async () => {
+      const diffService = newService({ auditMode: "diff" }),
+        object = await diffService.create({ name: "foo" });
+      await diffService.removeById(object._id);
+      const [createAudit, removeAudit] = await auditService.list(
+        {},
+        null,
+        null,
+        { _id: 1 }
+      );
+      createAudit.new.should.be.eql(object);
+      removeAudit.old.should.be.eql(object);
+      createAudit.should.not.haveOwnProperty("diff");
+      removeAudit.should.not.haveOwnProperty("diff");
+    });
+  });
+
+  describe("Audit History", () => {
+    let object;
+
+    beforeEach(async () => {
+      object = await service.create({ name: "foo" }, "admin");
+      await service.patchById(object._id, { name: "bar" }, {}, "admin");
+      await service.patchById(object._id, { name: "baz" }, {}, "editor");
+      await service.patchById(validId, { type: "ugly" }, {}, "editor");
+    });
+
+    describe("ensureAuditIndexes", () => {
+      it("should create the indexes of the audit collection", async () => {
+        await service.ensureAuditIndexes();
+        const indexes = await auditCollection.indexes(),
+          keys = indexes.map(index => index.key);
+        keys.should.deep.include({ documentId: 1, timestamp: -1 });
+        keys.should.deep.include({ "new._id": 1, timestamp: -1 });
+        keys.should.deep.include({ "old._id": 1, timestamp: -1 });
+        keys.should.deep.include({ timestamp: -1 });
+        keys.should.deep.include({ user: 1, timestamp: -1 });
+      });
+    });
+
+    describe("getHistory", () => {
+      it("should return the audits of the document, the most recent first", async () => {
+        const audits = await service.getHistory(object._id);
+        audits
+          .map(audit => audit.new.name)
+          .should.be.eql(["baz", "bar", "foo"]);
+      });
+
+      it("should accept the id as a string", async () => {
+        const audits = await service.getHistory(object._id.toHexString());
+        audits.length.should.be.eql(3);
+      });
+
+      it("should paginate the audits", async () => {
+        const audits = await service.getHistory(object._id, {
+          limit: 1,
+          skip: 1
+        });
+        audits.map(audit => audit.new.name).should.be.eql(["bar"]);
+      });
+
+      it("should filter the audits by operation", async () => {
+        const audits = await service.getHistory(object._id, {
+          operations: [service.CREATE]
+        });
+        audits.map(audit => audit.operation).should.be.eql([service.CREATE]);
+      });
+
+      it("should filter the audits by time range", async () => {
+        const [, middle] = await service.getHistory(object._id),
+          audits = await service.getHistory(object._id, {
+            from: middle.timestamp,
+            to: middle.timestamp
+          });
+        audits.length.should.be.above(0);
+        audits
+          .every(
+            audit => audit.timestamp.getTime() === middle.timestamp.getTime()
+          )
+          .should.be.eql(true);
+      });
+
+      it("should find the audits stored without a document id", async () => {
+        await auditCollection.updateMany({}, { $unset: { documentId: "" } });
+        const audits = await service.getHistory(object._id);
+        audits.length.should.be.eql(3);
+      });
+    });
+
+    describe("listAudits", () => {
+      it("should filter the audits by user", async () => {
+        const audits = await service.listAudits({ user: "editor" });
+        audits.length.should.be.eql(2);
+        audits.every(audit => audit.user === "editor").should.be.eql(true);
+      });
+
+      it("should filter the audits by collection", async () => {
+        const audits = await service.listAudits({ collection: "dogs" });
+        audits.length.should.be.eql(0);
+      });
+
+      it("should return all the audits if there is no filter", async () => {
+        const audits = await service.listAudits();
+        audits.length.should.be.eql(4);
+      });
+    });
+
+    describe("getLastChange", () => {
+      it("should return the most recent audit of the document", async () => {
+        const audit = await service.getLastChange(object._id);
+        audit.user.should.be.eql("editor");
+        audit.new.name.should.be.eql("baz");
+      });
+
+      it("should return null if the document has no audits", async () => {
+        const audit = await service.getLastChange(new ObjectId());
+        (audit === null).should.be.eql(true);
+      });
+    });
+  });
+
+  describe("Point In Time", () => {
+    const wait = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    for (const auditMode of ["snapshot", "diff"]) {
+      describe(`${auditMode} mode`, () => {
+        let timeService, object, createdAt, patchedAt;
+
+        beforeEach(async () => {
+          timeService = new AuditedCrudService(
+            client,
+            databaseName,
+            collectionName,
+            auditCollectionName,
+            { auditMode }
+          );
+          object = await timeService.create({ name: "foo", likes: [] });
+          await wait();
+          createdAt = new Date();
+          await wait();
+          await timeService.addSubdocument(object._id, "likes", {
+            name: "fish"
+          });
+          await timeService.patchById(object._id, { name: "bar" });
+          await wait();
+          patchedAt = new Date();
+          await wait();
+          await timeService.patchById(object._id, { name: "baz" });
+        });
+
+        describe("getAsOf", () => {
+          it("should return the document as it was at the given date", async () => {
+            const created = await timeService.getAsOf(object._id, createdAt),
+              patched = await timeService.getAsOf(object._id, patchedAt);
+            created.should.be.eql(object);
+            patched.name.should.be.eql("bar");
+            patched.likes.map(like => like.name).should.be.eql(["fish"]);
+          });
+
+          it("should apply the subdocument changes", async () => {
+            const [fish] = (await timeService.getById(object._id)).likes;
+            await timeService.addSubdocument(object._id, "likes", {
+              name: "milk"
+            });
+            await timeService.patchSubdocumentById(
+              object._id,
+              "likes",
+              fish._id,
+              { name: "tuna" }
+            );
+            await timeService.removeSubdocument(object._id, "likes", {
+              name: "milk"
+            });
+            const current = await timeService.getById(object._id),
+              document = await timeService.getAsOf(object._id, new Date());
+            document.likes.should.be.eql(current.likes);
+            document.likes.map(like => like.name).should.be.eql(["tuna"]);
+          });
+
+          it("should return null if the document did not exist at the given date", async () => {
+            const document = await timeService.getAsOf(object._id, new Date(0));
+            (document === null).should.be.eql(true);
+          });
+
+          it("should return null if the document was removed at the given date", async () => {
+            await timeService.removeById(object._id);
+            const document = await timeService.getAsOf(object._id, new Date());
+            (document === null).should.be.eql(true);
+          });
+        });
+
+        describe("revertTo", () => {
+          it("should restore the state of the document after the audit", async () => {
+            const [audit] = await timeService.getHistory(object._id, {
+                operations: [timeService.CREATE]
+              }),
+              reverted = await timeService.revertTo(
+                object._id,
+                audit._id,
+                "admin"
+              ),
+              stored = await timeService.getById(object._id);
+            reverted.should.be.eql(stored);
+            stored.name.should.be.eql("foo");
+            stored.likes.should.be.eql([]);
+          });
+
+          it("should store a REVERT audit that points to the reverted audit", async () => {
+            const [audit] = await timeService.getHistory(object._id, {
+              operations: [timeService.CREATE]
+            });
+            await timeService.revertTo(object._id, audit._id, "admin");
+            const last = await timeService.getLastChange(object._id);
+            last.operation.should.be.eql(timeService.REVERT);
+            last.revertedAuditId.should.be.eql(audit._id);
+            last.user.should.be.eql("admin");
+          });
+
+          it("should throw a NotFoundError if the audit belongs to another document", async () => {
+            await timeService.patchById(validId, { type: "ugly" });
+            const audit = await timeService.getLastChange(validId);
+            await timeService
+              .revertTo(object._id, audit._id)
+              .should.be.rejectedWith(NotFoundError);
+            await timeService
+              .revertTo(object._id, new ObjectId())
+              .should.be.rejectedWith(NotFoundError);
+          });
+        });
+
+        describe("schema", () => {
+          let schemaService;
+
+          beforeEach(() => {
+            schemaService = new AuditedCrudService(
+              client,
+              databaseName,
+              collectionName,
+              auditCollectionName,
+              {
+                auditMode,
+                versioning: true,
+                schema: {
+                  type: "object",
+                  properties: {
+                    name: { type: "string" },
+                    likes: {
+                      type: "array",
+                      items: {
+                        type: "object",
+                        properties: { name: { type: "string" } },
+                        additionalProperties: false
+                      }
+                    }
+                  },
+                  additionalProperties: false
+                }
+              }
+            );
+          });
+
+          it("should revert a document whose schema does not allow additional properties", async () => {
+            const [audit] = await schemaService.getHistory(object._id, {
+                operations: [schemaService.CREATE]
+              }),
+              reverted = await schemaService.revertTo(object._id, audit._id);
+            reverted.name.should.be.eql("foo");
+          });
+
+          it("should undelete a document whose schema does not allow additional properties", async () => {
+            await schemaService.removeById(object._id);
+            const restored = await schemaService.undelete(object._id);
+            restored.name.should.be.eql("baz");
+          });
+        });
+
+        describe("undelete", () => {
+          it("should insert the removed document again", async () => {
+            const removed = await timeService.removeById(object._id),
+              restored = await timeService.undelete(object._id, "admin"),
+              last = await timeService.getLastChange(object._id),
+              [removeAudit] = await timeService.getHistory(object._id, {
+                operations: [timeService.REMOVE]
+              });
+            restored.name.should.be.eql(removed.name);
+            restored.likes.should.be.eql(removed.likes);
+            last.operation.should.be.eql(timeService.REVERT);
+            last.revertedAuditId.should.be.eql(removeAudit._id);
+            last.new.should.be.eql(restored);
+          });
+
+          it("should throw a NotFoundError if the document was not removed", async () => {
+            await timeService
+              .undelete(object._id)
+              .should.be.rejectedWith(NotFoundError);
+            await timeService
+              .undelete(new ObjectId())
+              .should.be.rejectedWith(NotFoundError);
+          });
+        });
+      });
+    }
+  });
+
+  describe("Audit Sinks", () => {
+    it("should store the audits in the audit collection by default", async () => {
+      service.auditSink.should.be.instanceof(MongoAuditSink);
+      service.auditSink.collectionName.should.be.eql(auditCollectionName);
+    });
+
+    it("should read and write when the client of the sink is disconnected", async () => {
+      const sinkService = new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        {
+          auditSink: new MongoAuditSink(
+            new MongoClient(uri, clientOptions),
+            databaseName,
+            auditCollectionName,
+            { onError: "log", logger: { error: () => {} } }
+          )
+        }
+      );
+      (await sinkService.getById(validId)).should.not.be.eql(null);
+      (await sinkService.list({})).length.should.be.eql(data.length);
+      await sinkService.patchById(validId, { type: "ugly" });
+      await sinkService.listAudits().should.be.rejectedWith(ClientNotConnected);
+    });
+
+    it("should send the audits to every sink of a composite", async () => {
+      const emitter = new EventEmitter(),
+        emitted = [],
+        sinkService = new AuditedCrudService(
+          client,
+          databaseName,
+          collectionName,
+          auditCollectionName,
+          {
+            auditSink: new CompositeAuditSink([
+              new MongoAuditSink(client, databaseName, auditCollectionName),
+              new EventEmitterAuditSink(emitter)
+            ])
+          }
+        );
+      emitter.on("audit", audit => emitted.push(audit));
+      const object = await sinkService.patchById(validId, { type: "ugly" }),
+        audits = await sinkService.getHistory(validId);
+      audits.length.should.be.eql(1);
+      emitted.length.should.be.eql(1);
+      emitted[0].new.should.be.eql(object);
+    });
+
+    it("should store the audits in another database", async () => {
+      const otherDatabase = "test-audits",
+        sinkService = new AuditedCrudService(
+          client,
+          databaseName,
+          collectionName,
+          auditCollectionName,
+          {
+            auditSink: new MongoAuditSink(
+              client,
+              otherDatabase,
+              auditCollectionName
+            )
+          }
+        );
+      await sinkService.patchById(validId, { type: "ugly" });
+      const localAudits = await auditService.list(),
+        audits = await sinkService.getHistory(validId);
+      await client.db(otherDatabase).dropDatabase();
+      localAudits.length.should.be.eql(0);
+      audits.length.should.be.eql(1);
+    });
+
+    it("should not store the write if a sink with the fail policy fails", async function() {
+      if (!(await service.supportsTransactions())) {
+        this.skip();
+      }
+      const sinkService = new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        {
+          auditSink: new CompositeAuditSink([
+            new MongoAuditSink(client, databaseName, auditCollectionName),
+            new MongoAuditSink(client, databaseName, "other-audits", {
+              onError: "fail"
+            })
+          ])
+        }
+      );
+      sinkService.auditSink.sinks[1].write = async () => {
+        throw new Error("unavailable");
+      };
+      await sinkService
+        .patchById(validId, { type: "ugly" })
+        .should.be.rejectedWith("unavailable");
+      const object = await service.getById(validId),
+        audits = await auditService.list();
+      object.should.not.haveOwnProperty("type");
+      audits.length.should.be.eql(0);
+    });
+
+    it("should continue the write if a sink with the log policy fails", async () => {
+      const sinkService = new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        {
+          auditSink: new EventEmitterAuditSink(new EventEmitter(), {
+            onError: "log",
+            logger: { error: () => {} }
+          })
+        }
+      );
+      sinkService.auditSink.emitter.on("audit", () => {
+        throw new Error("unavailable");
+      });
+      const object = await sinkService.patchById(validId, { type: "ugly" });
+      object.type.should.be.eql("ugly");
+    });
+
+    it("should throw an error when querying audits that are not stored in MongoDB", async () => {
+      const sinkService = new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        { auditSink: new EventEmitterAuditSink() }
+      );
+      await sinkService
+        .getHistory(validId)
+        .should.be.rejectedWith(AssertionError);
+    });
+  });
+
+  describe("Redaction", () => {
+    const newService = (options = {}) =>
+      new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        Object.assign(
+          {
+            redact: {
+              password: "drop",
+              "likes.name": "mask",
+              "**.token": "hash"
+            },
+            redactionKey: "secret"
+          },
+          options
+        )
+      );
+
+    it("should redact the documents of the audits", async () => {
+      const redactedService = newService(),
+        object = await redactedService.patchById(validId, {
+          password: "1234",
+          token: "abc"
+        }),
+        [audit] = await auditService.list();
+      object.password.should.be.eql("1234");
+      audit.new.should.not.haveOwnProperty("password");
+      audit.new.token.should.not.be.eql("abc");
+      audit.new.likes.every(like => like.name === "****").should.be.eql(true);
+      audit.old.likes.every(like => like.name === "****").should.be.eql(true);
+    });
+
+    it("should redact the user", async () => {
+      const redactedService = newService();
+      await redactedService.patchById(
+        validId,
+        { type: "ugly" },
+        {},
+        {
+          name: "admin",
+          session: { token: "abc" }
+        }
+      );
+      const [audit] = await auditService.list();
+      audit.user.name.should.be.eql("admin");
+      audit.user.session.token.should.not.be.eql("abc");
+    });
+
+    it("should not store the redacted values in the diffs", async () => {
+      const redactedService = newService({ auditMode: "diff" });
+      await redactedService.patchById(validId, { password: "hunter" });
+      await redactedService.patchById(validId, { token: "tok-one" });
+      await redactedService.patchById(validId, { token: "tok-two" });
+      const audits = await auditService.list({}, null, null, { _id: 1 }),
+        diffs = audits.map(audit => audit.diff);
+      JSON.stringify(diffs).should.not.include("hunter");
+      JSON.stringify(diffs).should.not.include("tok-one");
+      JSON.stringify(diffs).should.not.include("tok-two");
+      diffs[0].some(change => change.path === "/password").should.be.eql(false);
+      diffs[2].some(change => change.path === "/token").should.be.eql(true);
+    });
+
+    it("should redact the subdocuments using the path of their array field", async () => {
+      const redactedService = newService();
+      await redactedService.addSubdocument(validId, validEmbbededField, {
+        name: "secrets"
+      });
+      const [audit] = await auditService.list();
+      audit.operation.should.be.eql(redactedService.SUBDOCUMENT_ADD);
+      audit.new.name.should.be.eql("****");
+    });
+
+    it("should not revert documents when the audits are redacted", async () => {
+      const redactedService = newService(),
+        object = await redactedService.create({ name: "foo" }),
+        audit = await redactedService.getLastChange(object._id);
+      await redactedService
+        .revertTo(object._id, audit._id)
+        .should.be.rejectedWith(AssertionError);
+    });
+  });
+
+  describe("Audit Chain", () => {
+    const newService = (auditChain = "collection", name = collectionName) =>
+      new AuditedCrudService(client, databaseName, name, auditCollectionName, {
+        auditChain
+      });
+
+    it("should link the audits of the collection", async () => {
+      const chainedService = newService(),
+        object = await chainedService.create({ name: "garfield" });
+      await chainedService.patchById(object._id, { name: "odie" });
+      const audits = await auditService.list({}, null, null, { seq: 1 });
+      audits.map(audit => audit.seq).should.be.eql([1, 2]);
+      audits.every(audit => audit.chain === collectionName).should.be.eql(true);
+      (audits[0].previousHash === null).should.be.eql(true);
+      audits[1].previousHash.should.be.eql(audits[0].hash);
+      const result = await chainedService.verifyAuditChain();
+      result.should.be.eql({ valid: true, checked: 2, error: null });
+    });
+
+    it("should keep the chain consistent with concurrent writers", async () => {
+      const chainedService = newService();
+      await Promise.all(
+        [...Array(10).keys()].map(i =>
+          chainedService.create({ name: `cat ${i}` })
+        )
+      );
+      const result = await chainedService.verifyAuditChain();
+      result.should.be.eql({ valid: true, checked: 10, error: null });
+    });
+
+    it("should report a modified audit", async () => {
+      const chainedService = newService(),
+        object = await chainedService.create({ name: "garfield" });
+      await chainedService.patchById(object._id, { name: "odie" });
+      await chainedService.patchById(object._id, { name: "nermal" });
+      await auditCollection.updateOne(
+        { seq: 2 },
+        { $set: { "new.name": "jon" } }
+      );
+      const result = await chainedService.verifyAuditChain();
+      result.valid.should.be.eql(false);
+      result.checked.should.be.eql(1);
+      result.error.type.should.be.eql("tampered");
+      result.error.seq.should.be.eql(2);
+    });
+
+    it("should report a removed audit", async () => {
+      const chainedService = newService(),
+        object = await chainedService.create({ name: "garfield" });
+      await chainedService.patchById(object._id, { name: "odie" });
+      await chainedService.patchById(object._id, { name: "nermal" });
+      await auditCollection.deleteOne({ seq: 2 });
+      const result = await chainedService.verifyAuditChain();
+      result.valid.should.be.eql(false);
+      result.error.type.should.be.eql("gap");
+      result.error.seq.should.be.eql(3);
+    });
+
+    it("should keep a single chain for every collection when it is global", async () => {
+      const cats = newService("global"),
+        dogs = newService("global", "dogs");
+      await cats.create({ name: "garfield" });
+      await dogs.create({ name: "odie" });
+      const audits = await auditService.list({}, null, null, { seq: 1 });
+      audits.map(audit => audit.chain).should.be.eql(["global", "global"]);
+      audits
+        .map(audit => audit.collection)
+        .should.be.eql([collectionName, "dogs"]);
+      const result = await dogs.verifyAuditChain();
+      result.should.be.eql({ valid: true, checked: 2, error: null });
+    });
+
+    it("should throw an error if the audits are not chained", async () => {
+      await service.verifyAuditChain().should.be.rejectedWith(AssertionError);
+    });
+
+    it("should throw an error if a retention is used with the chain", () => {
+      try {
+        new AuditedCrudService(
+          client,
+          databaseName,
+          collectionName,
+          auditCollectionName,
+          { auditChain: "collection", retention: { READ: 1000 } }
         );
-        audit.new[validEmbbededField].length.should.be.eql(
-          object[validEmbbededField].length
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should not archive the chained audits, so the chain stays valid", async () => {
+      const chainedService = newService("global"),
+        object = await chainedService.create({ name: "garfield" });
+      await newService("global", "dogs").create({ name: "odie" });
+      await chainedService.patchById(object._id, { name: "nermal" });
+      await chainedService
+        .archiveAudits({ olderThan: 0, to: { collection: "cat-archive" } })
+        .should.be.rejectedWith(AssertionError);
+      (await auditService.count({})).should.be.eql(3);
+      const result = await chainedService.verifyAuditChain();
+      result.should.be.eql({ valid: true, checked: 3, error: null });
+    });
+  });
+
+  describe("Retention", () => {
+    const archiveCollectionName = "cat-audits-archive",
+      day = 24 * 60 * 60 * 1000,
+      newService = options =>
+        new AuditedCrudService(
+          client,
+          databaseName,
+          collectionName,
+          auditCollectionName,
+          options
+        ),
+      insertAudits = async ages => {
+        const now = Date.now();
+        await auditCollection.insertMany(
+          Object.keys(ages).map(operation => ({
+            collection: collectionName,
+            operation,
+            documentId: validId,
+            user: "Anonymous",
+            timestamp: new Date(now - ages[operation])
+          }))
         );
+      };
+
+    afterEach(async () => {
+      await database.collection(archiveCollectionName).deleteMany({});
+    });
+
+    it("should throw an error if a max age is not valid", () => {
+      try {
+        newService({ retention: { UPDATE: "1 day" } });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should throw an error if retentionTTL is used with a sink that is not queryable", () => {
+      try {
+        newService({
+          retention: { default: day },
+          retentionTTL: true,
+          auditSink: new EventEmitterAuditSink(new EventEmitter())
+        });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should store when the audits expire and create a TTL index", async () => {
+      const retainedService = newService({
+          retention: { CREATE: day, default: 30 * day },
+          retentionTTL: true
+        }),
+        object = await retainedService.create({ name: "garfield" });
+      await retainedService.patchById(object._id, { name: "odie" });
+      const audits = await auditService.list({}, null, null, { _id: 1 });
+      (audits[0].expireAt - audits[0].timestamp).should.be.eql(day);
+      (audits[1].expireAt - audits[1].timestamp).should.be.eql(30 * day);
+      const indexes = await auditCollection.indexes();
+      indexes
+        .some(
+          index => index.key.expireAt === 1 && index.expireAfterSeconds === 0
+        )
+        .should.be.eql(true);
+    });
+
+    it("should not store when the audits expire without retentionTTL", async () => {
+      const retainedService = newService({ retention: { default: day } });
+      await retainedService.create({ name: "garfield" });
+      const [audit] = await auditService.list();
+      audit.should.not.haveOwnProperty("expireAt");
+    });
+
+    it("should archive the audits expired according to the retention", async () => {
+      const retainedService = newService({
+        retention: { UPDATE: day, default: 10 * day }
+      });
+      await insertAudits({
+        UPDATE: 2 * day,
+        REMOVE: 2 * day,
+        CREATE: 20 * day
+      });
+      const archived = await retainedService.archiveAudits({
+        to: { collection: archiveCollectionName }
+      });
+      archived.should.be.eql(2);
+      const remaining = await auditService.list();
+      remaining.map(audit => audit.operation).should.be.eql(["REMOVE"]);
+      const archive = await database
+        .collection(archiveCollectionName)
+        .find({}, { sort: { operation: 1 } })
+        .toArray();
+      archive.map(audit => audit.operation).should.be.eql(["CREATE", "UPDATE"]);
+    });
+
+    it("should archive the audits older than a date in batches", async () => {
+      await insertAudits({ CREATE: 3 * day, UPDATE: 2 * day, REMOVE: 0 });
+      const archived = await service.archiveAudits({
+        olderThan: new Date(Date.now() - day),
+        to: { collection: archiveCollectionName },
+        batchSize: 1
+      });
+      archived.should.be.eql(2);
+      (await auditService.count({})).should.be.eql(1);
+    });
+
+    it("should only archive the audits of the collection", async () => {
+      await insertAudits({ CREATE: 2 * day });
+      await auditCollection.updateMany({}, { $set: { collection: "dogs" } });
+      const archived = await service.archiveAudits({
+        olderThan: day,
+        to: { collection: archiveCollectionName }
       });
+      archived.should.be.eql(0);
+    });
+
+    it("should archive the audits to a NDJSON.gz file", async () => {
+      const file = path.join(os.tmpdir(), `audits-${Date.now()}.ndjson.gz`);
+      await insertAudits({ CREATE: 3 * day, UPDATE: 2 * day });
+      try {
+        const archived = await service.archiveAudits({
+          olderThan: day,
+          to: { file }
+        });
+        archived.should.be.eql(2);
+        const lines = zlib
+          .gunzipSync(fs.readFileSync(file))
+          .toString()
+          .trim()
+          .split("\n")
+          .map(line => JSON.parse(line));
+        lines.map(audit => audit.operation).should.be.eql(["CREATE", "UPDATE"]);
+        (await auditService.count({})).should.be.eql(0);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it("should throw an error if there is no destination", async () => {
+      await service
+        .archiveAudits({ olderThan: day })
+        .should.be.rejectedWith(AssertionError);
+    });
+  });
+
+  describe("Audit Context", () => {
+    it("should store the user of the context", async () => {
+      await AuditedCrudService.runWithContext({ user: "jon" }, async () => {
+        await service.patchById(validId, { name: "odie" });
+        await service.addSubdocument(validId, validEmbbededField, {
+          name: "lasagna"
+        });
+      });
+      const audits = await auditService.list();
+      audits.map(audit => audit.user).should.be.eql(["jon", "jon"]);
+    });
+
+    it("should prefer the user passed to the method", async () => {
+      await AuditedCrudService.runWithContext({ user: "jon" }, () =>
+        service.patchById(validId, { name: "odie" }, {}, "liz")
+      );
+      const [audit] = await auditService.list();
+      audit.user.should.be.eql("liz");
+    });
+
+    it("should store the metadata of the context", async () => {
+      await AuditedCrudService.runWithContext(
+        { user: "jon", requestId: "42", ip: "127.0.0.1" },
+        () => service.create({ name: "garfield" })
+      );
+      const [audit] = await auditService.list();
+      audit.user.should.be.eql("jon");
+      audit.context.should.be.eql({ requestId: "42", ip: "127.0.0.1" });
+    });
+
+    it("should extend the outer context", async () => {
+      await AuditedCrudService.runWithContext({ requestId: "42" }, () =>
+        AuditedCrudService.runWithContext({ user: "jon" }, () =>
+          service.create({ name: "garfield" })
+        )
+      );
+      const [audit] = await auditService.list();
+      audit.user.should.be.eql("jon");
+      audit.context.should.be.eql({ requestId: "42" });
+    });
+
+    it("should keep the contexts of concurrent requests apart", async () => {
+      await Promise.all(
+        ["jon", "liz"].map(user =>
+          AuditedCrudService.runWithContext({ user }, async () => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            await service.create({ name: user });
+          })
+        )
+      );
+      const audits = await auditService.list();
+      audits.every(audit => audit.user === audit.new.name).should.be.eql(true);
+    });
+
+    it("should store ANONYMOUS outside a context", async () => {
+      await service.create({ name: "garfield" });
+      const [audit] = await auditService.list();
+      audit.user.should.be.eql(service.ANONYMOUS);
+      audit.should.not.haveOwnProperty("context");
+    });
+  });
+
+  describe("Read Audits", () => {
+    const newService = auditReads =>
+      new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        { auditReads }
+      );
+
+    it("should not audit the reads by default", async () => {
+      await service.getById(validId);
+      await service.list({});
+      (await auditService.count({})).should.be.eql(0);
+    });
+
+    it("should audit the reads of a document", async () => {
+      const readService = newService(true);
+      await AuditedCrudService.runWithContext({ user: "jon" }, () =>
+        readService.getById(validId, { name: 1 })
+      );
+      const [audit] = await auditService.list();
+      audit.operation.should.be.eql(readService.READ);
+      audit.method.should.be.eql("getById");
+      audit.documentId.should.be.eql(validId);
+      audit.projection.should.be.eql(JSON.stringify({ name: 1 }));
+      audit.user.should.be.eql("jon");
+      audit.should.not.haveOwnProperty("new");
+    });
+
+    it("should store the query and the _id of the listed documents", async () => {
+      const readService = newService(true),
+        objects = await readService.list({ type: { $in: ["lazy", "ugly"] } });
+      const [audit] = await auditService.list();
+      audit.method.should.be.eql("list");
+      JSON.parse(audit.query).should.be.eql({
+        type: { $in: ["lazy", "ugly"] }
+      });
+      audit.documentIds.should.be.eql(objects.map(object => object._id));
+    });
+
+    it("should store the _id of the documents of listPage and paginate", async () => {
+      const readService = newService(true),
+        page = await readService.listPage({}, { first: 2 }),
+        paginated = await readService.paginate({}, { pageSize: 3 });
+      const audits = await auditService.list({}, null, null, { _id: 1 });
+      audits.map(audit => audit.method).should.be.eql(["listPage", "paginate"]);
+      audits[0].documentIds.should.be.eql(page.items.map(item => item._id));
+      audits[1].documentIds.should.be.eql(
+        paginated.items.map(item => item._id)
+      );
+    });
+
+    it("should audit the reads of the soft deleted documents", async () => {
+      const readService = new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        { auditReads: true, softDelete: true }
+      );
+      await collection.updateOne(
+        { _id: validId },
+        { $set: { deletedAt: new Date() } }
+      );
+      await readService.listDeleted({});
+      const [audit] = await auditService.list();
+      audit.method.should.be.eql("listDeleted");
+      audit.documentIds.should.be.eql([validId]);
+    });
+
+    it("should audit a subdocument read once", async () => {
+      const readService = newService(true),
+        subdocument = { name: "lasagna" };
+      await readService.addSubdocument(
+        validId,
+        validEmbbededField,
+        subdocument
+      );
+      await readService.getSubdocument(validId, validEmbbededField, {
+        _id: subdocument._id
+      });
+      const audits = await auditService.list({ operation: readService.READ });
+      audits.length.should.be.eql(1);
+      audits[0].method.should.be.eql("getSubdocument");
+      audits[0].documentId.should.be.eql(validId);
+      audits[0].subdocumentId.should.be.eql(subdocument._id);
+    });
+
+    it("should not audit the reads that are not sampled", async () => {
+      const readService = newService({ sampleRate: 0 });
+      await readService.getById(validId);
+      (await auditService.count({})).should.be.eql(0);
+    });
+
+    it("should store the READ audits in batches", async () => {
+      const readService = newService({ batchSize: 3 });
+      await readService.getById(validId);
+      await readService.getById(validId);
+      (await auditService.count({})).should.be.eql(0);
+      await readService.getById(validId);
+      (await auditService.count({})).should.be.eql(3);
+      await readService.getById(validId);
+      await readService.flushReadAudits();
+      (await auditService.count({})).should.be.eql(4);
+    });
+
+    describe("failures", () => {
+      const logged = [],
+        sink = new MongoAuditSink(client, databaseName, auditCollectionName, {
+          logger: { error: (...args) => logged.push(args) }
+        }),
+        newFailingService = auditReads =>
+          new AuditedCrudService(
+            client,
+            databaseName,
+            collectionName,
+            auditCollectionName,
+            { auditReads, auditSink: sink }
+          );
+
+      beforeEach(() => {
+        logged.length = 0;
+        sink.write = async () => {
+          throw new Error("unavailable");
+        };
+      });
+
+      afterEach(() => {
+        delete sink.write;
+      });
+
+      it("should throw the error and keep the READ audits with the fail policy", async () => {
+        const readService = newFailingService({ batchSize: 2 });
+        await readService.getById(validId);
+        await readService
+          .getById(validId)
+          .should.be.rejectedWith("unavailable");
+        (await auditService.count({})).should.be.eql(0);
+        delete sink.write;
+        await readService.flushReadAudits();
+        (await auditService.count({})).should.be.eql(2);
+      });
+
+      it("should report the errors of the background flushes to the logger of the sink", async () => {
+        const readService = newFailingService({
+          batchSize: 10,
+          flushInterval: 10
+        });
+        await readService.getById(validId);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        logged.length.should.be.above(0);
+        logged[0][1].message.should.be.eql("unavailable");
+        delete sink.write;
+        await readService.flushReadAudits();
+        (await auditService.count({})).should.be.eql(1);
+      });
+    });
+
+    it("should include the reads in the history only if they are requested", async () => {
+      const readService = newService(true),
+        object = await readService.create({ name: "garfield" });
+      await readService.list({ name: "garfield" });
+      (await readService.getHistory(object._id))
+        .map(audit => audit.operation)
+        .should.be.eql([readService.CREATE]);
+      (await readService.getHistory(object._id, {
+        operations: [readService.READ, readService.CREATE]
+      }))
+        .map(audit => audit.operation)
+        .should.be.eql([readService.READ, readService.CREATE]);
+      const state = await readService.getAsOf(object._id, new Date());
+      state.name.should.be.eql("garfield");
+    });
+
+    it("should return the last change and not the last read", async () => {
+      const readService = newService(true);
+      await readService.patchById(validId, { type: "ugly" });
+      await readService.getById(validId);
+      const last = await readService.getLastChange(validId);
+      last.operation.should.be.eql(readService.UPDATE);
+      (await readService.listAudits({
+        documentId: validId
+      })).length.should.be.eql(1);
+    });
+  });
+
+  describe("Audit Reports", () => {
+    const otherId = new ObjectId(),
+      insertAudits = audits =>
+        auditCollection.insertMany(
+          audits.map(([operation, user, timestamp, documentId = validId]) => ({
+            collection: collectionName,
+            operation,
+            documentId,
+            user,
+            timestamp: new Date(timestamp)
+          }))
+        );
+
+    beforeEach(async () => {
+      await insertAudits([
+        ["CREATE", "jon", "2018-11-05T10:15:00Z"],
+        ["UPDATE", "jon", "2018-11-05T23:30:00Z"],
+        ["UPDATE", "liz", "2018-11-06T09:00:00Z"],
+        ["UPDATE", "jon", "2018-11-13T09:00:00Z", otherId],
+        ["REMOVE", "liz", "2018-11-13T10:00:00Z", otherId]
+      ]);
+    });
+
+    it("should count the audits by user", async () => {
+      const report = await service.auditReport({ groupBy: ["user"] });
+      report.should.be.eql([
+        { user: "jon", count: 3 },
+        { user: "liz", count: 2 }
+      ]);
+    });
+
+    it("should count the changes per user per day", async () => {
+      const report = await service.auditReport({
+        groupBy: ["user"],
+        interval: "day",
+        operations: ["UPDATE"]
+      });
+      report.should.be.eql([
+        { user: "jon", period: "2018-11-05T00:00:00.000Z", count: 1 },
+        { user: "liz", period: "2018-11-06T00:00:00.000Z", count: 1 },
+        { user: "jon", period: "2018-11-13T00:00:00.000Z", count: 1 }
+      ]);
+    });
+
+    it("should use the timezone of the buckets", async () => {
+      const report = await service.auditReport({
+        interval: "day",
+        timezone: "-04:00",
+        to: new Date("2018-11-07")
+      });
+      report.should.be.eql([
+        { period: "2018-11-05T04:00:00.000Z", count: 2 },
+        { period: "2018-11-06T04:00:00.000Z", count: 1 }
+      ]);
+    });
+
+    it("should group the audits by week", async () => {
+      const report = await service.auditReport({
+        groupBy: ["operation"],
+        interval: "week"
+      });
+      report.should.be.eql([
+        { operation: "UPDATE", period: "2018-11-05T00:00:00.000Z", count: 2 },
+        { operation: "CREATE", period: "2018-11-05T00:00:00.000Z", count: 1 },
+        { operation: "REMOVE", period: "2018-11-12T00:00:00.000Z", count: 1 },
+        { operation: "UPDATE", period: "2018-11-12T00:00:00.000Z", count: 1 }
+      ]);
+    });
+
+    it("should throw an error if a group field is not valid", async () => {
+      await service
+        .auditReport({ groupBy: ["documentId"] })
+        .should.be.rejectedWith(AssertionError);
+    });
+
+    it("should return the most changed documents", async () => {
+      const report = await service.mostChangedDocuments({ limit: 1 });
+      report.should.be.eql([
+        {
+          collection: collectionName,
+          documentId: validId.toHexString(),
+          count: 3,
+          lastChange: "2018-11-06T09:00:00.000Z"
+        }
+      ]);
+    });
+  });
+
+  describe("Strict Mode", () => {
+    const missingId = new ObjectId();
+
+    it("should return null if the document to patch or update does not exist", async () => {
+      (
+        (await service.patchById(missingId, { type: "lazy" })) === null
+      ).should.be.eql(true);
+      (
+        (await service.updateById(missingId, { $set: { type: "lazy" } })) ===
+        null
+      ).should.be.eql(true);
+      ((await service.removeById(missingId)) === null).should.be.eql(true);
+      (await auditCollection.countDocuments({})).should.be.eql(0);
+    });
+
+    it("should throw a NotFoundError without storing audits in strict mode", async () => {
+      const strictService = new AuditedCrudService(
+        client,
+        databaseName,
+        collectionName,
+        auditCollectionName,
+        { strict: true }
+      );
+      const error = await strictService
+        .patchById(missingId, { type: "lazy" })
+        .should.be.rejectedWith(NotFoundError);
+      error.collection.should.be.eql(collectionName);
+      error.query.should.be.eql({ _id: missingId });
+      await strictService
+        .updateById(missingId, { $set: { type: "lazy" } })
+        .should.be.rejectedWith(NotFoundError);
+      await strictService
+        .removeById(missingId)
+        .should.be.rejectedWith(NotFoundError);
+      await strictService
+        .patchSubdocument(
+          missingId,
+          validEmbbededField,
+          { name: "games" },
+          {
+            name: "naps"
+          }
+        )
+        .should.be.rejectedWith(NotFoundError);
+      await strictService
+        .removeSubdocumentById(missingId, validEmbbededField, new ObjectId())
+        .should.be.rejectedWith(NotFoundError);
+      (await auditCollection.countDocuments({})).should.be.eql(0);
+    });
+
+    it("should accept the strict option in every call", async () => {
+      await service
+        .patchById(missingId, { type: "lazy" }, { strict: true })
+        .should.be.rejectedWith(NotFoundError);
+    });
+
+    it("should return an empty array if there are no subdocuments", async () => {
+      (await service.listSubdocuments(
+        missingId,
+        validEmbbededField
+      )).should.be.eql([]);
     });
   });
 });
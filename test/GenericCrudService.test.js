@@ -12,6 +12,13 @@ const chai = require("chai"),
   },
   client = new MongoClient(uri, clientOptions),
   ClientNotConnected = require("../exceptions/ClientNotConnected"),
+  ValidationError = require("../exceptions/ValidationError"),
+  VersionConflict = require("../exceptions/VersionConflict"),
+  QueryStringError = require("../exceptions/QueryStringError"),
+  InvalidIdError = require("../exceptions/InvalidIdError"),
+  DuplicateKeyError = require("../exceptions/DuplicateKeyError"),
+  InvalidArgumentError = require("../exceptions/InvalidArgumentError"),
+  NotFoundError = require("../exceptions/NotFoundError"),
   validId = new ObjectId("5be1c07f21fd86540546eb53"),
   invalidId = "5be1c07f21fd86540546eb5f",
   validEmbbededField = "likes",
@@ -131,6 +138,227 @@ describe("GenericCrudService", () => {
     });
   });
 
+  describe("listPage", () => {
+    const byName = (a, b) => {
+      if (a.name < b.name) return -1;
+      if (a.name > b.name) return 1;
+      return 0;
+    };
+
+    it("should throw an error if the client is not connected", async () => {
+      const notConnectedClient = new MongoClient(uri, clientOptions);
+      const service = new GenericCrudService(
+        notConnectedClient,
+        databaseName,
+        collectionName
+      );
+      try {
+        await service.listPage();
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(ClientNotConnected);
+      }
+    });
+
+    it("should return the first page sorted by _id by default", async () => {
+      const page = await service.listPage({}, { first: 4 }),
+        sorted = data
+          .slice()
+          .sort((a, b) =>
+            a._id.toHexString().localeCompare(b._id.toHexString())
+          );
+      page.items.should.be.eql(sorted.slice(0, 4));
+      page.pageInfo.hasNextPage.should.be.eql(true);
+      page.pageInfo.hasPreviousPage.should.be.eql(false);
+    });
+
+    it("should walk forward through all the documents", async () => {
+      const ids = [];
+      let page = await service.listPage({}, { first: 3, sort: { name: -1 } });
+      ids.push(...page.items.map(item => item.name));
+      while (page.pageInfo.hasNextPage) {
+        page = await service.listPage(
+          {},
+          { first: 3, sort: { name: -1 }, after: page.pageInfo.endCursor }
+        );
+        page.pageInfo.hasPreviousPage.should.be.eql(true);
+        ids.push(...page.items.map(item => item.name));
+      }
+      ids.should.be.eql(
+        data
+          .slice()
+          .sort(byName)
+          .reverse()
+          .map(item => item.name)
+      );
+    });
+
+    it("should walk backward from a cursor", async () => {
+      const sorted = data.slice().sort(byName),
+        first = await service.listPage({}, { first: 6, sort: { name: 1 } }),
+        previous = await service.listPage(
+          {},
+          { first: 3, sort: { name: 1 }, before: first.pageInfo.endCursor }
+        );
+      previous.items.should.be.eql(sorted.slice(2, 5));
+      previous.pageInfo.hasPreviousPage.should.be.eql(true);
+      previous.pageInfo.hasNextPage.should.be.eql(true);
+    });
+
+    it("should throw an error if the cursor was built for another sort", async () => {
+      const page = await service.listPage({}, { first: 2, sort: { name: 1 } });
+      try {
+        await service.listPage({}, { after: page.pageInfo.endCursor });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should throw an error if the cursor was built for another direction", async () => {
+      const page = await service.listPage({}, { first: 2, sort: { name: 1 } });
+      try {
+        await service.listPage(
+          {},
+          { sort: { name: -1 }, after: page.pageInfo.endCursor }
+        );
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should walk through the documents with null and missing sort values", async () => {
+      await collection.updateMany(
+        { name: { $in: ["Blacky", "Petri"] } },
+        { $set: { color: null } }
+      );
+      await collection.updateMany(
+        { name: { $in: ["Motts", "Neko"] } },
+        { $set: { color: "black" } }
+      );
+      for (const direction of [1, -1]) {
+        const expected = (await collection
+            .find({}, { sort: [["color", direction], ["_id", 1]] })
+            .toArray()).map(item => item._id.toHexString()),
+          ids = [];
+        let page = await service.listPage(
+          {},
+          { first: 3, sort: { color: direction } }
+        );
+        ids.push(...page.items.map(item => item._id.toHexString()));
+        while (page.pageInfo.hasNextPage) {
+          page = await service.listPage(
+            {},
+            {
+              first: 3,
+              sort: { color: direction },
+              after: page.pageInfo.endCursor
+            }
+          );
+          ids.push(...page.items.map(item => item._id.toHexString()));
+        }
+        ids.should.be.eql(expected);
+        const previous = await service.listPage(
+          {},
+          {
+            first: 3,
+            sort: { color: direction },
+            before: page.pageInfo.endCursor
+          }
+        );
+        previous.items
+          .map(item => item._id.toHexString())
+          .should.be.eql(expected.slice(-4, -1));
+      }
+    });
+  });
+
+  describe("paginate", () => {
+    it("should throw an error if the client is not connected", async () => {
+      const notConnectedClient = new MongoClient(uri, clientOptions);
+      const service = new GenericCrudService(
+        notConnectedClient,
+        databaseName,
+        collectionName
+      );
+      try {
+        await service.paginate();
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(ClientNotConnected);
+      }
+    });
+
+    it("should return the page along with the total count", async () => {
+      const result = await service.paginate(
+        {},
+        { page: 2, pageSize: 4, sort: { name: 1 } }
+      );
+      result.items
+        .map(item => item.name)
+        .should.be.eql(
+          data
+            .map(item => item.name)
+            .sort()
+            .slice(4, 8)
+        );
+      result.total.should.be.eql(data.length);
+      result.page.should.be.eql(2);
+      result.pageSize.should.be.eql(4);
+      result.totalPages.should.be.eql(Math.ceil(data.length / 4));
+    });
+
+    it("should break the ties of the sort with the _id", async () => {
+      await collection.updateMany({}, { $set: { type: "cute" } });
+      const ids = [];
+      for (let page = 1; page <= Math.ceil(data.length / 3); page++) {
+        const result = await service.paginate(
+          {},
+          { page, pageSize: 3, sort: { type: 1 } }
+        );
+        ids.push(...result.items.map(item => item._id.toHexString()));
+      }
+      ids.should.be.eql(
+        data
+          .map(item => item._id.toHexString())
+          .sort((a, b) => (a < b ? -1 : 1))
+      );
+    });
+
+    it("should count only the documents that satisfy the query", async () => {
+      const result = await service.paginate(
+          { name: /a/i },
+          { projection: { _id: 1 } }
+        ),
+        withLetterA = data.filter(value => value.name.includes("a"));
+      result.total.should.be.eql(withLetterA.length);
+      result.items.filter(item => item.name).length.should.be.eql(0);
+    });
+
+    it("should return an empty page if there are no results", async () => {
+      const result = await service.paginate({ name: "nobody" });
+      result.items.should.be.eql([]);
+      result.total.should.be.eql(0);
+      result.totalPages.should.be.eql(0);
+    });
+
+    it("should throw an error if the page size is greater than the maximum", async () => {
+      const limitedService = new GenericCrudService(
+        client,
+        databaseName,
+        collectionName,
+        { maxPageSize: 5 }
+      );
+      try {
+        await limitedService.paginate({}, { pageSize: 6 });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+  });
+
   describe("count", () => {
     it("should throw an error if the client is not connected", async () => {
       const notConnectedClient = new MongoClient(uri, clientOptions);
@@ -562,12 +790,12 @@ describe("GenericCrudService", () => {
         }
       });
 
-      it("should return null if the document is not found", async () => {
+      it("should return an empty array if the document is not found", async () => {
         const objects = await service.listSubdocuments(
           invalidId,
           validEmbbededField
         );
-        expect(objects).to.be.null;
+        objects.should.be.eql([]);
       });
 
       it("should get all the subdocuments", async () => {
@@ -927,4 +1155,968 @@ describe("GenericCrudService", () => {
       });
     });
   });
+
+  describe("Soft Delete", () => {
+    const softService = new GenericCrudService(
+      client,
+      databaseName,
+      collectionName,
+      { softDelete: true }
+    );
+
+    describe("remove", () => {
+      it("should stamp the deletedAtField instead of deleting the document", async () => {
+        const oldCount = await collection.countDocuments(),
+          object = await softService.remove({ _id: validId }),
+          newCount = await collection.countDocuments();
+        object.should.haveOwnProperty(softService.deletedAtField);
+        newCount.should.be.eql(oldCount);
+      });
+
+      it("should return null if the document is already deleted", async () => {
+        await softService.removeById(validId);
+        const object = await softService.removeById(validId);
+        expect(object).to.be.null;
+      });
+    });
+
+    describe("reads", () => {
+      beforeEach(async () => {
+        await softService.removeById(validId);
+      });
+
+      it("should hide the deleted documents from list", async () => {
+        const objects = await softService.list();
+        objects.length.should.be.eql(data.length - 1);
+      });
+
+      it("should hide the deleted documents from count", async () => {
+        const count = await softService.count();
+        count.should.be.eql(data.length - 1);
+      });
+
+      it("should hide the deleted documents from get and getById", async () => {
+        const object = await softService.get({ _id: validId }),
+          object1 = await softService.getById(validId);
+        expect(object).to.be.null;
+        expect(object1).to.be.null;
+      });
+
+      it("should hide the deleted documents from exists", async () => {
+        const exists = await softService.exists({ _id: validId });
+        exists.should.be.eql(false);
+      });
+
+      it("should hide the deleted documents from the subdocument readers", async () => {
+        const objects = await softService.listSubdocuments(
+            validId,
+            validEmbbededField
+          ),
+          object = await softService.getSubdocument(
+            validId,
+            validEmbbededField,
+            { name: "games" }
+          );
+        objects.should.be.eql([]);
+        expect(object).to.be.null;
+      });
+
+      it("should list only the deleted documents with listDeleted", async () => {
+        const objects = await softService.listDeleted();
+        objects.length.should.be.eql(1);
+        objects[0]._id.should.be.eql(validId);
+      });
+    });
+
+    describe("writes", () => {
+      beforeEach(async () => {
+        await softService.removeById(validId);
+      });
+
+      it("should not change the deleted documents", async () => {
+        expect(await softService.patchById(validId, { type: "ugly" })).to.be
+          .null;
+        expect(
+          await softService.updateById(validId, { $set: { type: "ugly" } })
+        ).to.be.null;
+        expect(
+          await softService.addSubdocument(validId, validEmbbededField, {
+            name: "fish"
+          })
+        ).to.be.null;
+        const object = await collection.findOne({ _id: validId });
+        object.should.not.haveOwnProperty("type");
+        object[validEmbbededField]
+          .map(item => item.name)
+          .should.not.include("fish");
+      });
+
+      it("should throw a NotFoundError in strict mode", async () => {
+        await softService
+          .patchById(validId, { type: "ugly" }, { strict: true })
+          .should.be.rejectedWith(NotFoundError);
+      });
+    });
+
+    describe("restore", () => {
+      it("should throw an error if soft delete is not enabled", async () => {
+        try {
+          await service.restoreById(validId);
+          false.should.be.eql(true, "The function should NOT HAVE passed");
+        } catch (error) {
+          error.should.be.instanceof(AssertionError);
+        }
+      });
+
+      it("should return null if the document is not deleted", async () => {
+        const object = await softService.restoreById(validId);
+        expect(object).to.be.null;
+      });
+
+      it("should restore a deleted document", async () => {
+        await softService.removeById(validId);
+        const object = await softService.restore({ _id: validId }),
+          exists = await softService.exists({ _id: validId });
+        object.should.not.haveOwnProperty(softService.deletedAtField);
+        exists.should.be.eql(true);
+      });
+    });
+
+    describe("purge", () => {
+      it("should permanently delete only the deleted documents", async () => {
+        await softService.removeById(validId);
+        const count = await softService.purge({}),
+          newCount = await collection.countDocuments();
+        count.should.be.eql(1);
+        newCount.should.be.eql(data.length - 1);
+      });
+    });
+  });
+
+  describe("Schema Validation", () => {
+    const schemaService = new GenericCrudService(
+      client,
+      databaseName,
+      collectionName,
+      {
+        schema: {
+          type: "object",
+          required: ["name"],
+          properties: {
+            name: { type: "string" },
+            type: { type: "string", enum: ["ugly", "cute"] },
+            likes: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["name"],
+                additionalProperties: false,
+                properties: { name: { type: "string" } }
+              }
+            }
+          }
+        }
+      }
+    );
+
+    it("should throw a ValidationError if the created document is invalid", async () => {
+      try {
+        await schemaService.create({ type: "ugly" });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(ValidationError);
+        error.errors.should.be.eql([{ path: "name", message: "is required" }]);
+      }
+    });
+
+    it("should only validate the patched fields", async () => {
+      const object = await schemaService.patchById(validId, { type: "cute" });
+      object.type.should.be.eql("cute");
+      try {
+        await schemaService.patchById(validId, { type: "weird" });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(ValidationError);
+        error.errors[0].path.should.be.eql("type");
+      }
+    });
+
+    it("should validate the $set payload of an update", async () => {
+      try {
+        await schemaService.updateById(validId, { $set: { name: 5 } });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(ValidationError);
+      }
+    });
+
+    it("should validate the added subdocuments against the items schema", async () => {
+      try {
+        await schemaService.addSubdocument(validId, validEmbbededField, {
+          name: "snakes",
+          color: "green"
+        });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(ValidationError);
+        error.errors[0].path.should.be.eql("likes.color");
+      }
+    });
+
+    it("should validate the patched subdocument fields", async () => {
+      try {
+        await schemaService.patchSubdocument(
+          validId,
+          validEmbbededField,
+          { name: "games" },
+          { name: 5 }
+        );
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(ValidationError);
+        error.errors[0].path.should.be.eql("likes.$.name");
+      }
+    });
+
+    describe("applySchemaValidator", () => {
+      const strictService = new GenericCrudService(
+        client,
+        databaseName,
+        "validated-cats",
+        {
+          softDelete: true,
+          versioning: true,
+          schema: {
+            type: "object",
+            required: ["name"],
+            additionalProperties: false,
+            properties: {
+              name: { type: "string" },
+              likes: {
+                type: "array",
+                items: {
+                  type: "object",
+                  additionalProperties: false,
+                  properties: { name: { type: "string" } }
+                }
+              }
+            }
+          }
+        }
+      );
+
+      before(async () => {
+        await database
+          .collection("validated-cats")
+          .drop()
+          .catch(() => {});
+        await strictService.applySchemaValidator();
+      });
+
+      after(async () => {
+        await database.collection("validated-cats").drop();
+      });
+
+      it("should accept the documents written by the service", async () => {
+        const object = await strictService.create({ name: "Garfield" });
+        await strictService.patchById(object._id, { name: "Garfield II" });
+        await strictService.addSubdocument(object._id, validEmbbededField, {
+          name: "lasagna"
+        });
+        await strictService.removeById(object._id);
+        const removed = await database
+          .collection("validated-cats")
+          .findOne({ _id: object._id });
+        removed.name.should.be.eql("Garfield II");
+        removed.should.have.property("deletedAt");
+      });
+
+      it("should reject the documents with undeclared fields on the server", async () => {
+        try {
+          await database
+            .collection("validated-cats")
+            .insertOne({ name: "Garfield", color: "orange" });
+          false.should.be.eql(true, "The function should NOT HAVE passed");
+        } catch (error) {
+          error.code.should.be.eql(121);
+        }
+      });
+    });
+  });
+
+  describe("Bulk Services", () => {
+    describe("createMany", () => {
+      it("should create all the documents with the creation date", async () => {
+        const oldCount = await service.count(),
+          response = await service.createMany([
+            { name: "foo" },
+            { name: "bar" }
+          ]),
+          newCount = await service.count(),
+          objects = await service.list({ name: { $in: ["foo", "bar"] } });
+        newCount.should.be.eql(oldCount + 2);
+        response.insertedCount.should.be.eql(2);
+        response.errors.should.be.eql([]);
+        response.results
+          .map(result => result.status)
+          .should.be.eql(["ok", "ok"]);
+        objects.forEach(object =>
+          object.should.haveOwnProperty(service.creationDateField)
+        );
+      });
+
+      it("should stop at the first error in ordered mode", async () => {
+        const response = await service.createMany([
+          { name: "foo" },
+          { _id: validId, name: "duplicated" },
+          { name: "bar" }
+        ]);
+        response.insertedCount.should.be.eql(1);
+        response.errors.length.should.be.eql(1);
+        response.errors[0].index.should.be.eql(1);
+        response.errors[0].code.should.be.eql(11000);
+        response.results
+          .map(result => result.status)
+          .should.be.eql(["ok", "error", "skipped"]);
+      });
+
+      it("should continue after an error in unordered mode", async () => {
+        const response = await service.createMany(
+          [
+            { name: "foo" },
+            { _id: validId, name: "duplicated" },
+            { name: "bar" }
+          ],
+          { ordered: false }
+        );
+        response.insertedCount.should.be.eql(2);
+        response.results
+          .map(result => result.status)
+          .should.be.eql(["ok", "error", "ok"]);
+      });
+    });
+
+    describe("patchMany", () => {
+      it("should patch every document with the modification date", async () => {
+        const response = await service.patchMany([
+            { query: { _id: validId }, data: { type: "ugly" } },
+            { query: { name: "Petri" }, data: { type: "cute" } }
+          ]),
+          object = await service.getById(validId),
+          object1 = await service.get({ name: "Petri" });
+        response.matchedCount.should.be.eql(2);
+        object.type.should.be.eql("ugly");
+        object.should.haveOwnProperty(service.modificationDateField);
+        object1.type.should.be.eql("cute");
+      });
+    });
+
+    describe("updateMany", () => {
+      it("should update every document", async () => {
+        const response = await service.updateMany([
+            { query: { _id: validId }, update: { $unset: { name: "" } } }
+          ]),
+          object = await service.getById(validId);
+        response.modifiedCount.should.be.eql(1);
+        object.should.not.haveOwnProperty("name");
+        object.should.haveOwnProperty(service.modificationDateField);
+      });
+    });
+
+    describe("removeMany", () => {
+      it("should remove one document per query", async () => {
+        const oldCount = await service.count(),
+          response = await service.removeMany([
+            { _id: validId },
+            { name: "Petri" }
+          ]),
+          newCount = await service.count();
+        response.deletedCount.should.be.eql(2);
+        newCount.should.be.eql(oldCount - 2);
+      });
+    });
+
+    describe("bulkWrite", () => {
+      it("should execute mixed operations", async () => {
+        const response = await service.bulkWrite([
+          { create: { name: "foo" } },
+          { patch: { query: { _id: validId }, data: { type: "ugly" } } },
+          { remove: { query: { name: "Petri" } } }
+        ]);
+        response.insertedCount.should.be.eql(1);
+        response.modifiedCount.should.be.eql(1);
+        response.deletedCount.should.be.eql(1);
+        response.results[0]._id.should.be.instanceof(ObjectId);
+      });
+
+      it("should report an error for unknown operations", async () => {
+        const response = await service.bulkWrite([{ foo: {} }]);
+        response.errors.length.should.be.eql(1);
+        response.results[0].status.should.be.eql("error");
+      });
+
+      it("should throw the write concern errors", async () => {
+        const concernService = new GenericCrudService(
+            client,
+            databaseName,
+            collectionName
+          ),
+          error = new Error("waiting for replication timed out");
+        error.result = {
+          getWriteErrors: () => [],
+          getWriteConcernError: () => ({ code: 64, errmsg: error.message })
+        };
+        concernService.verifyConnection();
+        concernService.collection = {
+          bulkWrite: () => Promise.reject(error)
+        };
+        await concernService
+          .bulkWrite([{ create: { name: "foo" } }])
+          .should.be.rejectedWith("waiting for replication timed out");
+      });
+    });
+  });
+
+  describe("Sessions", () => {
+    it("should accept a session in the read and write methods", async () => {
+      const session = client.startSession();
+      try {
+        const object = await service.create({ name: "foo" }, { session }),
+          found = await service.getById(object._id, {}, { session }),
+          objects = await service.list(
+            { _id: object._id },
+            null,
+            null,
+            null,
+            null,
+            { session }
+          ),
+          count = await service.count({ _id: object._id }, { session }),
+          exists = await service.exists({ _id: object._id }, { session }),
+          patched = await service.patchById(
+            object._id,
+            { type: "ugly" },
+            { session }
+          );
+        found.should.be.eql(object);
+        objects.length.should.be.eql(1);
+        count.should.be.eql(1);
+        exists.should.be.eql(true);
+        patched.type.should.be.eql("ugly");
+      } finally {
+        session.endSession();
+      }
+    });
+
+    it("should report if the deployment supports transactions", async () => {
+      const supported = await service.supportsTransactions();
+      supported.should.be.a("boolean");
+    });
+
+    describe("withTransaction", () => {
+      beforeEach(async function() {
+        if (!(await service.supportsTransactions())) {
+          this.skip();
+        }
+      });
+
+      it("should commit the writes if the function resolves", async () => {
+        const oldCount = await service.count();
+        await service.withTransaction(async session => {
+          await service.create({ name: "foo" }, { session });
+          await service.removeById(validId, { session });
+        });
+        const newCount = await service.count(),
+          exists = await service.exists({ _id: validId });
+        newCount.should.be.eql(oldCount);
+        exists.should.be.eql(false);
+      });
+
+      it("should abort the writes if the function throws", async () => {
+        const oldCount = await service.count();
+        try {
+          await service.withTransaction(async session => {
+            await service.create({ name: "foo" }, { session });
+            throw new Error("abort");
+          });
+          false.should.be.eql(true, "The function should NOT HAVE passed");
+        } catch (error) {
+          error.message.should.be.eql("abort");
+        }
+        const newCount = await service.count();
+        newCount.should.be.eql(oldCount);
+      });
+    });
+  });
+
+  describe("Versioning", () => {
+    const versionedService = new GenericCrudService(
+      client,
+      databaseName,
+      collectionName,
+      { versioning: true }
+    );
+
+    it("should initialise the version when creating a document", async () => {
+      const object = await versionedService.create({ name: "foo" });
+      object[versionedService.versionField].should.be.eql(0);
+    });
+
+    it("should increment the version on every write", async () => {
+      const object = await versionedService.create({ name: "foo" }),
+        patched = await versionedService.patchById(object._id, {
+          type: "ugly"
+        }),
+        updated = await versionedService.updateById(object._id, {
+          $unset: { type: "" }
+        });
+      patched[versionedService.versionField].should.be.eql(1);
+      updated[versionedService.versionField].should.be.eql(2);
+    });
+
+    it("should apply the patch if the expected version matches", async () => {
+      const object = await versionedService.create({ name: "foo" }),
+        patched = await versionedService.patchById(
+          object._id,
+          { type: "ugly" },
+          { expectedVersion: 0 }
+        );
+      patched.type.should.be.eql("ugly");
+      patched[versionedService.versionField].should.be.eql(1);
+    });
+
+    it("should throw a VersionConflict if the expected version does not match", async () => {
+      const object = await versionedService.create({ name: "foo" });
+      await versionedService.patchById(object._id, { type: "ugly" });
+      try {
+        await versionedService.patchById(
+          object._id,
+          { type: "cute" },
+          { expectedVersion: 0 }
+        );
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(VersionConflict);
+        error.currentVersion.should.be.eql(1);
+        error.expectedVersion.should.be.eql(0);
+      }
+      const current = await versionedService.getById(object._id);
+      current.type.should.be.eql("ugly");
+    });
+
+    it("should return null if the document does not exist", async () => {
+      const object = await versionedService.updateById(
+        invalidId,
+        { $set: { type: "ugly" } },
+        { expectedVersion: 0 }
+      );
+      expect(object).to.be.null;
+    });
+
+    it("should check the version when patching a subdocument", async () => {
+      const object = await versionedService.create({
+        name: "foo",
+        likes: [{ _id: new ObjectId(), name: "games" }]
+      });
+      try {
+        await versionedService.patchSubdocument(
+          object._id,
+          validEmbbededField,
+          { name: "games" },
+          { name: "trouble" },
+          { expectedVersion: 3 }
+        );
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(VersionConflict);
+        error.currentVersion.should.be.eql(0);
+      }
+    });
+  });
+
+  describe("Hooks", () => {
+    let hookedService;
+
+    beforeEach(() => {
+      hookedService = new GenericCrudService(
+        client,
+        databaseName,
+        collectionName
+      );
+    });
+
+    it("should throw an error if the method does not accept hooks", () => {
+      try {
+        hookedService.before("verifyConnection", () => {});
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should let a before hook mutate the arguments", async () => {
+      hookedService.before("create", context => {
+        context.args[0].type = "hooked";
+      });
+      const object = await hookedService.create({ name: "foo" });
+      object.type.should.be.eql("hooked");
+    });
+
+    it("should let a before hook short-circuit the method", async () => {
+      const oldCount = await hookedService.count();
+      hookedService.before("create", () => ({ skipped: true }));
+      const object = await hookedService.create({ name: "foo" }),
+        newCount = await hookedService.count();
+      object.should.be.eql({ skipped: true });
+      newCount.should.be.eql(oldCount);
+    });
+
+    it("should let a before hook abort the method", async () => {
+      hookedService.before("removeById", () => {
+        throw new Error("forbidden");
+      });
+      try {
+        await hookedService.removeById(validId);
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.message.should.be.eql("forbidden");
+      }
+      const exists = await hookedService.exists({ _id: validId });
+      exists.should.be.eql(true);
+    });
+
+    it("should let an after hook replace the result", async () => {
+      hookedService.after("getById", context => ({
+        id: context.result._id.toHexString()
+      }));
+      const object = await hookedService.getById(validId);
+      object.should.be.eql({ id: validId.toHexString() });
+    });
+
+    it("should not fire the hooks of the methods an alias delegates to", async () => {
+      const fired = [];
+      for (const method of ["patch", "patchById", "update", "updateById"]) {
+        hookedService.before(method, () => {
+          fired.push(method);
+        });
+      }
+      await hookedService.patchById(validId, { type: "ugly" });
+      fired.should.be.eql(["patchById"]);
+    });
+
+    it("should fire the hooks of the subdocument methods once", async () => {
+      const fired = [];
+      for (const method of hookedService.HOOKABLE_METHODS) {
+        hookedService.after(method, () => {
+          fired.push(method);
+        });
+      }
+      await hookedService.addSubdocument(
+        validId,
+        validEmbbededField,
+        validSubdocument
+      );
+      fired.should.be.eql(["addSubdocument"]);
+    });
+  });
+
+  describe("Query Strings", () => {
+    const queryService = new GenericCrudService(
+      client,
+      databaseName,
+      collectionName,
+      { filterable: { name: "string", _id: "objectId" }, sortable: ["name"] }
+    );
+
+    it("should list the documents of a query string", async () => {
+      const {
+          query,
+          limit,
+          skip,
+          sort,
+          projection
+        } = queryService.parseQueryString(
+          "name[in]=Blacky,Petri,Motts&sort=-name&fields=name&limit=2&page=2"
+        ),
+        objects = await queryService.list(query, limit, skip, sort, projection);
+      objects.map(object => object.name).should.be.eql(["Blacky"]);
+      objects[0].should.not.haveOwnProperty("likes");
+    });
+
+    it("should coerce the ObjectIds", async () => {
+      const { query } = queryService.parseQueryString(`_id=${validId}`),
+        objects = await queryService.list(query);
+      objects.length.should.be.eql(1);
+      objects[0]._id.should.be.eql(validId);
+    });
+
+    it("should throw a QueryStringError if a field cannot be filtered", () => {
+      try {
+        queryService.parseQueryString("likes[exists]=true");
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(QueryStringError);
+        error.parameter.should.be.eql("likes[exists]");
+      }
+    });
+
+    it("should not accept a limit greater than the max page size", () => {
+      try {
+        queryService.parseQueryString(`limit=${queryService.maxPageSize + 1}`);
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(QueryStringError);
+      }
+    });
+  });
+
+  describe("Errors", () => {
+    it("should throw an InvalidIdError if an id is not valid", async () => {
+      const error = await service
+        .getById("garfield")
+        .should.be.rejectedWith(InvalidIdError);
+      error.value.should.be.eql("garfield");
+      await service
+        .patchSubdocumentById(validId, validEmbbededField, "garfield", {})
+        .should.be.rejectedWith(InvalidIdError);
+    });
+
+    it("should throw a DuplicateKeyError if a unique index is violated", async () => {
+      const error = await service
+        .create({ _id: validId, name: "Blacky" })
+        .should.be.rejectedWith(DuplicateKeyError);
+      error.keyPattern.should.be.eql({ _id: 1 });
+      error.cause.code.should.be.eql(11000);
+    });
+
+    it("should report the key pattern of compound indexes", async () => {
+      await collection.createIndex({ name: 1, type: -1 }, { unique: true });
+      try {
+        await service.create({ name: "Blacky", type: "cute" });
+        const error = await service
+          .create({ name: "Blacky", type: "cute" })
+          .should.be.rejectedWith(DuplicateKeyError);
+        error.keyPattern.should.be.eql({ name: 1, type: -1 });
+      } finally {
+        await collection.dropIndex({ name: 1, type: -1 });
+      }
+    });
+
+    it("should throw an InvalidArgumentError if an argument is missing", async () => {
+      const error = await service
+        .addSubdocument(validId, null, {})
+        .should.be.rejectedWith(InvalidArgumentError);
+      error.should.be.instanceof(AssertionError);
+    });
+
+    it("should translate the errors thrown by the hooks", async () => {
+      const hookedService = new GenericCrudService(
+        client,
+        databaseName,
+        collectionName
+      );
+      hookedService.before("create", () =>
+        collection.insertOne({ _id: validId })
+      );
+      await hookedService
+        .create({ name: "Garfield" })
+        .should.be.rejectedWith(DuplicateKeyError);
+    });
+
+    it("should translate the errors of the index and validator methods", async () => {
+      const indexedService = new GenericCrudService(
+          client,
+          databaseName,
+          collectionName,
+          { indexes: [{ key: { type: 1 }, unique: true }] }
+        ),
+        fired = [];
+      indexedService.before("syncIndexes", () => {
+        fired.push("syncIndexes");
+      });
+      await collection.updateMany({}, { $set: { type: "cute" } });
+      await indexedService
+        .syncIndexes()
+        .should.be.rejectedWith(DuplicateKeyError);
+      fired.should.be.eql(["syncIndexes"]);
+      await service
+        .applySchemaValidator()
+        .should.be.rejectedWith(InvalidArgumentError);
+    });
+  });
+
+  describe("Strict mode", () => {
+    const strictService = new GenericCrudService(
+      client,
+      databaseName,
+      collectionName,
+      { strict: true }
+    );
+
+    it("should throw a NotFoundError if the document does not exist", async () => {
+      const error = await strictService
+        .getById(invalidId)
+        .should.be.rejectedWith(NotFoundError);
+      error.collection.should.be.eql(collectionName);
+      error.query.should.be.eql({ _id: new ObjectId(invalidId) });
+      await strictService
+        .patchById(invalidId, { name: "Garfield" })
+        .should.be.rejectedWith(NotFoundError);
+      await strictService
+        .updateById(invalidId, { $set: { name: "Garfield" } })
+        .should.be.rejectedWith(NotFoundError);
+      await strictService
+        .removeById(invalidId)
+        .should.be.rejectedWith(NotFoundError);
+      await strictService
+        .get({ name: "Garfield" })
+        .should.be.rejectedWith(NotFoundError);
+    });
+
+    it("should throw a NotFoundError if the subdocument does not exist", async () => {
+      await strictService
+        .getSubdocument(validId, validEmbbededField, { name: "naps" })
+        .should.be.rejectedWith(NotFoundError);
+      await strictService
+        .patchSubdocumentById(validId, validEmbbededField, invalidId, {
+          name: "naps"
+        })
+        .should.be.rejectedWith(NotFoundError);
+      await strictService
+        .listSubdocuments(invalidId, validEmbbededField)
+        .should.be.rejectedWith(NotFoundError);
+    });
+
+    it("should return the document if it exists", async () => {
+      const object = await strictService.getById(validId);
+      object._id.should.be.eql(validId);
+    });
+
+    it("should return an empty array if the document has no subdocuments", async () => {
+      const objects = await strictService.listSubdocuments(validId, "toys");
+      objects.should.be.eql([]);
+    });
+
+    it("should accept the strict option in every call", async () => {
+      await service
+        .getById(invalidId, {}, { strict: true })
+        .should.be.rejectedWith(NotFoundError);
+      const object = await strictService.getById(
+        invalidId,
+        {},
+        { strict: false }
+      );
+      expect(object).to.be.null;
+    });
+  });
+
+  describe("Indexes", () => {
+    const indexedCollectionName = "indexed-cats",
+      indexes = [
+        { key: { name: 1 }, unique: true },
+        { key: { deletedAt: 1 }, expireAfterSeconds: 3600 },
+        { key: { name: "text" }, weights: { name: 5 } }
+      ];
+    let indexedCollection;
+
+    beforeEach(async () => {
+      indexedCollection = database.collection(indexedCollectionName);
+      await indexedCollection.drop().catch(() => null);
+    });
+
+    after(async () => {
+      await indexedCollection.drop().catch(() => null);
+    });
+
+    it("should create the missing indexes", async () => {
+      const indexedService = new GenericCrudService(
+          client,
+          databaseName,
+          indexedCollectionName,
+          { indexes }
+        ),
+        plan = await indexedService.syncIndexes();
+      plan.create.should.be.eql(["name_1", "deletedAt_1", "name_text"]);
+      const names = (await indexedCollection.listIndexes().toArray()).map(
+        index => index.name
+      );
+      names.should.include.members(["name_1", "deletedAt_1", "name_text"]);
+      (await indexedService.syncIndexes()).inSync.should.be.eql(true);
+    });
+
+    it("should only return the plan in dry run mode", async () => {
+      const indexedService = new GenericCrudService(
+        client,
+        databaseName,
+        indexedCollectionName,
+        { indexes }
+      );
+      const plan = await indexedService.syncIndexes({ dryRun: true });
+      plan.dryRun.should.be.eql(true);
+      plan.create.length.should.be.eql(3);
+      (await indexedService.syncIndexes({
+        dryRun: true
+      })).create.length.should.be.eql(3);
+    });
+
+    it("should replace the indexes whose options changed", async () => {
+      await indexedCollection.createIndex({ name: 1 });
+      const indexedService = new GenericCrudService(
+          client,
+          databaseName,
+          indexedCollectionName,
+          { indexes }
+        ),
+        plan = await indexedService.syncIndexes();
+      plan.replace.should.be.eql([
+        { name: "name_1", existingName: "name_1", changes: ["unique"] }
+      ]);
+      const [index] = (await indexedCollection.listIndexes().toArray()).filter(
+        index => index.name === "name_1"
+      );
+      index.unique.should.be.eql(true);
+    });
+
+    it("should modify the expiration of the TTL indexes in place", async () => {
+      await indexedCollection.createIndex(
+        { deletedAt: 1 },
+        { expireAfterSeconds: 60 }
+      );
+      const indexedService = new GenericCrudService(
+          client,
+          databaseName,
+          indexedCollectionName,
+          { indexes }
+        ),
+        plan = await indexedService.syncIndexes();
+      plan.replace.should.be.eql([]);
+      plan.modify.should.be.eql([
+        { name: "deletedAt_1", expireAfterSeconds: 3600 }
+      ]);
+      const [index] = (await indexedCollection.listIndexes().toArray()).filter(
+        index => index.name === "deletedAt_1"
+      );
+      index.expireAfterSeconds.should.be.eql(3600);
+      (await indexedService.syncIndexes()).inSync.should.be.eql(true);
+    });
+
+    it("should only drop the unknown indexes with the dropUnknown option", async () => {
+      await indexedCollection.createIndex({ legacy: 1 });
+      const indexedService = new GenericCrudService(
+        client,
+        databaseName,
+        indexedCollectionName,
+        { indexes }
+      );
+      (await indexedService.syncIndexes()).unknown.should.be.eql(["legacy_1"]);
+      (await indexedService.syncIndexes({
+        dropUnknown: true
+      })).drop.should.be.eql(["legacy_1"]);
+      const names = (await indexedCollection.listIndexes().toArray()).map(
+        index => index.name
+      );
+      names.should.not.include("legacy_1");
+      names.should.include("_id_");
+    });
+  });
 });
@@ -0,0 +1,260 @@
+const chai = require("chai"),
+  chaiAsPromised = require("chai-as-promised"),
+  fs = require("fs"),
+  os = require("os"),
+  path = require("path"),
+  AuditedCrudService = require("../AuditedCrudService"),
+  Migrator = require("../Migrator"),
+  MigrationLockError = require("../exceptions/MigrationLockError"),
+  { MongoClient, ObjectId } = require("mongodb"),
+  uri = "mongodb://localhost:27017",
+  data = require("./data"),
+  databaseName = "test",
+  collectionName = "cats",
+  auditCollectionName = "cat-audits",
+  migrationsCollectionName = "cat-migrations",
+  clientOptions = {
+    useNewUrlParser: true
+  },
+  client = new MongoClient(uri, clientOptions),
+  validId = new ObjectId("5be1c07f21fd86540546eb53");
+chai.should();
+chai.use(chaiAsPromised);
+
+let collection, auditCollection, migrationsCollection;
+
+const service = new AuditedCrudService(
+    client,
+    databaseName,
+    collectionName,
+    auditCollectionName
+  ),
+  migrations = [
+    {
+      version: "1",
+      name: "add-type",
+      up: ({ cats }) => cats.patchById(validId, { type: "cute" }),
+      down: ({ cats }) => cats.updateById(validId, { $unset: { type: "" } })
+    },
+    {
+      version: "2",
+      name: "add-age",
+      up: ({ cats }) => cats.patchById(validId, { age: 3 }),
+      down: ({ cats }) => cats.updateById(validId, { $unset: { age: "" } })
+    },
+    {
+      version: "10",
+      name: "add-owner",
+      up: ({ cats }) => cats.patchById(validId, { owner: "jon" }),
+      down: ({ cats }) => cats.updateById(validId, { $unset: { owner: "" } })
+    }
+  ];
+
+function createMigrator(options = {}) {
+  return new Migrator(
+    client,
+    databaseName,
+    Object.assign(
+      {
+        migrations,
+        services: { cats: service },
+        collectionName: migrationsCollectionName
+      },
+      options
+    )
+  );
+}
+
+before(async () => {
+  await client.connect();
+  collection = client.db(databaseName).collection(collectionName);
+  auditCollection = client.db(databaseName).collection(auditCollectionName);
+  migrationsCollection = client
+    .db(databaseName)
+    .collection(migrationsCollectionName);
+});
+
+beforeEach(async () => {
+  await collection.deleteMany({});
+  await auditCollection.deleteMany({});
+  await migrationsCollection.deleteMany({});
+  await collection.insertMany(data);
+});
+
+after(async () => {
+  await collection.deleteMany({});
+  await auditCollection.deleteMany({});
+  await migrationsCollection.deleteMany({});
+});
+
+describe("Migrator", () => {
+  describe("up", () => {
+    it("should apply the pending migrations in version order", async () => {
+      const migrator = createMigrator(),
+        applied = await migrator.up();
+      applied
+        .map(migration => migration.version)
+        .should.be.eql(["1", "2", "10"]);
+      const object = await service.getById(validId);
+      object.type.should.be.eql("cute");
+      object.age.should.be.eql(3);
+      object.owner.should.be.eql("jon");
+      (await migrator.up()).should.be.eql([]);
+    });
+
+    it("should stop at the given version", async () => {
+      const migrator = createMigrator();
+      (await migrator.up({ to: "2" })).length.should.be.eql(2);
+      const status = await migrator.status();
+      status
+        .map(migration => migration.applied)
+        .should.be.eql([true, true, false]);
+    });
+
+    it("should audit the writes under the system user", async () => {
+      await createMigrator().up({ to: "1" });
+      const [audit] = await auditCollection.find({}).toArray();
+      audit.user.should.be.eql("system");
+      audit.context.should.be.eql({ migration: "1" });
+    });
+
+    it("should not record a migration that fails", async () => {
+      const migrator = createMigrator({
+        migrations: migrations.concat([
+          {
+            version: "11",
+            up: async () => {
+              throw new Error("failed");
+            }
+          }
+        ])
+      });
+      await migrator.up().should.be.rejectedWith("failed");
+      const status = await migrator.status();
+      status
+        .map(migration => migration.applied)
+        .should.be.eql([true, true, true, false]);
+    });
+  });
+
+  describe("down", () => {
+    it("should revert the last migration", async () => {
+      const migrator = createMigrator();
+      await migrator.up();
+      const reverted = await migrator.down();
+      reverted.should.be.eql([{ version: "10", name: "add-owner" }]);
+      const object = await service.getById(validId);
+      object.should.not.haveOwnProperty("owner");
+      object.age.should.be.eql(3);
+    });
+
+    it("should revert the migrations after the given version", async () => {
+      const migrator = createMigrator();
+      await migrator.up();
+      (await migrator.down({ to: "1" }))
+        .map(migration => migration.version)
+        .should.be.eql(["10", "2"]);
+      (await migrator.down({ to: "0" })).length.should.be.eql(1);
+      (await migrationsCollection.countDocuments({
+        _id: { $ne: migrator.LOCK_ID }
+      })).should.be.eql(0);
+    });
+  });
+
+  describe("status", () => {
+    it("should report the applied migrations that no longer exist", async () => {
+      await createMigrator().up();
+      const status = await createMigrator({
+        migrations: migrations.slice(0, 2)
+      }).status();
+      status[2].version.should.be.eql("10");
+      status[2].missing.should.be.eql(true);
+    });
+  });
+
+  describe("lock", () => {
+    it("should not run while another runner holds the lock", async () => {
+      const migrator = createMigrator({
+          migrations: [
+            {
+              version: "1",
+              up: () =>
+                createMigrator()
+                  .up()
+                  .should.be.rejectedWith(MigrationLockError)
+            }
+          ]
+        }),
+        applied = await migrator.up();
+      applied.length.should.be.eql(1);
+      (await createMigrator().up()).length.should.be.eql(3);
+    });
+
+    it("should take over an expired lock", async () => {
+      await migrationsCollection.insertOne({
+        _id: "lock",
+        locked: true,
+        lockedAt: new Date(0),
+        expiresAt: new Date(1)
+      });
+      (await createMigrator().up()).length.should.be.eql(3);
+    });
+
+    it("should extend the lock while the migrations run", async () => {
+      const migrator = createMigrator({
+        lockTimeout: 300,
+        migrations: [
+          {
+            version: "1",
+            up: async () => {
+              await new Promise(resolve => setTimeout(resolve, 600));
+              await createMigrator()
+                .up()
+                .should.be.rejectedWith(MigrationLockError);
+            }
+          }
+        ]
+      });
+      (await migrator.up()).length.should.be.eql(1);
+    });
+
+    it("should not record a migration if the lock was taken over", async () => {
+      const migrator = createMigrator({
+        migrations: [
+          {
+            version: "1",
+            up: () =>
+              migrationsCollection.updateOne(
+                { _id: "lock" },
+                { $set: { owner: "another runner" } }
+              )
+          },
+          { version: "2", up: () => {} }
+        ]
+      });
+      await migrator.up().should.be.rejectedWith(MigrationLockError);
+      (await migrationsCollection.countDocuments({
+        _id: { $ne: "lock" }
+      })).should.be.eql(0);
+    });
+  });
+
+  describe("directory", () => {
+    it("should load the migrations of a directory", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+      fs.writeFileSync(
+        path.join(directory, "20181105120000-add-type.js"),
+        `module.exports = {
+          up: ({ cats }) => cats.patchById("${validId}", { type: "cute" }),
+          down: ({ cats }) => cats.updateById("${validId}", { $unset: { type: "" } })
+        };`
+      );
+      fs.writeFileSync(path.join(directory, "README.md"), "");
+      const migrator = createMigrator({ migrations: undefined, directory });
+      (await migrator.up()).should.be.eql([
+        { version: "20181105120000", name: "add-type" }
+      ]);
+      (await service.getById(validId)).type.should.be.eql("cute");
+    });
+  });
+});
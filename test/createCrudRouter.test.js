@@ -0,0 +1,318 @@
+const chai = require("chai"),
+  http = require("http"),
+  GenericCrudService = require("../GenericCrudService"),
+  AuditedCrudService = require("../AuditedCrudService"),
+  createCrudRouter = require("../createCrudRouter"),
+  { MongoClient, ObjectId } = require("mongodb"),
+  uri = "mongodb://localhost:27017",
+  data = require("./data"),
+  databaseName = "test",
+  collectionName = "cats",
+  auditCollectionName = "cat-audits",
+  clientOptions = {
+    useNewUrlParser: true
+  },
+  client = new MongoClient(uri, clientOptions),
+  validId = new ObjectId("5be1c07f21fd86540546eb53"),
+  validEmbbededField = "likes";
+chai.should();
+
+let collection, auditCollection, server, port;
+
+const service = new GenericCrudService(client, databaseName, collectionName, {
+    filterable: { name: "string" },
+    sortable: ["name"]
+  }),
+  auditedService = new AuditedCrudService(
+    client,
+    databaseName,
+    collectionName,
+    auditCollectionName
+  ),
+  router = createCrudRouter(service, { prefix: "/cats" }),
+  auditedRouter = createCrudRouter(auditedService, {
+    prefix: "/audited-cats",
+    getUser: req => req.headers["x-user"]
+  });
+
+function request(method, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        port,
+        method,
+        path,
+        headers: Object.assign({ "Content-Type": "application/json" }, headers)
+      },
+      res => {
+        let text = "";
+        res.on("data", chunk => (text += chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body: text ? JSON.parse(text) : undefined
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    if (body !== undefined) {
+      req.write(typeof body === "string" ? body : JSON.stringify(body));
+    }
+    req.end();
+  });
+}
+
+before(async () => {
+  await client.connect();
+  collection = client.db(databaseName).collection(collectionName);
+  auditCollection = client.db(databaseName).collection(auditCollectionName);
+  server = http.createServer((req, res) =>
+    router(req, res, () => auditedRouter(req, res))
+  );
+  await new Promise(resolve => server.listen(0, resolve));
+  port = server.address().port;
+});
+
+beforeEach(async () => {
+  await collection.deleteMany({});
+  await auditCollection.deleteMany({});
+  await collection.insertMany(data);
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await collection.deleteMany({});
+  await auditCollection.deleteMany({});
+});
+
+describe("createCrudRouter", () => {
+  describe("Documents", () => {
+    it("should list the documents that satisfy the query string", async () => {
+      const response = await request(
+        "GET",
+        "/cats?name[in]=Blacky,Petri&sort=-name"
+      );
+      response.status.should.be.eql(200);
+      response.body
+        .map(object => object.name)
+        .should.be.eql(["Petri", "Blacky"]);
+    });
+
+    it("should answer a 400 if the query string is not valid", async () => {
+      const response = await request("GET", "/cats?likes[exists]=true");
+      response.status.should.be.eql(400);
+      response.body.error.should.be.eql("QueryStringError");
+    });
+
+    it("should create a document", async () => {
+      const response = await request("POST", "/cats", { name: "Garfield" });
+      response.status.should.be.eql(201);
+      response.body.name.should.be.eql("Garfield");
+      const object = await service.getById(response.body._id);
+      object.name.should.be.eql("Garfield");
+    });
+
+    it("should get a document", async () => {
+      const response = await request("GET", `/cats/${validId}`);
+      response.status.should.be.eql(200);
+      response.body._id.should.be.eql(validId.toHexString());
+    });
+
+    it("should answer a 404 if the document does not exist", async () => {
+      const response = await request("GET", `/cats/${new ObjectId()}`);
+      response.status.should.be.eql(404);
+      response.body.error.should.be.eql("NotFoundError");
+    });
+
+    it("should answer a 400 if the id is not valid", async () => {
+      const response = await request("GET", "/cats/garfield");
+      response.status.should.be.eql(400);
+    });
+
+    it("should patch a document", async () => {
+      const response = await request("PATCH", `/cats/${validId}`, {
+        type: "lazy"
+      });
+      response.status.should.be.eql(200);
+      response.body.type.should.be.eql("lazy");
+    });
+
+    it("should replace a document", async () => {
+      const response = await request("PUT", `/cats/${validId}`, {
+        _id: new ObjectId(),
+        name: "Garfield",
+        createdAt: new Date(0)
+      });
+      response.status.should.be.eql(200);
+      response.body._id.should.be.eql(validId.toHexString());
+      response.body.name.should.be.eql("Garfield");
+      response.body.should.not.have.property(validEmbbededField);
+      const object = await service.getById(validId);
+      object.should.not.have.property("createdAt");
+      object.should.not.have.property(validEmbbededField);
+    });
+
+    it("should answer a 400 if the replacement has update operators", async () => {
+      const response = await request("PUT", `/cats/${validId}`, {
+        $unset: { name: "" }
+      });
+      response.status.should.be.eql(400);
+    });
+
+    it("should pass the update operators of PUT with the updateOperators option", async () => {
+      const operatorsRouter = createCrudRouter(service, {
+          updateOperators: true
+        }),
+        response = await operatorsRouter.handle({
+          method: "PUT",
+          path: `/${validId}`,
+          query: "",
+          readBody: async () => ({ $set: { type: "lazy" } }),
+          getUser: () => undefined
+        });
+      response.status.should.be.eql(200);
+      response.body.type.should.be.eql("lazy");
+    });
+
+    it("should not let the clients set the managed fields", async () => {
+      const created = await request("POST", "/cats", {
+          _id: validId.toHexString(),
+          name: "Garfield",
+          deletedAt: new Date(),
+          __v: 10
+        }),
+        object = await service.getById(created.body._id);
+      created.status.should.be.eql(201);
+      created.body._id.should.not.be.eql(validId.toHexString());
+      object.should.not.have.property("deletedAt");
+      object.should.not.have.property("__v");
+      const patched = await request("PATCH", `/cats/${validId}`, {
+        type: "lazy",
+        createdAt: new Date(0),
+        "deletedAt.x": 1
+      });
+      patched.status.should.be.eql(200);
+      patched.body.type.should.be.eql("lazy");
+      patched.body.should.not.have.property("deletedAt");
+      (patched.body.createdAt === new Date(0).toISOString()).should.be.eql(
+        false
+      );
+    });
+
+    it("should remove a document", async () => {
+      const response = await request("DELETE", `/cats/${validId}`);
+      response.status.should.be.eql(200);
+      ((await service.getById(validId)) === null).should.be.eql(true);
+    });
+
+    it("should answer a 400 if the body is not valid JSON", async () => {
+      const response = await request("POST", "/cats", "{ name: ");
+      response.status.should.be.eql(400);
+    });
+
+    it("should answer a 404 if no route matches", async () => {
+      const response = await request("GET", "/dogs");
+      response.status.should.be.eql(404);
+    });
+  });
+
+  describe("Subdocuments", () => {
+    it("should add a subdocument", async () => {
+      const response = await request(
+        "POST",
+        `/cats/${validId}/${validEmbbededField}`,
+        { name: "lasagna" }
+      );
+      response.status.should.be.eql(201);
+      response.body.name.should.be.eql("lasagna");
+      const subdocument = await service.getSubdocument(
+        validId,
+        validEmbbededField,
+        { _id: new ObjectId(response.body._id) }
+      );
+      subdocument.name.should.be.eql("lasagna");
+    });
+
+    it("should list, get, patch and remove a subdocument", async () => {
+      const list = await request(
+          "GET",
+          `/cats/${validId}/${validEmbbededField}`
+        ),
+        embedId = list.body[0]._id,
+        path = `/cats/${validId}/${validEmbbededField}/${embedId}`;
+      list.status.should.be.eql(200);
+      (await request("GET", path)).body._id.should.be.eql(embedId);
+      const patched = await request("PATCH", path, { name: "naps" });
+      patched.status.should.be.eql(200);
+      (await service.getSubdocument(validId, validEmbbededField, {
+        _id: new ObjectId(embedId)
+      })).name.should.be.eql("naps");
+      (await request("DELETE", path)).status.should.be.eql(200);
+      (await request("GET", path)).status.should.be.eql(404);
+    });
+  });
+
+  describe("Audits", () => {
+    it("should store the user extracted from the request", async () => {
+      await request(
+        "PATCH",
+        `/audited-cats/${validId}`,
+        { type: "lazy" },
+        { "X-User": "jon" }
+      );
+      const [audit] = await auditCollection.find({}).toArray();
+      audit.operation.should.be.eql(auditedService.UPDATE);
+      audit.user.should.be.eql("jon");
+    });
+
+    it("should not store a READ audit for the read of a PUT", async () => {
+      const readService = new AuditedCrudService(
+          client,
+          databaseName,
+          collectionName,
+          auditCollectionName,
+          { auditReads: true }
+        ),
+        readRouter = createCrudRouter(readService, { prefix: "/read-cats" }),
+        response = await readRouter.handle({
+          method: "PUT",
+          path: `/read-cats/${validId}`,
+          query: "",
+          readBody: async () => ({ name: "Blacky" }),
+          getUser: () => "jon"
+        });
+      response.status.should.be.eql(200);
+      (await auditCollection.find({}).toArray())
+        .map(audit => audit.operation)
+        .should.be.eql([readService.UPDATE]);
+    });
+  });
+
+  describe("Koa", () => {
+    it("should serve the routes as a Koa middleware", async () => {
+      const ctx = {
+        method: "GET",
+        path: `/cats/${validId}`,
+        querystring: "",
+        request: {}
+      };
+      await router.koa(ctx, () => {
+        false.should.be.eql(true, "The route should have matched");
+      });
+      ctx.status.should.be.eql(200);
+      ctx.body._id.should.be.eql(validId);
+    });
+
+    it("should call the next middleware if no route matches", async () => {
+      let called = false;
+      await router.koa(
+        { method: "GET", path: "/dogs", querystring: "", request: {} },
+        async () => {
+          called = true;
+        }
+      );
+      called.should.be.eql(true);
+    });
+  });
+});
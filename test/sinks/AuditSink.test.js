@@ -0,0 +1,161 @@
+const chai = require("chai"),
+  chaiAsPromised = require("chai-as-promised"),
+  EventEmitter = require("events"),
+  { AssertionError } = require("assert"),
+  { MongoClient } = require("mongodb"),
+  {
+    AuditSink,
+    MongoAuditSink,
+    EventEmitterAuditSink,
+    CompositeAuditSink
+  } = require("../../sinks");
+chai.should();
+chai.use(chaiAsPromised);
+
+class MemoryAuditSink extends AuditSink {
+  constructor(options = {}) {
+    super(options);
+    this.audits = [];
+  }
+
+  async write(audits) {
+    this.audits.push(...audits);
+  }
+}
+
+class FailingAuditSink extends AuditSink {
+  async write() {
+    throw new Error("unavailable");
+  }
+}
+
+describe("AuditSink", () => {
+  const audits = [{ operation: "CREATE" }, { operation: "UPDATE" }];
+
+  describe("failure policy", () => {
+    it("should throw an error if the policy is not valid", () => {
+      try {
+        new MemoryAuditSink({ onError: "ignore" });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should throw the error with the fail policy", async () => {
+      await new FailingAuditSink()
+        .send(audits)
+        .should.be.rejectedWith("unavailable");
+    });
+
+    it("should log the error and continue with the log policy", async () => {
+      const logged = [],
+        logger = { error: (...args) => logged.push(args) };
+      await new FailingAuditSink({ onError: "log", logger }).send(audits);
+      logged.length.should.be.eql(1);
+      logged[0][1].message.should.be.eql("unavailable");
+    });
+  });
+
+  describe("transactions", () => {
+    it("should defer the audits until the transaction commits", async () => {
+      const sink = new MemoryAuditSink(),
+        afterCommit = [];
+      await sink.send(audits, { session: {}, afterCommit });
+      sink.audits.length.should.be.eql(0);
+      afterCommit.length.should.be.eql(1);
+      await afterCommit[0]();
+      sink.audits.should.be.eql(audits);
+    });
+
+    it("should write the audits at once if the caller owns the transaction", async () => {
+      const sink = new MemoryAuditSink();
+      await sink.send(audits, { session: {} });
+      sink.audits.should.be.eql(audits);
+    });
+  });
+
+  describe("EventEmitterAuditSink", () => {
+    it("should emit an event for every audit", async () => {
+      const emitter = new EventEmitter(),
+        sink = new EventEmitterAuditSink(emitter, { eventName: "change" }),
+        received = [];
+      emitter.on("change", audit => received.push(audit));
+      await sink.send(audits);
+      received.should.be.eql(audits);
+    });
+
+    it("should apply the failure policy to the errors of the listeners", async () => {
+      const sink = new EventEmitterAuditSink();
+      sink.emitter.on("audit", () => {
+        throw new Error("listener");
+      });
+      await sink.send(audits).should.be.rejectedWith("listener");
+    });
+  });
+
+  describe("CompositeAuditSink", () => {
+    it("should throw an error if a sink is not an AuditSink", () => {
+      try {
+        new CompositeAuditSink([{ write() {} }]);
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should send the audits to every sink", async () => {
+      const first = new MemoryAuditSink(),
+        second = new MemoryAuditSink();
+      await new CompositeAuditSink([first, second]).send(audits);
+      first.audits.should.be.eql(audits);
+      second.audits.should.be.eql(audits);
+    });
+
+    it("should call every sink and fail if a sink with the fail policy fails", async () => {
+      const sink = new MemoryAuditSink();
+      await new CompositeAuditSink([new FailingAuditSink(), sink])
+        .send(audits)
+        .should.be.rejectedWith("unavailable");
+      sink.audits.should.be.eql(audits);
+    });
+
+    it("should not fail if the failing sink has the log policy", async () => {
+      const logger = { error: () => {} },
+        sink = new MemoryAuditSink();
+      await new CompositeAuditSink([
+        new FailingAuditSink({ onError: "log", logger }),
+        sink
+      ]).send(audits);
+      sink.audits.should.be.eql(audits);
+    });
+
+    it("should let every sink decide if the audits are deferred", async () => {
+      const deferred = new MemoryAuditSink(),
+        transactional = new MemoryAuditSink(),
+        afterCommit = [];
+      transactional.supportsSession = () => true;
+      await new CompositeAuditSink([deferred, transactional]).send(audits, {
+        session: {},
+        afterCommit
+      });
+      transactional.audits.should.be.eql(audits);
+      deferred.audits.length.should.be.eql(0);
+      afterCommit.length.should.be.eql(1);
+    });
+
+    it("should be queryable if one of its sinks is queryable", () => {
+      const mongoSink = new MongoAuditSink(
+        new MongoClient("mongodb://localhost:27017", { useNewUrlParser: true }),
+        "test",
+        "audits"
+      );
+      new CompositeAuditSink([new MemoryAuditSink()])
+        .isQueryable()
+        .should.be.eql(false);
+      new CompositeAuditSink([new MemoryAuditSink(), mongoSink])
+        .isQueryable()
+        .should.be.eql(true);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const chai = require("chai"),
+  fs = require("fs"),
+  os = require("os"),
+  path = require("path"),
+  { ObjectId } = require("mongodb"),
+  { FileAuditSink } = require("../../sinks");
+chai.should();
+
+describe("FileAuditSink", () => {
+  let directory, file;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "audits-"));
+    file = path.join(directory, "audits.ndjson");
+  });
+
+  afterEach(() => {
+    for (const name of fs.readdirSync(directory)) {
+      fs.unlinkSync(path.join(directory, name));
+    }
+    fs.rmdirSync(directory);
+  });
+
+  const readLines = name =>
+    fs
+      .readFileSync(name, "utf8")
+      .split("\n")
+      .filter(line => line)
+      .map(line => JSON.parse(line));
+
+  it("should append a JSON line for every audit", async () => {
+    const sink = new FileAuditSink(file),
+      documentId = new ObjectId(),
+      timestamp = new Date();
+    await sink.send([{ operation: "CREATE", documentId, timestamp }]);
+    await sink.send([{ operation: "UPDATE" }, { operation: "REMOVE" }]);
+    const lines = readLines(file);
+    lines
+      .map(line => line.operation)
+      .should.be.eql(["CREATE", "UPDATE", "REMOVE"]);
+    lines[0].documentId.should.be.eql(documentId.toHexString());
+    lines[0].timestamp.should.be.eql(timestamp.toISOString());
+  });
+
+  it("should keep the order of concurrent writes", async () => {
+    const sink = new FileAuditSink(file, { maxSize: 200 });
+    await Promise.all(Array.from({ length: 20 }, (v, i) => sink.send([{ i }])));
+    const names = fs.readdirSync(directory).sort(),
+      lines = names
+        .slice()
+        .reverse()
+        .map(name => readLines(path.join(directory, name)))
+        .reduce((all, current) => all.concat(current), []);
+    lines.map(line => line.i).should.be.eql([...Array(20).keys()]);
+  });
+
+  it("should rotate the file before it exceeds the max size", async () => {
+    const sink = new FileAuditSink(file, { maxSize: 30, maxFiles: 2 });
+    for (let i = 0; i < 4; i++) {
+      await sink.send([{ operation: `OPERATION_${i}` }]);
+    }
+    fs.readdirSync(directory)
+      .sort()
+      .should.be.eql(["audits.ndjson", "audits.ndjson.1", "audits.ndjson.2"]);
+    readLines(file).should.be.eql([{ operation: "OPERATION_3" }]);
+    readLines(`${file}.1`).should.be.eql([{ operation: "OPERATION_2" }]);
+    readLines(`${file}.2`).should.be.eql([{ operation: "OPERATION_1" }]);
+  });
+
+  it("should continue the size of an existing file", async () => {
+    fs.writeFileSync(file, `${JSON.stringify({ operation: "OLD" })}\n`);
+    const sink = new FileAuditSink(file, { maxSize: 30 });
+    await sink.send([{ operation: "NEW_OPERATION" }]);
+    readLines(`${file}.1`).should.be.eql([{ operation: "OLD" }]);
+    readLines(file).should.be.eql([{ operation: "NEW_OPERATION" }]);
+  });
+});
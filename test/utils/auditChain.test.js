@@ -0,0 +1,201 @@
+const chai = require("chai"),
+  chaiAsPromised = require("chai-as-promised"),
+  { Double, Int32, Long, ObjectId } = require("mongodb"),
+  {
+    stripUndefined,
+    canonicalize,
+    hashAudit,
+    verifyChain
+  } = require("../../utils/auditChain");
+chai.use(chaiAsPromised);
+chai.should();
+
+/* In memory stand-in of the find and findOne methods used by verifyChain */
+function fakeCollection(audits) {
+  const select = query =>
+    audits.filter(
+      audit =>
+        audit.chain === query.chain &&
+        (typeof query.seq === "number"
+          ? audit.seq === query.seq
+          : audit.seq >= query.seq.$gte &&
+            (query.seq.$lte === undefined || audit.seq <= query.seq.$lte))
+    );
+  return {
+    findOne: async query => select(query)[0] || null,
+    find: query => {
+      const results = select(query).sort((a, b) => a.seq - b.seq);
+      return {
+        hasNext: async () => results.length > 0,
+        next: async () => results.shift(),
+        close: async () => {}
+      };
+    }
+  };
+}
+
+function buildChain(chain, length) {
+  const audits = [];
+  for (let seq = 1; seq <= length; seq++) {
+    const audit = {
+      _id: new ObjectId(),
+      collection: "cats",
+      operation: "CREATE",
+      new: { _id: new ObjectId(), name: `cat ${seq}` },
+      timestamp: new Date(),
+      chain,
+      seq,
+      previousHash: seq === 1 ? null : audits[seq - 2].hash
+    };
+    audit.hash = hashAudit(audit);
+    audits.push(audit);
+  }
+  return audits;
+}
+
+describe("auditChain", () => {
+  describe("canonicalize", () => {
+    it("should not depend on the order of the keys", () => {
+      canonicalize({ a: 1, b: { c: 2, d: [3, 4] } }).should.be.eql(
+        canonicalize({ b: { d: [3, 4], c: 2 }, a: 1 })
+      );
+    });
+
+    it("should tag the dates and the BSON values", () => {
+      const _id = new ObjectId();
+      canonicalize({ _id, date: new Date(0) }).should.be.eql(
+        `{"_id":{"$ObjectID":"${_id}"},"date":{"$date":"1970-01-01T00:00:00.000Z"}}`
+      );
+      canonicalize(_id.toHexString()).should.not.be.eql(canonicalize(_id));
+    });
+
+    it("should serialize the numeric BSON values as numbers", () => {
+      const written = { age: 3, weight: 4.5, lives: 9 },
+        read = {
+          age: new Int32(3),
+          weight: new Double(4.5),
+          lives: Long.fromNumber(9)
+        };
+      canonicalize(read).should.be.eql(canonicalize(written));
+      canonicalize(Long.MAX_VALUE).should.be.eql(
+        `{"$Long":"${Long.MAX_VALUE}"}`
+      );
+    });
+  });
+
+  describe("stripUndefined", () => {
+    it("should remove the undefined values of the objects", () => {
+      stripUndefined({ a: undefined, b: { c: undefined, d: 1 } }).should.be.eql(
+        { b: { d: 1 } }
+      );
+    });
+  });
+
+  describe("hashAudit", () => {
+    it("should ignore the hash field", () => {
+      const [audit] = buildChain("cats", 1);
+      hashAudit(audit).should.be.eql(audit.hash);
+    });
+
+    it("should not change when the numbers are read as BSON values", () => {
+      const [audit] = buildChain("cats", 1);
+      hashAudit(
+        Object.assign({}, audit, {
+          seq: Long.fromNumber(audit.seq),
+          new: Object.assign({}, audit.new, { age: new Int32(3) })
+        })
+      ).should.be.eql(
+        hashAudit(
+          Object.assign({}, audit, {
+            new: Object.assign({}, audit.new, { age: 3 })
+          })
+        )
+      );
+    });
+
+    it("should change if the previous hash changes", () => {
+      const [audit] = buildChain("cats", 1);
+      hashAudit(
+        Object.assign({}, audit, { previousHash: "0".repeat(64) })
+      ).should.not.be.eql(audit.hash);
+    });
+  });
+
+  describe("verifyChain", () => {
+    it("should validate an intact chain", async () => {
+      const result = await verifyChain(
+        fakeCollection(buildChain("cats", 5)),
+        "cats"
+      );
+      result.should.be.eql({ valid: true, checked: 5, error: null });
+    });
+
+    it("should only check the audits of the chain", async () => {
+      const audits = buildChain("cats", 3).concat(buildChain("dogs", 2));
+      const result = await verifyChain(fakeCollection(audits), "dogs");
+      result.checked.should.be.eql(2);
+      result.valid.should.be.eql(true);
+    });
+
+    it("should report a modified audit", async () => {
+      const audits = buildChain("cats", 5);
+      audits[2].new.name = "odie";
+      const result = await verifyChain(fakeCollection(audits), "cats");
+      result.valid.should.be.eql(false);
+      result.checked.should.be.eql(2);
+      result.error.type.should.be.eql("tampered");
+      result.error.seq.should.be.eql(3);
+      result.error.auditId.should.be.eql(audits[2]._id);
+    });
+
+    it("should report a removed audit", async () => {
+      const audits = buildChain("cats", 5);
+      audits.splice(1, 1);
+      const result = await verifyChain(fakeCollection(audits), "cats");
+      result.valid.should.be.eql(false);
+      result.error.type.should.be.eql("gap");
+      result.error.seq.should.be.eql(3);
+    });
+
+    it("should report a duplicated audit", async () => {
+      const audits = buildChain("cats", 3);
+      audits.push(Object.assign({}, audits[1], { _id: new ObjectId() }));
+      const result = await verifyChain(fakeCollection(audits), "cats");
+      result.valid.should.be.eql(false);
+      result.error.type.should.be.eql("duplicate");
+      result.error.seq.should.be.eql(2);
+    });
+
+    it("should report reordered audits, even if their hashes were recomputed", async () => {
+      const audits = buildChain("cats", 4);
+      [audits[1].new, audits[2].new] = [audits[2].new, audits[1].new];
+      audits[1].hash = hashAudit(audits[1]);
+      audits[2].hash = hashAudit(audits[2]);
+      const result = await verifyChain(fakeCollection(audits), "cats");
+      result.valid.should.be.eql(false);
+      result.error.type.should.be.eql("broken_link");
+      result.error.seq.should.be.eql(3);
+    });
+
+    it("should verify a range of the chain", async () => {
+      const audits = buildChain("cats", 6);
+      audits[0].new.name = "odie";
+      const result = await verifyChain(fakeCollection(audits), "cats", {
+        from: 3,
+        to: 5
+      });
+      result.should.be.eql({ valid: true, checked: 3, error: null });
+    });
+
+    it("should check the link with the audit before the range", async () => {
+      const audits = buildChain("cats", 6);
+      audits[2].previousHash = "0".repeat(64);
+      audits[2].hash = hashAudit(audits[2]);
+      const result = await verifyChain(fakeCollection(audits), "cats", {
+        from: 3
+      });
+      result.valid.should.be.eql(false);
+      result.error.type.should.be.eql("broken_link");
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const chai = require("chai"),
+  { ObjectId } = require("mongodb"),
+  {
+    encodeCursor,
+    decodeCursor,
+    keysetFilter,
+    keysetProjection
+  } = require("../../utils/cursor"),
+  expect = chai.expect;
+chai.should();
+
+describe("cursor", () => {
+  describe("encodeCursor and decodeCursor", () => {
+    it("should keep the ObjectId and Date values", () => {
+      const document = {
+          _id: new ObjectId(),
+          owner: { createdAt: new Date() }
+        },
+        sortKeys = [["owner.createdAt", -1], ["_id", 1]],
+        values = decodeCursor(sortKeys, encodeCursor(sortKeys, document));
+      values.should.be.eql([document.owner.createdAt, document._id]);
+      values[1].should.be.instanceof(ObjectId);
+    });
+
+    it("should return null if the cursor was built for other fields", () => {
+      const cursor = encodeCursor([["name", 1], ["_id", 1]], {
+        name: "foo",
+        _id: 1
+      });
+      expect(decodeCursor([["_id", 1]], cursor)).to.be.null;
+    });
+
+    it("should return null if the cursor was built for other directions", () => {
+      const cursor = encodeCursor([["name", 1], ["_id", 1]], {
+        name: "foo",
+        _id: 1
+      });
+      expect(decodeCursor([["name", -1], ["_id", 1]], cursor)).to.be.null;
+    });
+
+    it("should return null if the cursor is malformed", () => {
+      expect(decodeCursor([["_id", 1]], "not a cursor")).to.be.null;
+    });
+  });
+
+  describe("keysetFilter", () => {
+    it("should build the filter for compound and descending sorts", () => {
+      const filter = keysetFilter([["name", -1], ["_id", 1]], ["foo", 5]);
+      filter.should.be.eql({
+        $or: [
+          { name: { $lt: "foo" } },
+          { name: null },
+          { name: "foo", _id: { $gt: 5 } }
+        ]
+      });
+    });
+
+    it("should place the null values first in ascending sorts", () => {
+      const filter = keysetFilter([["name", 1], ["_id", 1]], [null, 5]);
+      filter.should.be.eql({
+        $or: [{ name: { $ne: null } }, { name: null, _id: { $gt: 5 } }]
+      });
+    });
+
+    it("should place the null values last in descending sorts", () => {
+      const filter = keysetFilter([["name", -1], ["_id", 1]], [undefined, 5]);
+      filter.should.be.eql({ $or: [{ name: null, _id: { $gt: 5 } }] });
+    });
+
+    it("should match the cursor document if inclusive", () => {
+      const filter = keysetFilter([["_id", 1]], [5], true);
+      filter.should.be.eql({ $or: [{ _id: { $gt: 5 } }, { _id: 5 }] });
+    });
+  });
+
+  describe("keysetProjection", () => {
+    it("should add the sort fields to inclusion projections", () => {
+      keysetProjection({ _id: 0, age: 1 }, ["name", "_id"]).should.be.eql({
+        _id: 1,
+        age: 1,
+        name: 1
+      });
+    });
+
+    it("should remove the sort fields from exclusion projections", () => {
+      keysetProjection({ name: 0, likes: 0 }, ["name", "_id"]).should.be.eql({
+        likes: 0
+      });
+    });
+  });
+});
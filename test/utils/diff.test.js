@@ -0,0 +1,151 @@
+const chai = require("chai"),
+  { ObjectId } = require("mongodb"),
+  {
+    isEqual,
+    jsonPatch,
+    changedPaths,
+    applyPatch,
+    applyChanges
+  } = require("../../utils/diff");
+chai.should();
+
+describe("diff", () => {
+  const _id = new ObjectId(),
+    oldDoc = {
+      _id,
+      name: "garfield",
+      owner: { name: "jon", address: { city: "Muncie" } },
+      birthday: new Date(1978, 5, 19),
+      likes: [
+        { _id: new ObjectId(), name: "lasagna" },
+        { _id: new ObjectId(), name: "sleeping" },
+        { _id: new ObjectId(), name: "tv" }
+      ],
+      enemies: ["nermal", "mondays"]
+    };
+
+  describe("isEqual", () => {
+    it("should compare ObjectId and Date values by value", () => {
+      isEqual(new ObjectId(_id.toHexString()), _id).should.be.eql(true);
+      isEqual(new Date(0), new Date(0)).should.be.eql(true);
+      isEqual(new Date(0), new Date(1)).should.be.eql(false);
+      isEqual(_id, _id.toHexString()).should.be.eql(false);
+    });
+
+    it("should ignore the undefined fields", () => {
+      isEqual({ a: 1, b: undefined }, { a: 1 }).should.be.eql(true);
+    });
+  });
+
+  describe("jsonPatch", () => {
+    it("should return an empty patch for equal documents", () => {
+      jsonPatch(oldDoc, applyPatch(oldDoc, [])).should.be.eql([]);
+    });
+
+    it("should describe the changes in nested objects", () => {
+      const newDoc = Object.assign({}, oldDoc, {
+        owner: { name: "jon", address: { city: "Indiana" }, phone: "555" }
+      });
+      delete newDoc.birthday;
+      jsonPatch(oldDoc, newDoc).should.be.eql([
+        { op: "replace", path: "/owner/address/city", value: "Indiana" },
+        { op: "add", path: "/owner/phone", value: "555" },
+        { op: "remove", path: "/birthday" }
+      ]);
+    });
+
+    it("should describe ObjectId and Date values as a whole", () => {
+      const newId = new ObjectId(),
+        birthday = new Date(1978, 5, 20),
+        patch = jsonPatch(
+          oldDoc,
+          Object.assign({}, oldDoc, { _id: newId, birthday })
+        );
+      patch.should.be.eql([
+        { op: "replace", path: "/_id", value: newId },
+        { op: "replace", path: "/birthday", value: birthday }
+      ]);
+    });
+
+    it("should produce a single operation when an item is pushed or pulled", () => {
+      const pushed = { _id: new ObjectId(), name: "coffee" };
+      jsonPatch(
+        oldDoc,
+        Object.assign({}, oldDoc, { likes: oldDoc.likes.concat(pushed) })
+      ).should.be.eql([{ op: "add", path: "/likes/3", value: pushed }]);
+      jsonPatch(
+        oldDoc,
+        Object.assign({}, oldDoc, {
+          likes: [oldDoc.likes[0], oldDoc.likes[2]]
+        })
+      ).should.be.eql([{ op: "remove", path: "/likes/1" }]);
+    });
+
+    it("should describe the changes inside array items", () => {
+      const likes = oldDoc.likes.slice();
+      likes[1] = Object.assign({}, likes[1], { name: "napping" });
+      jsonPatch(oldDoc, Object.assign({}, oldDoc, { likes })).should.be.eql([
+        { op: "replace", path: "/likes/1/name", value: "napping" }
+      ]);
+    });
+
+    it("should escape the keys of the JSON pointers", () => {
+      jsonPatch({ "a/b": 1, "c~d": 1 }, { "a/b": 2, "c~d": 2 }).should.be.eql([
+        { op: "replace", path: "/a~1b", value: 2 },
+        { op: "replace", path: "/c~0d", value: 2 }
+      ]);
+    });
+
+    it("should transform the old document in the new one when applied", () => {
+      const newDoc = {
+        _id,
+        name: "garfield",
+        owner: { name: "liz" },
+        likes: [oldDoc.likes[2], { _id: new ObjectId(), name: "coffee" }],
+        enemies: ["mondays", "nermal", "odie"]
+      };
+      applyPatch(oldDoc, jsonPatch(oldDoc, newDoc)).should.be.eql(newDoc);
+      applyPatch(newDoc, jsonPatch(newDoc, oldDoc)).should.be.eql(oldDoc);
+    });
+
+    it("should not modify the patched document", () => {
+      const newDoc = Object.assign({}, oldDoc, { enemies: [] });
+      applyPatch(oldDoc, jsonPatch(oldDoc, newDoc));
+      oldDoc.enemies.should.be.eql(["nermal", "mondays"]);
+    });
+  });
+
+  describe("changedPaths", () => {
+    it("should list the changed paths with their old and new values", () => {
+      const newDoc = Object.assign({}, oldDoc, {
+        name: "garfield the cat",
+        enemies: ["nermal", "mondays", "odie"],
+        owner: { name: "jon" }
+      });
+      delete newDoc.birthday;
+      changedPaths(oldDoc, newDoc).should.be.eql([
+        { path: "name", old: "garfield", new: "garfield the cat" },
+        {
+          path: "owner.address",
+          old: { city: "Muncie" }
+        },
+        { path: "birthday", old: oldDoc.birthday },
+        { path: "enemies.2", new: "odie" }
+      ]);
+    });
+  });
+
+  describe("applyChanges", () => {
+    it("should transform the old document in the new one", () => {
+      const newDoc = {
+        _id,
+        name: "garfield",
+        owner: { name: "liz", address: { city: "Muncie" } },
+        likes: [oldDoc.likes[0], { _id: new ObjectId(), name: "coffee" }],
+        enemies: ["mondays"]
+      };
+      applyChanges(oldDoc, changedPaths(oldDoc, newDoc)).should.be.eql(newDoc);
+      applyChanges(newDoc, changedPaths(newDoc, oldDoc)).should.be.eql(oldDoc);
+    });
+  });
+});
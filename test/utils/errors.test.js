@@ -0,0 +1,88 @@
+const chai = require("chai"),
+  { AssertionError } = require("assert"),
+  DuplicateKeyError = require("../../exceptions/DuplicateKeyError"),
+  InvalidArgumentError = require("../../exceptions/InvalidArgumentError"),
+  WriteConflictError = require("../../exceptions/WriteConflictError"),
+  { keyPatternOf, translateError } = require("../../utils/errors");
+chai.should();
+
+function mongoError(code, message, attributes = {}) {
+  return Object.assign(
+    new Error(message),
+    { code, errmsg: message },
+    attributes
+  );
+}
+
+describe("errors", () => {
+  describe("keyPatternOf", () => {
+    it("should rebuild the key pattern of the default index names", () => {
+      keyPatternOf("_id_").should.be.eql({ _id: 1 });
+      keyPatternOf("email_1").should.be.eql({ email: 1 });
+      keyPatternOf("owner_id_1_createdAt_-1").should.be.eql({
+        owner_id: 1,
+        createdAt: -1
+      });
+      keyPatternOf("location_2dsphere").should.be.eql({
+        location: "2dsphere"
+      });
+    });
+
+    it("should return null for the custom index names", () => {
+      (keyPatternOf("unique_email") === null).should.be.eql(true);
+    });
+  });
+
+  describe("translateError", () => {
+    it("should translate the duplicate key errors", () => {
+      const cause = mongoError(
+          11000,
+          'E11000 duplicate key error collection: test.cats index: email_1 dup key: { : "tom@cats.com" }'
+        ),
+        error = translateError(cause);
+      error.should.be.instanceof(DuplicateKeyError);
+      error.keyPattern.should.be.eql({ email: 1 });
+      (error.keyValue === null).should.be.eql(true);
+      error.cause.should.be.eql(cause);
+    });
+
+    it("should use the key pattern and value reported by the server", () => {
+      const error = translateError(
+        mongoError(11000, "E11000 duplicate key error", {
+          keyPattern: { email: 1 },
+          keyValue: { email: "tom@cats.com" }
+        })
+      );
+      error.keyPattern.should.be.eql({ email: 1 });
+      error.keyValue.should.be.eql({ email: "tom@cats.com" });
+    });
+
+    it("should translate the write conflicts keeping their labels", () => {
+      const error = translateError(
+        mongoError(112, "WriteConflict", {
+          errorLabels: ["TransientTransactionError"]
+        })
+      );
+      error.should.be.instanceof(WriteConflictError);
+      error.errorLabels.should.be.eql(["TransientTransactionError"]);
+    });
+
+    it("should translate the assertion errors", () => {
+      const error = translateError(
+        new AssertionError({ message: "The '_id' parameter is required" })
+      );
+      error.should.be.instanceof(InvalidArgumentError);
+      error.should.be.instanceof(AssertionError);
+      error.message.should.be.eql("The '_id' parameter is required");
+      translateError(error).should.be.equal(error);
+    });
+
+    it("should return the other errors as they are", () => {
+      const error = new TypeError("foo");
+      translateError(error).should.be.equal(error);
+      translateError(mongoError(2, "BadValue")).should.not.be.instanceof(
+        DuplicateKeyError
+      );
+    });
+  });
+});
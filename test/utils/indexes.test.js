@@ -0,0 +1,155 @@
+const chai = require("chai"),
+  { AssertionError } = require("assert"),
+  { indexName, normalizeIndexes, planIndexes } = require("../../utils/indexes");
+chai.should();
+
+describe("indexes", () => {
+  const idIndex = { v: 2, key: { _id: 1 }, name: "_id_" };
+
+  describe("normalizeIndexes", () => {
+    it("should fill the default names", () => {
+      indexName({ owner: 1, createdAt: -1 }).should.be.eql(
+        "owner_1_createdAt_-1"
+      );
+      normalizeIndexes([
+        { key: { email: 1 }, unique: true },
+        { key: { name: 1 }, name: "by_name" }
+      ])
+        .map(index => index.name)
+        .should.be.eql(["email_1", "by_name"]);
+    });
+
+    it("should throw an error if an index is not valid", () => {
+      (() => normalizeIndexes([{ unique: true }])).should.throw(AssertionError);
+      (() => normalizeIndexes([{ key: { _id: 1 } }])).should.throw(
+        AssertionError
+      );
+      (() =>
+        normalizeIndexes([
+          { key: { email: 1 } },
+          { key: { email: 1 } }
+        ])).should.throw(AssertionError);
+    });
+  });
+
+  describe("planIndexes", () => {
+    it("should plan the missing indexes", () => {
+      const plan = planIndexes(normalizeIndexes([{ key: { email: 1 } }]), [
+        idIndex
+      ]);
+      plan.create.should.be.eql(["email_1"]);
+      plan.inSync.should.be.eql(false);
+    });
+
+    it("should not change the indexes that match", () => {
+      const plan = planIndexes(
+        normalizeIndexes([
+          {
+            key: { email: 1 },
+            unique: true,
+            partialFilterExpression: { deletedAt: { $exists: false } },
+            collation: { locale: "en", strength: 2 }
+          },
+          { key: { expireAt: 1 }, expireAfterSeconds: 0 },
+          { key: { title: "text", body: "text" }, weights: { title: 10 } }
+        ]),
+        [
+          idIndex,
+          {
+            v: 2,
+            key: { email: 1 },
+            name: "email_1",
+            unique: true,
+            partialFilterExpression: { deletedAt: { $exists: false } },
+            collation: { locale: "en", strength: 2, caseLevel: false }
+          },
+          {
+            v: 2,
+            key: { expireAt: 1 },
+            name: "expireAt_1",
+            expireAfterSeconds: 0
+          },
+          {
+            v: 2,
+            key: { _fts: "text", _ftsx: 1 },
+            name: "title_text_body_text",
+            weights: { title: 10, body: 1 },
+            default_language: "english",
+            language_override: "language",
+            textIndexVersion: 3
+          }
+        ]
+      );
+      plan.unchanged.should.be.eql([
+        "email_1",
+        "expireAt_1",
+        "title_text_body_text"
+      ]);
+      plan.inSync.should.be.eql(true);
+    });
+
+    it("should replace the indexes whose options changed", () => {
+      const plan = planIndexes(
+        normalizeIndexes([
+          { key: { email: 1 }, unique: true },
+          { key: { expireAt: 1 }, expireAfterSeconds: 3600 }
+        ]),
+        [
+          idIndex,
+          { v: 2, key: { email: 1 }, name: "email_1" },
+          {
+            v: 2,
+            key: { expireAt: 1 },
+            name: "expireAt_1",
+            expireAfterSeconds: 0
+          }
+        ]
+      );
+      plan.replace.should.be.eql([
+        { name: "email_1", existingName: "email_1", changes: ["unique"] }
+      ]);
+      plan.modify.should.be.eql([
+        { name: "expireAt_1", expireAfterSeconds: 3600 }
+      ]);
+      plan.inSync.should.be.eql(false);
+    });
+
+    it("should replace a TTL index that gets or loses the expiration", () => {
+      const plan = planIndexes(
+        normalizeIndexes([{ key: { expireAt: 1 }, expireAfterSeconds: 60 }]),
+        [idIndex, { v: 2, key: { expireAt: 1 }, name: "expireAt_1" }]
+      );
+      plan.modify.should.be.eql([]);
+      plan.replace.should.be.eql([
+        {
+          name: "expireAt_1",
+          existingName: "expireAt_1",
+          changes: ["expireAfterSeconds"]
+        }
+      ]);
+    });
+
+    it("should match the indexes with custom names by key", () => {
+      const plan = planIndexes(normalizeIndexes([{ key: { email: 1 } }]), [
+        idIndex,
+        { v: 2, key: { email: 1 }, name: "custom" }
+      ]);
+      plan.replace.should.be.eql([
+        { name: "email_1", existingName: "custom", changes: ["name"] }
+      ]);
+      plan.unknown.should.be.eql([]);
+    });
+
+    it("should only drop the unknown indexes with the dropUnknown option", () => {
+      const existing = [
+        idIndex,
+        { v: 2, key: { legacy: 1 }, name: "legacy_1" }
+      ];
+      planIndexes([], existing).unknown.should.be.eql(["legacy_1"]);
+      planIndexes([], existing).drop.should.be.eql([]);
+      planIndexes([], existing, { dropUnknown: true }).drop.should.be.eql([
+        "legacy_1"
+      ]);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const chai = require("chai"),
+  { ObjectId } = require("mongodb"),
+  jsonSchema = require("../../utils/jsonSchema"),
+  schema = {
+    type: "object",
+    required: ["name"],
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", minLength: 2 },
+      age: { type: "integer", minimum: 0 },
+      owner: { bsonType: "objectId" },
+      likes: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["name"],
+          additionalProperties: false,
+          properties: {
+            name: { type: "string", enum: ["games", "music", "tickles"] }
+          }
+        }
+      }
+    }
+  };
+chai.should();
+
+describe("jsonSchema", () => {
+  describe("validate", () => {
+    it("should return no errors for a valid document", () => {
+      const errors = jsonSchema.validate(schema, {
+        _id: new ObjectId(),
+        name: "Blacky",
+        age: 3,
+        owner: new ObjectId(),
+        likes: [{ _id: new ObjectId(), name: "games" }]
+      });
+      errors.should.be.eql([]);
+    });
+
+    it("should report the missing required fields", () => {
+      const errors = jsonSchema.validate(schema, {});
+      errors.should.be.eql([{ path: "name", message: "is required" }]);
+    });
+
+    it("should report the path of nested errors", () => {
+      const errors = jsonSchema.validate(schema, {
+        name: "Blacky",
+        likes: [{ name: "games" }, { name: "snakes" }]
+      });
+      errors.length.should.be.eql(1);
+      errors[0].path.should.be.eql("likes.1.name");
+    });
+
+    it("should report the additional properties", () => {
+      const errors = jsonSchema.validate(schema, { name: "Blacky", foo: 1 });
+      errors.should.be.eql([{ path: "foo", message: "is not allowed" }]);
+    });
+
+    it("should validate the bsonType keyword", () => {
+      const errors = jsonSchema.validate(schema, {
+        name: "Blacky",
+        owner: "5be1c07f21fd86540546eb53"
+      });
+      errors.length.should.be.eql(1);
+      errors[0].path.should.be.eql("owner");
+    });
+
+    it("should validate the anyOf, oneOf and not keywords", () => {
+      const numberOrString = {
+        anyOf: [{ type: "number" }, { type: "string" }]
+      };
+      jsonSchema.validate(numberOrString, true).length.should.be.eql(1);
+      jsonSchema.validate({ oneOf: [{}, {}] }, 1).length.should.be.eql(1);
+      jsonSchema
+        .validate({ not: { type: "null" } }, null)
+        .length.should.be.eql(1);
+    });
+  });
+
+  describe("validatePartial", () => {
+    it("should ignore the required fields that are not present", () => {
+      const errors = jsonSchema.validatePartial(schema, { age: 4 });
+      errors.should.be.eql([]);
+    });
+
+    it("should resolve positional dot notation paths", () => {
+      const errors = jsonSchema.validatePartial(schema, {
+        "likes.$.name": "snakes"
+      });
+      errors.length.should.be.eql(1);
+      errors[0].path.should.be.eql("likes.$.name");
+    });
+  });
+
+  describe("validateArrayItems", () => {
+    it("should validate every item of the $each modifier", () => {
+      const errors = jsonSchema.validateArrayItems(schema, {
+        likes: { $each: [{ name: "games" }, { foo: "bar" }] }
+      });
+      errors.length.should.be.eql(2);
+    });
+  });
+
+  describe("toMongoJsonSchema", () => {
+    it("should remove the unsupported keywords and translate integer", () => {
+      const mongoSchema = jsonSchema.toMongoJsonSchema({
+        $schema: "http://json-schema.org/draft-07/schema#",
+        type: "object",
+        properties: {
+          age: { type: "integer" },
+          email: { type: "string", format: "email" }
+        }
+      });
+      mongoSchema.should.be.eql({
+        type: "object",
+        properties: {
+          age: { bsonType: ["int", "long"] },
+          email: { type: "string" }
+        }
+      });
+    });
+
+    it("should allow the _id and the extra root properties when additionalProperties is false", () => {
+      const mongoSchema = jsonSchema.toMongoJsonSchema(
+        {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            likes: {
+              type: "array",
+              items: {
+                type: "object",
+                additionalProperties: false,
+                properties: { name: { type: "string" } }
+              }
+            }
+          }
+        },
+        { createdAt: { bsonType: "date" } }
+      );
+      mongoSchema.properties.should.have.all.keys("_id", "createdAt", "likes");
+      mongoSchema.properties.likes.items.properties.should.have.all.keys(
+        "_id",
+        "name"
+      );
+    });
+  });
+});
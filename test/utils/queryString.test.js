@@ -0,0 +1,125 @@
+const chai = require("chai"),
+  { ObjectId } = require("mongodb"),
+  QueryStringError = require("../../exceptions/QueryStringError"),
+  { parse } = require("../../utils/queryString");
+chai.should();
+
+describe("queryString", () => {
+  const options = {
+    filterable: {
+      name: "string",
+      age: "number",
+      status: "string",
+      createdAt: "date",
+      owner: "objectId",
+      lazy: "boolean",
+      email: { type: "string", operators: ["eq"] }
+    },
+    sortable: ["createdAt", "name"]
+  };
+
+  function parseError(input, parseOptions = options) {
+    try {
+      parse(input, parseOptions);
+    } catch (error) {
+      error.should.be.instanceof(QueryStringError);
+      return error;
+    }
+    false.should.be.eql(true, "The function should NOT HAVE passed");
+  }
+
+  describe("parse", () => {
+    it("should translate a query string to the arguments of list", () => {
+      const result = parse(
+        "?name[like]=tom&age[gte]=3&status[in]=a,b&sort=-createdAt,name&fields=name,age&page=2",
+        options
+      );
+      result.query.name.$regex.should.be.eql(/tom/i);
+      result.query.age.should.be.eql({ $gte: 3 });
+      result.query.status.should.be.eql({ $in: ["a", "b"] });
+      result.sort.should.be.eql({ createdAt: -1, name: 1 });
+      result.projection.should.be.eql({ name: 1, age: 1 });
+      result.limit.should.be.eql(20);
+      result.skip.should.be.eql(20);
+    });
+
+    it("should coerce the values to the type of the fields", () => {
+      const owner = new ObjectId(),
+        { query } = parse(
+          `lazy=true&owner=${owner}&createdAt[lt]=2018-11-05&age[lte]=9&age[gt]=1.5`,
+          options
+        );
+      query.lazy.should.be.eql(true);
+      query.owner.should.be.eql(owner);
+      query.createdAt.$lt.should.be.eql(new Date("2018-11-05"));
+      query.age.should.be.eql({ $lte: 9, $gt: 1.5 });
+    });
+
+    it("should coerce the values by their appearance when the fields have no type", () => {
+      const owner = new ObjectId(),
+        { query } = parse(`age=3&lazy=false&owner=${owner}&name=tom`, {
+          filterable: ["age", "lazy", "owner", "name"]
+        });
+      query.should.be.eql({ age: 3, lazy: false, owner, name: "tom" });
+    });
+
+    it("should accept the parameters parsed by a framework", () => {
+      const { query, limit } = parse(
+        { age: { gte: "3", lt: "9" }, name: "tom", limit: "5" },
+        options
+      );
+      query.should.be.eql({ age: { $gte: 3, $lt: 9 }, name: "tom" });
+      limit.should.be.eql(5);
+    });
+
+    it("should escape the like values", () => {
+      const { query } = parse("name[like]=a.b*", options);
+      query.name.$regex.test("a.b*c").should.be.eql(true);
+      query.name.$regex.test("axb").should.be.eql(false);
+    });
+
+    it("should throw an error if a field cannot be filtered", () => {
+      const error = parseError("password=1234");
+      error.parameter.should.be.eql("password");
+    });
+
+    it("should throw an error if an operator is not allowed", () => {
+      parseError("name[gt]=tom").parameter.should.be.eql("name[gt]");
+      parseError("email[like]=gmail").message.should.include("eq");
+      parseError("age[where]=1");
+    });
+
+    it("should throw an error if a value cannot be coerced", () => {
+      parseError("age=three");
+      parseError("createdAt=yesterday");
+      parseError("owner=1234");
+      parseError("lazy=yes");
+    });
+
+    it("should throw an error if a field cannot be sorted", () => {
+      parseError("sort=age").parameter.should.be.eql("sort");
+    });
+
+    it("should throw an error if the page or the limit are not valid", () => {
+      parseError("page=0");
+      parseError("limit=abc");
+      parseError("limit=1000");
+    });
+
+    it("should only accept the selectable fields when they are set", () => {
+      parseError(
+        "fields=password",
+        Object.assign({ selectable: ["name"] }, options)
+      );
+    });
+
+    it("should throw an error if a parameter is duplicated", () => {
+      parseError("age[gte]=1&age[gte]=2");
+    });
+
+    it("should not accept fields inherited from Object", () => {
+      parseError("__proto__[eq]=1");
+      parseError("constructor=1");
+    });
+  });
+});
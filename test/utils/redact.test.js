@@ -0,0 +1,122 @@
+const chai = require("chai"),
+  crypto = require("crypto"),
+  { AssertionError } = require("assert"),
+  { ObjectId } = require("mongodb"),
+  { MASK, compileRules, redact } = require("../../utils/redact");
+chai.should();
+
+describe("redact", () => {
+  const key = "secret",
+    hmac = value =>
+      crypto
+        .createHmac("sha256", key)
+        .update(value)
+        .digest("hex"),
+    document = {
+      _id: new ObjectId(),
+      name: "garfield",
+      password: "lasagna",
+      owner: { name: "jon", ssn: "123-45-6789", accessToken: "abc" },
+      cards: [
+        { number: "4111", brand: "visa" },
+        { number: "5500", brand: "mastercard" }
+      ],
+      tags: ["orange", "lazy"]
+    };
+
+  describe("compileRules", () => {
+    it("should throw an error if an action is not valid", () => {
+      try {
+        compileRules({ password: "encrypt" });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+
+    it("should throw an error if a hash rule has no key", () => {
+      try {
+        compileRules({ password: "hash" });
+        false.should.be.eql(true, "The function should NOT HAVE passed");
+      } catch (error) {
+        error.should.be.instanceof(AssertionError);
+      }
+    });
+  });
+
+  describe("redact", () => {
+    it("should drop, mask and hash the matched fields", () => {
+      const rules = compileRules(
+          { password: "drop", "owner.ssn": "mask", name: "hash" },
+          key
+        ),
+        result = redact(document, rules, { key });
+      result.should.not.haveOwnProperty("password");
+      result.owner.ssn.should.be.eql(MASK);
+      result.name.should.be.eql(hmac("garfield"));
+      result.owner.name.should.be.eql("jon");
+      result._id.should.be.eql(document._id);
+    });
+
+    it("should not modify the document", () => {
+      redact(document, compileRules({ password: "drop" }));
+      document.password.should.be.eql("lasagna");
+    });
+
+    it("should traverse the arrays implicitly", () => {
+      const result = redact(document, compileRules({ "cards.number": "mask" }));
+      result.cards.should.be.eql([
+        { number: MASK, brand: "visa" },
+        { number: MASK, brand: "mastercard" }
+      ]);
+    });
+
+    it("should accept explicit array indexes", () => {
+      const result = redact(
+        document,
+        compileRules({ "cards.0.number": "drop" })
+      );
+      result.cards.should.be.eql([
+        { brand: "visa" },
+        { number: "5500", brand: "mastercard" }
+      ]);
+    });
+
+    it("should accept glob patterns", () => {
+      const result = redact(
+        { owner: document.owner, session: { refreshToken: "xyz" } },
+        compileRules({ "**.*Token": "mask", "*.ssn": "drop" })
+      );
+      result.should.be.eql({
+        owner: { name: "jon", accessToken: MASK },
+        session: { refreshToken: MASK }
+      });
+    });
+
+    it("should redact a whole value if its field is matched", () => {
+      const result = redact(
+        document,
+        compileRules({ tags: "mask", owner: "drop" })
+      );
+      result.tags.should.be.eql(MASK);
+      result.should.not.haveOwnProperty("owner");
+    });
+
+    it("should redact a subdocument using the path of its array field", () => {
+      const rules = compileRules({ "cards.number": "mask" });
+      redact(document.cards[0], rules, { path: "cards" }).should.be.eql({
+        number: MASK,
+        brand: "visa"
+      });
+      redact(document.cards[0], compileRules({ cards: "mask" }), {
+        path: "cards"
+      }).should.be.eql(MASK);
+    });
+
+    it("should hash any value", () => {
+      const rules = compileRules({ "owner.*": "hash" }, key),
+        result = redact({ owner: { age: 40 } }, rules, { key });
+      result.owner.age.should.be.eql(hmac("40"));
+    });
+  });
+});
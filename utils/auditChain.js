@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+
+/**
+ * Tamper-evident audit chains. Every audit of a chain stores its position in
+ * the chain (seq), the hash of the previous audit (previousHash) and its own
+ * hash, which is the SHA-256 of its canonical content, previousHash included.
+ * Editing, removing or reordering audits breaks the chain.
+ */
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !value._bsontype
+  );
+}
+
+/**
+ * Removes the undefined values of a document, so it is stored the same way
+ * whatever the ignoreUndefined option of the client is
+ *
+ * @param {*} value
+ */
+function stripUndefined(value) {
+  if (Array.isArray(value)) {
+    return value.map(item =>
+      item === undefined ? null : stripUndefined(item)
+    );
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      if (value[key] !== undefined) {
+        result[key] = stripUndefined(value[key]);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Returns the number of an Int32, Double or Long, or null for the other values.
+ * The Longs beyond the safe integers cannot be represented as numbers.
+ *
+ * @param {*} value
+ * @returns {Number}
+ */
+function numberOf(value) {
+  if (["Int32", "Double"].includes(value._bsontype)) {
+    return value.valueOf();
+  }
+  if (value._bsontype === "Long" && Number.isSafeInteger(value.toNumber())) {
+    return value.toNumber();
+  }
+  return null;
+}
+
+/**
+ * Serializes a value to a deterministic string: object keys are sorted, and
+ * ObjectId, Date and the other BSON values are tagged with their type. The
+ * numeric BSON values are serialized as numbers, because the driver returns
+ * them as numbers or as BSON values depending on its promoteValues and
+ * promoteLongs options.
+ *
+ * @param {*} value
+ * @returns {String}
+ */
+function canonicalize(value) {
+  if (value === undefined || value === null) {
+    return "null";
+  }
+  if (value._bsontype && numberOf(value) !== null) {
+    return JSON.stringify(numberOf(value));
+  }
+  if (value instanceof Date) {
+    return `{"$date":${JSON.stringify(value.toISOString())}}`;
+  }
+  if (value instanceof RegExp) {
+    return `{"$regex":${JSON.stringify(String(value))}}`;
+  }
+  if (value._bsontype) {
+    return `{"$${value._bsontype}":${JSON.stringify(String(value))}}`;
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort();
+    return `{${keys
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the hash of an audit of a chain. The hash field is ignored.
+ *
+ * @param {Object} audit: The audit, with its seq and previousHash fields
+ * @returns {String} SHA-256 in hex
+ */
+function hashAudit(audit) {
+  const content = Object.assign({}, audit);
+  delete content.hash;
+  return crypto
+    .createHash("sha256")
+    .update(canonicalize(content))
+    .digest("hex");
+}
+
+/**
+ * Verifies the audits of a chain, in seq order, and reports the first problem:
+ *
+ * - "gap": an audit of the chain is missing
+ * - "duplicate": two audits have the same seq
+ * - "tampered": the content of an audit does not match its hash
+ * - "broken_link": the previousHash of an audit is not the hash of the
+ *   previous audit, so audits were reordered, removed or inserted
+ *
+ * @param {Collection} collection: The audit collection
+ * @param {String} chain: The chain name
+ * @param {Object} [options={}]:
+ * @param {Number} [options.from=1]: The first seq to be verified
+ * @param {Number} [options.to]: The last seq to be verified. By default, the end of the chain
+ * @param {ClientSession} [options.session]: MongoDB session
+ * @returns {{valid: boolean, checked: Number, error: Object}} error holds the
+ * type, seq, auditId and a message of the first problem
+ */
+async function verifyChain(collection, chain, options = {}) {
+  const from = options.from || 1,
+    seq = { $gte: from };
+  if (options.to !== undefined) {
+    seq.$lte = options.to;
+  }
+  let previous = null,
+    checked = 0;
+  if (from > 1) {
+    previous = await collection.findOne(
+      { chain, seq: from - 1 },
+      { session: options.session }
+    );
+  }
+  const fail = (type, audit, message) => ({
+    valid: false,
+    checked,
+    error: { type, seq: audit.seq, auditId: audit._id, message }
+  });
+  const cursor = collection.find(
+    { chain, seq },
+    { sort: { seq: 1 }, session: options.session }
+  );
+  try {
+    while (await cursor.hasNext()) {
+      const audit = await cursor.next(),
+        expected = previous ? previous.seq + 1 : from;
+      if (audit.seq < expected) {
+        return fail("duplicate", audit, `Audit ${audit.seq} is duplicated`);
+      }
+      if (audit.seq > expected) {
+        return fail("gap", audit, `Audit ${expected} is missing`);
+      }
+      if (hashAudit(audit) !== audit.hash) {
+        return fail(
+          "tampered",
+          audit,
+          `Audit ${audit.seq} does not match its hash`
+        );
+      }
+      if (
+        (previous || from === 1) &&
+        audit.previousHash !== (previous ? previous.hash : null)
+      ) {
+        return fail(
+          "broken_link",
+          audit,
+          `Audit ${audit.seq} does not follow audit ${audit.seq - 1}`
+        );
+      }
+      previous = audit;
+      checked++;
+    }
+  } finally {
+    await cursor.close();
+  }
+  return { valid: true, checked, error: null };
+}
+
+module.exports = {
+  stripUndefined,
+  canonicalize,
+  hashAudit,
+  verifyChain
+};
@@ -0,0 +1,194 @@
+const { ObjectId } = require("mongodb");
+
+/**
+ * Opaque cursors used by the keyset pagination. A cursor stores the sort
+ * fields and the values of those fields in the document it points to.
+ *
+ * ObjectId and Date values are tagged so they survive the JSON round trip.
+ */
+
+function serialize(value) {
+  if (value instanceof ObjectId) {
+    return { $oid: value.toHexString() };
+  }
+  if (value instanceof Date) {
+    return { $date: value.getTime() };
+  }
+  if (Array.isArray(value)) {
+    return value.map(serialize);
+  }
+  if (value !== null && typeof value === "object") {
+    const result = {};
+    for (const key in value) {
+      if (value.hasOwnProperty(key)) {
+        result[key] = serialize(value[key]);
+      }
+    }
+    return result;
+  }
+  return value === undefined ? null : value;
+}
+
+function deserialize(value) {
+  if (Array.isArray(value)) {
+    return value.map(deserialize);
+  }
+  if (value !== null && typeof value === "object") {
+    if (value.hasOwnProperty("$oid")) {
+      return new ObjectId(value.$oid);
+    }
+    if (value.hasOwnProperty("$date")) {
+      return new Date(value.$date);
+    }
+    const result = {};
+    for (const key in value) {
+      if (value.hasOwnProperty(key)) {
+        result[key] = deserialize(value[key]);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Obtains the value of a dot notation path of a document
+ *
+ * @param {Object} document: The document
+ * @param {String} path: Dot notation path, for example "owner.name"
+ */
+function getPath(document, path) {
+  return path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === null || value === undefined ? undefined : value[key],
+      document
+    );
+}
+
+/**
+ * Builds the cursor that points to a document
+ *
+ * @param {Array<Array>} sortKeys: List of [field, direction] pairs
+ * @param {Object} document: The document
+ * @returns {String}
+ */
+function encodeCursor(sortKeys, document) {
+  const fields = sortKeys.map(([field]) => field),
+    directions = sortKeys.map(([, direction]) => direction),
+    values = fields.map(field => serialize(getPath(document, field)));
+  return Buffer.from(
+    JSON.stringify({ f: fields, d: directions, v: values })
+  ).toString("base64");
+}
+
+/**
+ * Decodes a cursor. Returns null if the cursor is malformed or if it was
+ * built for another sort.
+ *
+ * @param {Array<Array>} sortKeys: The expected list of [field, direction] pairs
+ * @param {String} cursor: The cursor
+ * @returns {Array|null} The values of the sort fields
+ */
+function decodeCursor(sortKeys, cursor) {
+  try {
+    const { f, d, v } = JSON.parse(Buffer.from(cursor, "base64").toString());
+    if (
+      !Array.isArray(f) ||
+      !Array.isArray(d) ||
+      !Array.isArray(v) ||
+      f.length !== sortKeys.length ||
+      d.length !== sortKeys.length ||
+      v.length !== sortKeys.length ||
+      sortKeys.some(
+        ([field, direction], i) => field !== f[i] || direction !== d[i]
+      )
+    ) {
+      return null;
+    }
+    return deserialize(v);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the filter that matches the documents placed after the given
+ * values in the given sort order.
+ *
+ * MongoDB sorts null and missing values before any other value, so a null
+ * value is followed by every non null value in an ascending sort, and by
+ * nothing in a descending one. In a descending sort the null values follow
+ * every other value.
+ *
+ * @param {Array<Array>} sortKeys: List of [field, direction] pairs
+ * @param {Array} values: The values of the sort fields
+ * @param {boolean} [inclusive=false]: If true, the document with exactly the given values is matched too
+ */
+function keysetFilter(sortKeys, values, inclusive = false) {
+  const clauses = [];
+  sortKeys.forEach(([field, direction], i) => {
+    const prefix = {},
+      value = values[i] === undefined ? null : values[i];
+    for (let j = 0; j < i; j++) {
+      prefix[sortKeys[j][0]] = values[j] === undefined ? null : values[j];
+    }
+    if (value === null) {
+      if (direction > 0) {
+        clauses.push(Object.assign({}, prefix, { [field]: { $ne: null } }));
+      }
+    } else if (direction > 0) {
+      clauses.push(Object.assign({}, prefix, { [field]: { $gt: value } }));
+    } else {
+      clauses.push(
+        Object.assign({}, prefix, { [field]: { $lt: value } }),
+        Object.assign({}, prefix, { [field]: null })
+      );
+    }
+  });
+  if (inclusive) {
+    const clause = {};
+    sortKeys.forEach(([field], i) => {
+      clause[field] = values[i] === undefined ? null : values[i];
+    });
+    clauses.push(clause);
+  }
+  /* $or does not accept an empty list, so an impossible filter is used */
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $in: [] } };
+}
+
+/**
+ * Makes sure the projection returns the sort fields, which are needed to
+ * build the cursors.
+ *
+ * @param {Object} projection: MongoDB projection
+ * @param {Array<String>} fields: The sort fields
+ */
+function keysetProjection(projection, fields) {
+  if (!projection || Object.keys(projection).length === 0) {
+    return projection;
+  }
+  const result = Object.assign({}, projection),
+    isInclusion = Object.keys(projection).some(
+      key => key !== "_id" && projection[key]
+    );
+  fields.forEach(field => {
+    if (isInclusion) {
+      result[field] = 1;
+    } else {
+      delete result[field];
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  serialize,
+  deserialize,
+  getPath,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  keysetProjection
+};
@@ -0,0 +1,286 @@
+/**
+ * Field level diffs between two versions of a document.
+ *
+ * Two formats are supported:
+ *
+ * - JSON Patch (RFC 6902): a list of add, remove and replace operations that
+ *   transforms the old document in the new one.
+ *   https://tools.ietf.org/html/rfc6902
+ * - Changed paths: a list of { path, old, new } entries, where path uses the
+ *   MongoDB dot notation. old is missing for added values and new is missing
+ *   for removed values.
+ *
+ * ObjectId, Date and the other BSON values are compared by value and never
+ * descended into. Arrays are compared by position, after skipping the items
+ * that are equal at the start and at the end of both arrays, so pushing or
+ * pulling an item only produces one change. Removed array items use their
+ * index in the old array and added items their index in the new array.
+ */
+
+function isBsonValue(value) {
+  return (
+    value instanceof Date ||
+    value instanceof RegExp ||
+    Boolean(value && value._bsontype)
+  );
+}
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !isBsonValue(value)
+  );
+}
+
+/**
+ * Deep equality that understands ObjectId, Date and the other BSON values
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (isBsonValue(a) || isBsonValue(b)) {
+    if (a instanceof Date && b instanceof Date) {
+      return a.getTime() === b.getTime();
+    }
+    return (
+      isBsonValue(a) &&
+      isBsonValue(b) &&
+      a._bsontype === b._bsontype &&
+      String(a) === String(b)
+    );
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a).filter(key => a[key] !== undefined);
+    return (
+      keys.length ===
+        Object.keys(b).filter(key => b[key] !== undefined).length &&
+      keys.every(key => b.hasOwnProperty(key) && isEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+/**
+ * Walks two values and calls onChange with (op, path, oldValue, newValue) for
+ * every difference. path is a list of keys and indexes.
+ */
+function walk(oldValue, newValue, path, onChange) {
+  if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+    for (const key of Object.keys(oldValue)) {
+      if (oldValue[key] === undefined) {
+        continue;
+      }
+      if (!newValue.hasOwnProperty(key) || newValue[key] === undefined) {
+        onChange("remove", path.concat(key), oldValue[key], undefined);
+      } else {
+        walk(oldValue[key], newValue[key], path.concat(key), onChange);
+      }
+    }
+    for (const key of Object.keys(newValue)) {
+      if (
+        newValue[key] !== undefined &&
+        (!oldValue.hasOwnProperty(key) || oldValue[key] === undefined)
+      ) {
+        onChange("add", path.concat(key), undefined, newValue[key]);
+      }
+    }
+    return;
+  }
+
+  if (Array.isArray(oldValue) && Array.isArray(newValue)) {
+    let start = 0,
+      oldEnd = oldValue.length,
+      newEnd = newValue.length;
+    while (
+      start < oldEnd &&
+      start < newEnd &&
+      isEqual(oldValue[start], newValue[start])
+    ) {
+      start++;
+    }
+    while (
+      oldEnd > start &&
+      newEnd > start &&
+      isEqual(oldValue[oldEnd - 1], newValue[newEnd - 1])
+    ) {
+      oldEnd--;
+      newEnd--;
+    }
+    const common = Math.min(oldEnd, newEnd);
+    for (let i = start; i < common; i++) {
+      walk(oldValue[i], newValue[i], path.concat(i), onChange);
+    }
+    /* Removing from the last index keeps the indexes of the JSON Patch valid */
+    for (let i = oldEnd - 1; i >= common; i--) {
+      onChange("remove", path.concat(i), oldValue[i], undefined);
+    }
+    for (let i = common; i < newEnd; i++) {
+      onChange("add", path.concat(i), undefined, newValue[i]);
+    }
+    return;
+  }
+
+  if (!isEqual(oldValue, newValue)) {
+    onChange("replace", path, oldValue, newValue);
+  }
+}
+
+function toPointer(path) {
+  return path
+    .map(
+      key =>
+        `/${String(key)
+          .replace(/~/g, "~0")
+          .replace(/\//g, "~1")}`
+    )
+    .join("");
+}
+
+function fromPointer(pointer) {
+  if (pointer === "") {
+    return [];
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map(key => key.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Computes the RFC 6902 JSON Patch that transforms a document in another
+ *
+ * @param {Object} oldDoc: The old version of the document
+ * @param {Object} newDoc: The new version of the document
+ * @returns {Array<{op: String, path: String, value: *}>}
+ */
+function jsonPatch(oldDoc, newDoc) {
+  const operations = [];
+  walk(oldDoc, newDoc, [], (op, path, oldValue, newValue) => {
+    operations.push(
+      op === "remove"
+        ? { op, path: toPointer(path) }
+        : { op, path: toPointer(path), value: newValue }
+    );
+  });
+  return operations;
+}
+
+/**
+ * Computes the list of paths that changed between two versions of a document
+ *
+ * @param {Object} oldDoc: The old version of the document
+ * @param {Object} newDoc: The new version of the document
+ * @returns {Array<{path: String, old: *, new: *}>}
+ */
+function changedPaths(oldDoc, newDoc) {
+  const changes = [];
+  walk(oldDoc, newDoc, [], (op, path, oldValue, newValue) => {
+    const change = { path: path.join(".") };
+    if (op !== "add") {
+      change.old = oldValue;
+    }
+    if (op !== "remove") {
+      change.new = newValue;
+    }
+    changes.push(change);
+  });
+  return changes;
+}
+
+/**
+ * Applies a JSON Patch generated by jsonPatch to a document. The document is
+ * not modified, a copy is returned.
+ *
+ * @param {Object} document: The document
+ * @param {Array<Object>} operations: JSON Patch operations (add, remove and replace)
+ * @returns {Object} The patched document
+ */
+function applyPatch(document, operations) {
+  let result = copy(document);
+  for (const { op, path, value } of operations) {
+    const keys = fromPointer(path);
+    if (keys.length === 0) {
+      result = op === "remove" ? undefined : copy(value);
+      continue;
+    }
+    const parent = keys
+        .slice(0, -1)
+        .reduce((current, key) => current[toKey(current, key)], result),
+      key = toKey(parent, keys[keys.length - 1]);
+    if (op === "remove") {
+      if (Array.isArray(parent)) {
+        parent.splice(key, 1);
+      } else {
+        delete parent[key];
+      }
+    } else if (op === "add" && Array.isArray(parent)) {
+      parent.splice(key === "-" ? parent.length : key, 0, copy(value));
+    } else if (op === "add" || op === "replace") {
+      parent[key] = copy(value);
+    } else {
+      throw new Error(`Unsupported JSON Patch operation: ${op}`);
+    }
+  }
+  return result;
+}
+
+/**
+ * Applies a list of changed paths generated by changedPaths to a document.
+ * The document is not modified, a copy is returned.
+ *
+ * @param {Object} document: The document
+ * @param {Array<Object>} changes: List of { path, old, new } entries
+ * @returns {Object} The patched document
+ */
+function applyChanges(document, changes) {
+  return applyPatch(
+    document,
+    changes.map(change => {
+      const path = toPointer(change.path === "" ? [] : change.path.split("."));
+      if (!change.hasOwnProperty("new")) {
+        return { op: "remove", path };
+      }
+      return {
+        op: change.hasOwnProperty("old") ? "replace" : "add",
+        path,
+        value: change.new
+      };
+    })
+  );
+}
+
+function toKey(container, key) {
+  return Array.isArray(container) && key !== "-" ? Number(key) : key;
+}
+
+function copy(value) {
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const key of Object.keys(value)) {
+      result[key] = copy(value[key]);
+    }
+    return result;
+  }
+  return value;
+}
+
+module.exports = {
+  isEqual,
+  jsonPatch,
+  changedPaths,
+  applyPatch,
+  applyChanges
+};
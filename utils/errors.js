@@ -0,0 +1,87 @@
+/**
+ * Translates the errors of the driver and of assert to the errors of the
+ * exceptions folder, so the services throw the same errors regardless of the
+ * MongoDB server version.
+ */
+const { AssertionError } = require("assert"),
+  DuplicateKeyError = require("../exceptions/DuplicateKeyError"),
+  InvalidArgumentError = require("../exceptions/InvalidArgumentError"),
+  WriteConflictError = require("../exceptions/WriteConflictError");
+
+const DUPLICATE_KEY_CODES = [11000, 11001],
+  WRITE_CONFLICT = 112;
+
+/**
+ * Rebuilds the key pattern of an index from its default name, like
+ * "owner_1_name_-1" => { owner: 1, name: -1 }. Returns null if the name does
+ * not follow the default format.
+ *
+ * @param {String} name: The index name
+ * @returns {Object}
+ */
+function keyPatternOf(name) {
+  if (name === "_id_") {
+    return { _id: 1 };
+  }
+  const keyPattern = {},
+    regex = /(.+?)_(-?1|2d|2dsphere|text|hashed)(?:_|$)/gy;
+  let match,
+    end = 0;
+  while ((match = regex.exec(name))) {
+    keyPattern[match[1]] = /^-?1$/.test(match[2]) ? Number(match[2]) : match[2];
+    end = regex.lastIndex;
+  }
+  return end === name.length && end > 0 ? keyPattern : null;
+}
+
+/**
+ * Builds a DuplicateKeyError from a driver error. MongoDB 4.2 and later report
+ * the keyPattern and the keyValue. For older versions the key pattern is taken
+ * from the index name of the message.
+ *
+ * @param {MongoError} error
+ * @returns {DuplicateKeyError}
+ */
+function toDuplicateKeyError(error) {
+  const message = error.errmsg || error.message || "",
+    index = / index: (\S+)/.exec(message),
+    keyPattern =
+      error.keyPattern || (index ? keyPatternOf(index[1]) : null) || null;
+  return new DuplicateKeyError(keyPattern, error.keyValue || null, message);
+}
+
+/**
+ * Translates an error. The errors that do not need a translation are returned
+ * as they are.
+ *
+ * @param {Error} error
+ * @returns {Error}
+ */
+function translateError(error) {
+  if (!error || typeof error !== "object") {
+    return error;
+  }
+  let translated;
+  if (error instanceof AssertionError) {
+    if (error instanceof InvalidArgumentError) {
+      return error;
+    }
+    translated = new InvalidArgumentError(error.message);
+  } else if (DUPLICATE_KEY_CODES.includes(error.code)) {
+    translated = toDuplicateKeyError(error);
+  } else if (error.code === WRITE_CONFLICT) {
+    translated = new WriteConflictError(error.message);
+  } else {
+    return error;
+  }
+  if (error.errorLabels) {
+    translated.errorLabels = error.errorLabels;
+  }
+  translated.cause = error;
+  return translated;
+}
+
+module.exports = {
+  keyPatternOf,
+  translateError
+};
@@ -0,0 +1,232 @@
+/**
+ * Compares declared index definitions with the indexes of a collection, as
+ * returned by listIndexes.
+ *
+ * The definitions use the format of the createIndexes command: a key and the
+ * index options (name, unique, sparse, partialFilterExpression,
+ * expireAfterSeconds, collation, weights, default_language and
+ * language_override). Indexes are matched by name, or by key when the
+ * existing index has a custom name, and are replaced when their options
+ * differ, except the TTL indexes whose expireAfterSeconds is the only change,
+ * which are modified in place with collMod. The _id index is never touched.
+ *
+ * https://docs.mongodb.com/manual/reference/command/createIndexes/
+ */
+const assert = require("assert"),
+  { isEqual } = require("./diff");
+
+const ID_INDEX = "_id_",
+  /* Options compared to detect a changed index, with their default values */
+  COMPARED_OPTIONS = {
+    unique: false,
+    sparse: false,
+    partialFilterExpression: undefined,
+    expireAfterSeconds: undefined
+  },
+  TEXT_DEFAULTS = {
+    default_language: "english",
+    language_override: "language"
+  };
+
+/**
+ * Returns the default name of an index, the same one MongoDB generates
+ *
+ * @param {Object} key: The index key, like { owner: 1, createdAt: -1 }
+ * @returns {String} Like "owner_1_createdAt_-1"
+ */
+function indexName(key) {
+  return Object.keys(key)
+    .map(field => `${field}_${key[field]}`)
+    .join("_");
+}
+
+function isText(key) {
+  return Object.keys(key).some(field => key[field] === "text");
+}
+
+/**
+ * Returns the key of an index as MongoDB stores it. The text fields of text
+ * indexes are stored as { _fts: "text", _ftsx: 1 } and listed in the weights
+ *
+ * @param {Object} key: The declared key
+ * @returns {Object}
+ */
+function storedKey(key) {
+  if (!isText(key)) {
+    return key;
+  }
+  const result = {};
+  for (const field of Object.keys(key)) {
+    if (key[field] !== "text") {
+      result[field] = key[field];
+    } else if (!result.hasOwnProperty("_fts")) {
+      result._fts = "text";
+      result._ftsx = 1;
+    }
+  }
+  return result;
+}
+
+function sameKey(a, b) {
+  return isEqual(Object.entries(a), Object.entries(b));
+}
+
+/**
+ * Validates the declared indexes and fills their default names
+ *
+ * @param {Array<Object>} indexes: The index definitions
+ * @returns {Array<Object>}
+ */
+function normalizeIndexes(indexes) {
+  assert(Array.isArray(indexes), "The indexes must be an array");
+  const names = new Set();
+  return indexes.map(index => {
+    assert(
+      index &&
+        typeof index.key === "object" &&
+        Object.keys(index.key).length > 0,
+      "Every index must have a non-empty key"
+    );
+    const name = index.name || indexName(index.key);
+    assert(
+      name !== ID_INDEX && !sameKey(index.key, { _id: 1 }),
+      "The _id index cannot be declared"
+    );
+    assert(!names.has(name), `The '${name}' index is declared twice`);
+    names.add(name);
+    return Object.assign({}, index, { name });
+  });
+}
+
+/**
+ * Returns the options of a declared index that differ from an existing one
+ *
+ * @param {Object} declared: The declared index
+ * @param {Object} existing: The index returned by listIndexes
+ * @returns {Array<String>} The names of the different options, "key" included
+ */
+function differences(declared, existing) {
+  const result = [];
+  if (!sameKey(storedKey(declared.key), existing.key)) {
+    result.push("key");
+  }
+  for (const option of Object.keys(COMPARED_OPTIONS)) {
+    const defaultValue = COMPARED_OPTIONS[option],
+      a = declared[option] === undefined ? defaultValue : declared[option],
+      b = existing[option] === undefined ? defaultValue : existing[option];
+    if (!isEqual(a, b)) {
+      result.push(option);
+    }
+  }
+  /* The server fills the collation defaults, so only the declared fields are compared */
+  const collation = declared.collation || {},
+    existingCollation = existing.collation || {};
+  if (
+    Object.keys(collation).some(
+      field => !isEqual(collation[field], existingCollation[field])
+    )
+  ) {
+    result.push("collation");
+  }
+  if (isText(declared.key)) {
+    const weights = {};
+    for (const field of Object.keys(declared.key)) {
+      if (declared.key[field] === "text") {
+        weights[field] = 1;
+      }
+    }
+    if (!isEqual(Object.assign(weights, declared.weights), existing.weights)) {
+      result.push("weights");
+    }
+    for (const option of Object.keys(TEXT_DEFAULTS)) {
+      if ((declared[option] || TEXT_DEFAULTS[option]) !== existing[option]) {
+        result.push(option);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Plans the operations that make the indexes of a collection match the
+ * declared ones
+ *
+ * @param {Array<Object>} declared: The declared indexes, see normalizeIndexes
+ * @param {Array<Object>} existing: The indexes returned by listIndexes
+ * @param {Object} [options={}]:
+ * @param {boolean} [options.dropUnknown=false]: If true, the undeclared indexes are dropped
+ * @returns {Object} { create, replace, modify, drop, unknown, unchanged, inSync }. create, drop,
+ * unknown and unchanged hold index names. replace holds { name, existingName, changes } entries, where
+ * changes are the different options; those indexes are dropped and created again. modify holds
+ * { name, expireAfterSeconds } entries of the TTL indexes that only need a new expireAfterSeconds
+ */
+function planIndexes(declared, existing, options = {}) {
+  const plan = {
+      create: [],
+      replace: [],
+      modify: [],
+      drop: [],
+      unknown: [],
+      unchanged: []
+    },
+    matched = new Set();
+  for (const index of declared) {
+    const current =
+      existing.find(other => other.name === index.name) ||
+      existing.find(
+        other =>
+          other.name !== ID_INDEX &&
+          !declared.some(item => item.name === other.name) &&
+          sameKey(storedKey(index.key), other.key)
+      );
+    if (!current) {
+      plan.create.push(index.name);
+      continue;
+    }
+    matched.add(current.name);
+    const changes = differences(index, current);
+    if (current.name !== index.name) {
+      changes.push("name");
+    }
+    if (changes.length === 0) {
+      plan.unchanged.push(index.name);
+    } else if (
+      changes.length === 1 &&
+      changes[0] === "expireAfterSeconds" &&
+      index.expireAfterSeconds !== undefined &&
+      current.expireAfterSeconds !== undefined
+    ) {
+      /* collMod can only change the expiration of an index that already is a TTL index */
+      plan.modify.push({
+        name: index.name,
+        expireAfterSeconds: index.expireAfterSeconds
+      });
+    } else {
+      plan.replace.push({
+        name: index.name,
+        existingName: current.name,
+        changes
+      });
+    }
+  }
+  for (const index of existing) {
+    if (index.name !== ID_INDEX && !matched.has(index.name)) {
+      plan.unknown.push(index.name);
+    }
+  }
+  if (options.dropUnknown) {
+    plan.drop = plan.unknown.slice();
+  }
+  plan.inSync =
+    plan.create.length === 0 &&
+    plan.replace.length === 0 &&
+    plan.modify.length === 0 &&
+    plan.unknown.length === 0;
+  return plan;
+}
+
+module.exports = {
+  indexName,
+  normalizeIndexes,
+  planIndexes
+};
@@ -0,0 +1,450 @@
+const { ObjectId } = require("mongodb");
+
+/**
+ * A small validator for a subset of JSON Schema draft-07.
+ *
+ * Supported keywords: type, bsonType, enum, const, properties, required,
+ * additionalProperties, patternProperties, items, minItems, maxItems,
+ * uniqueItems, minLength, maxLength, pattern, format (date-time, email),
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, allOf,
+ * anyOf, oneOf and not.
+ *
+ * The _id field is always allowed, even when additionalProperties is false,
+ * because MongoDB adds it to documents and subdocuments.
+ */
+
+const MONGO_UNSUPPORTED_KEYWORDS = [
+  "$schema",
+  "$id",
+  "$ref",
+  "definitions",
+  "default",
+  "examples",
+  "format",
+  "const"
+];
+
+const FORMATS = {
+  "date-time": value => !isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof ObjectId) &&
+    !(value instanceof RegExp)
+  );
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : `${key}`;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "boolean":
+      return typeof value === "boolean";
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return isPlainObject(value);
+    default:
+      return false;
+  }
+}
+
+function matchesBsonType(type, value) {
+  switch (type) {
+    case "objectId":
+      return value instanceof ObjectId;
+    case "date":
+      return value instanceof Date;
+    case "bool":
+      return typeof value === "boolean";
+    case "int":
+    case "long":
+      return Number.isInteger(value);
+    case "double":
+    case "decimal":
+      return typeof value === "number";
+    case "regex":
+      return value instanceof RegExp;
+    default:
+      return matchesType(type, value);
+  }
+}
+
+function isEqual(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return String(a) === String(b);
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every(key => isEqual(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {Object} schema: JSON Schema
+ * @param {*} value: The value to be validated
+ * @param {String} [path=""]: Path of the value, used in the error list
+ * @returns {Array<{path: String, message: String}>} The validation errors
+ */
+function validate(schema, value, path = "") {
+  const errors = [];
+  if (schema === true || schema === undefined) {
+    return errors;
+  }
+  if (schema === false) {
+    errors.push({ path, message: "is not allowed" });
+    return errors;
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      errors.push({ path, message: `must be of type ${types.join(", ")}` });
+      return errors;
+    }
+  }
+
+  if (schema.bsonType !== undefined) {
+    const types = [].concat(schema.bsonType);
+    if (!types.some(type => matchesBsonType(type, value))) {
+      errors.push({ path, message: `must be of bsonType ${types.join(", ")}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(item => isEqual(item, value))) {
+    errors.push({
+      path,
+      message: `must be one of ${JSON.stringify(schema.enum)}`
+    });
+  }
+
+  if (schema.hasOwnProperty("const") && !isEqual(schema.const, value)) {
+    errors.push({
+      path,
+      message: `must be equal to ${JSON.stringify(schema.const)}`
+    });
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({
+        path,
+        message: `must have at least ${schema.minLength} characters`
+      });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({
+        path,
+        message: `must have at most ${schema.maxLength} characters`
+      });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    if (
+      schema.format &&
+      FORMATS[schema.format] &&
+      !FORMATS[schema.format](value)
+    ) {
+      errors.push({ path, message: `must be a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+    }
+    if (
+      schema.multipleOf !== undefined &&
+      !Number.isInteger(value / schema.multipleOf)
+    ) {
+      errors.push({
+        path,
+        message: `must be a multiple of ${schema.multipleOf}`
+      });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({
+        path,
+        message: `must have at least ${schema.minItems} items`
+      });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({
+        path,
+        message: `must have at most ${schema.maxItems} items`
+      });
+    }
+    if (
+      schema.uniqueItems &&
+      value.some(
+        (item, i) => value.findIndex(other => isEqual(item, other)) !== i
+      )
+    ) {
+      errors.push({ path, message: "must not have duplicated items" });
+    }
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, i) => {
+        if (i < value.length) {
+          errors.push(...validate(itemSchema, value[i], joinPath(path, i)));
+        }
+      });
+    } else if (schema.items !== undefined) {
+      value.forEach((item, i) => {
+        errors.push(...validate(schema.items, item, joinPath(path, i)));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: "is required" });
+      }
+    }
+    for (const key in value) {
+      if (!value.hasOwnProperty(key) || value[key] === undefined) {
+        continue;
+      }
+      errors.push(
+        ...validate(
+          propertySchema(schema, key),
+          value[key],
+          joinPath(path, key)
+        )
+      );
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validate(subschema, value, path));
+    }
+  }
+
+  if (schema.anyOf) {
+    if (!schema.anyOf.some(sub => validate(sub, value, path).length === 0)) {
+      errors.push({ path, message: "must match at least one schema in anyOf" });
+    }
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      sub => validate(sub, value, path).length === 0
+    ).length;
+    if (matches !== 1) {
+      errors.push({ path, message: "must match exactly one schema in oneOf" });
+    }
+  }
+
+  if (schema.not && validate(schema.not, value, path).length === 0) {
+    errors.push({ path, message: "must NOT match the schema in not" });
+  }
+
+  return errors;
+}
+
+/**
+ * Returns the schema that applies to a property of an object schema. Returns
+ * false if the property is not allowed, and undefined if it is unconstrained.
+ *
+ * @param {Object} schema: JSON Schema of an object
+ * @param {String} key: The property name
+ */
+function propertySchema(schema, key) {
+  if (typeof schema !== "object") {
+    return schema;
+  }
+  if (schema.properties && schema.properties.hasOwnProperty(key)) {
+    return schema.properties[key];
+  }
+  for (const pattern in schema.patternProperties || {}) {
+    if (new RegExp(pattern).test(key)) {
+      return schema.patternProperties[pattern];
+    }
+  }
+  if (key === "_id") {
+    return undefined;
+  }
+  return schema.additionalProperties;
+}
+
+/**
+ * Resolves the schema that applies to a MongoDB dot notation path. Numeric
+ * segments and the positional operators ($, $[] and $[identifier]) resolve to
+ * the items schema of an array.
+ *
+ * @param {Object} schema: JSON Schema
+ * @param {String} path: MongoDB dot notation path, for example "likes.$.name"
+ */
+function schemaAtPath(schema, path) {
+  let current = schema;
+  for (const segment of path.split(".")) {
+    if (current === undefined || current === true || current === false) {
+      return current;
+    }
+    const isIndex = /^(\d+|\$|\$\[\w*\])$/.test(segment);
+    if (isIndex && current.items !== undefined) {
+      current = Array.isArray(current.items)
+        ? /^\d+$/.test(segment)
+          ? current.items[Number(segment)]
+          : undefined
+        : current.items;
+    } else {
+      current = propertySchema(current, segment);
+    }
+  }
+  return current;
+}
+
+/**
+ * Validates only the given fields of a document. Keys can use MongoDB dot
+ * notation. Required fields that are not present are ignored.
+ *
+ * @param {Object} schema: JSON Schema
+ * @param {Object} fields: The fields to be validated, for example a $set payload
+ */
+function validatePartial(schema, fields) {
+  const errors = [];
+  for (const key in fields) {
+    /* Nested objects are replaced as a whole, so their values are fully validated */
+    if (fields.hasOwnProperty(key) && fields[key] !== undefined) {
+      errors.push(...validate(schemaAtPath(schema, key), fields[key], key));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates the items pushed to arrays, for example a $push payload. Supports
+ * the $each modifier.
+ *
+ * @param {Object} schema: JSON Schema
+ * @param {Object} fields: Object whose keys are array paths and values are the new items
+ */
+function validateArrayItems(schema, fields) {
+  const errors = [];
+  for (const key in fields) {
+    if (fields.hasOwnProperty(key)) {
+      const arraySchema = schemaAtPath(schema, key),
+        itemSchema =
+          arraySchema && typeof arraySchema === "object"
+            ? arraySchema.items
+            : arraySchema,
+        value = fields[key],
+        items = isPlainObject(value) && value.$each ? value.$each : [value];
+      items.forEach(item => {
+        errors.push(...validate(itemSchema, item, key));
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Converts a schema to the dialect accepted by the MongoDB $jsonSchema
+ * operator, removing the unsupported keywords and translating the integer type.
+ * The object schemas that forbid additional properties list the _id field, so
+ * the server accepts it like validate does.
+ *
+ * @param {Object} schema: JSON Schema
+ * @param {Object} [properties={}]: Extra property schemas of the root object, like the fields
+ * stamped by the service
+ */
+function toMongoJsonSchema(schema, properties = {}) {
+  if (Array.isArray(schema)) {
+    return schema.map(item => toMongoJsonSchema(item));
+  }
+  if (!isPlainObject(schema)) {
+    return schema;
+  }
+  const result = {};
+  if (schema.additionalProperties === false || Object.keys(properties).length) {
+    result.properties = Object.assign({ _id: {} }, properties);
+  }
+  for (const key in schema) {
+    if (
+      !schema.hasOwnProperty(key) ||
+      MONGO_UNSUPPORTED_KEYWORDS.includes(key)
+    ) {
+      continue;
+    }
+    if (key === "properties") {
+      result.properties = Object.assign({}, result.properties);
+      for (const property of Object.keys(schema.properties)) {
+        result.properties[property] = toMongoJsonSchema(
+          schema.properties[property]
+        );
+      }
+      continue;
+    }
+    if (key === "type" && [].concat(schema.type).includes("integer")) {
+      const types = [].concat(schema.type).filter(type => type !== "integer");
+      if (types.length === 0) {
+        result.bsonType = ["int", "long"];
+      } else {
+        result.bsonType = types
+          .map(type => (type === "boolean" ? "bool" : type))
+          .concat(["int", "long"]);
+      }
+      continue;
+    }
+    result[key] = toMongoJsonSchema(schema[key]);
+  }
+  return result;
+}
+
+module.exports = {
+  validate,
+  validatePartial,
+  validateArrayItems,
+  schemaAtPath,
+  toMongoJsonSchema
+};
@@ -0,0 +1,305 @@
+const assert = require("assert"),
+  { ObjectId } = require("mongodb"),
+  QueryStringError = require("../exceptions/QueryStringError");
+
+/**
+ * Translates REST query strings to the arguments of GenericCrudService.list.
+ *
+ * Filters use the field[operator]=value syntax, and field=value is a shortcut
+ * of field[eq]=value. The in and nin operators take comma separated values.
+ * The reserved parameters are:
+ *
+ * - sort: comma separated fields, descending when prefixed with "-"
+ * - fields: comma separated fields of the projection
+ * - page and limit: the page (starting at 1) and its size
+ *
+ * Only the whitelisted fields can be filtered and sorted, and their values
+ * are coerced to the type of the field.
+ */
+
+const OPERATORS = {
+  eq: "$eq",
+  ne: "$ne",
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+  in: "$in",
+  nin: "$nin",
+  like: "$regex",
+  exists: "$exists"
+};
+
+const TYPE_OPERATORS = {
+  string: ["eq", "ne", "in", "nin", "like", "exists"],
+  number: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "exists"],
+  date: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "exists"],
+  boolean: ["eq", "ne", "exists"],
+  objectId: ["eq", "ne", "in", "nin", "exists"],
+  auto: Object.keys(OPERATORS)
+};
+
+const COERCERS = {
+  string: value => value,
+  number: value => {
+    const number = Number(value);
+    if (value.trim() === "" || !Number.isFinite(number)) {
+      throw new Error("is not a number");
+    }
+    return number;
+  },
+  boolean: value => {
+    if (value !== "true" && value !== "false") {
+      throw new Error("is not a boolean");
+    }
+    return value === "true";
+  },
+  date: value => {
+    const date = /^-?\d+$/.test(value)
+      ? new Date(Number(value))
+      : new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error("is not a date");
+    }
+    return date;
+  },
+  objectId: value => {
+    if (!/^[0-9a-fA-F]{24}$/.test(value)) {
+      throw new Error("is not an ObjectId");
+    }
+    return new ObjectId(value);
+  },
+  auto: value => {
+    if (value === "true" || value === "false") {
+      return value === "true";
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+      return Number(value);
+    }
+    if (/^[0-9a-fA-F]{24}$/.test(value)) {
+      return new ObjectId(value);
+    }
+    if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(value)) {
+      return new Date(value);
+    }
+    return value;
+  }
+};
+
+/**
+ * Returns the [key, value] pairs of a query string, a URLSearchParams or an
+ * object parsed by a framework (like the query of Express, where
+ * "age[gte]=3" is parsed as { age: { gte: "3" } })
+ */
+function entries(input) {
+  if (typeof input === "string") {
+    return Array.from(new URLSearchParams(input.replace(/^\?/, "")));
+  }
+  if (input instanceof URLSearchParams) {
+    return Array.from(input);
+  }
+  const result = [];
+  for (const key of Object.keys(input || {})) {
+    const value = input[key];
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      for (const operator of Object.keys(value)) {
+        for (const item of [].concat(value[operator])) {
+          result.push([`${key}[${operator}]`, item]);
+        }
+      }
+    } else {
+      for (const item of [].concat(value)) {
+        result.push([key, item]);
+      }
+    }
+  }
+  return result;
+}
+
+function fieldOptions(filterable, field) {
+  const options = Array.isArray(filterable)
+    ? filterable.includes(field) && "auto"
+    : filterable.hasOwnProperty(field) && filterable[field];
+  if (!options) {
+    return null;
+  }
+  const type = typeof options === "string" ? options : options.type || "auto";
+  assert(
+    TYPE_OPERATORS.hasOwnProperty(type),
+    `The type of the '${field}' field is not valid: ${type}`
+  );
+  return {
+    type,
+    operators: options.operators || TYPE_OPERATORS[type]
+  };
+}
+
+function coerce(type, value, parameter) {
+  try {
+    return COERCERS[type](String(value));
+  } catch (error) {
+    throw new QueryStringError(
+      `The value of '${parameter}' ${error.message}: ${value}`,
+      parameter
+    );
+  }
+}
+
+function positiveInteger(value, parameter) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new QueryStringError(
+      `The value of '${parameter}' must be a positive integer: ${value}`,
+      parameter
+    );
+  }
+  return number;
+}
+
+function list(value) {
+  return String(value)
+    .split(",")
+    .map(item => item.trim())
+    .filter(item => item !== "");
+}
+
+/**
+ * Parses a query string
+ *
+ * @param {String|URLSearchParams|Object} input: The query string, with or without the leading "?",
+ * or its parameters
+ * @param {Object} [options={}]:
+ * @param {Object|Array<String>} [options.filterable={}]: The fields that can be filtered. Either an
+ * array of fields, whose values are coerced by their appearance, or an object whose keys are the
+ * fields and whose values are their type ("string", "number", "boolean", "date", "objectId" or
+ * "auto") or { type, operators } to restrict the operators
+ * @param {Array<String>} [options.sortable=[]]: The fields that can be sorted
+ * @param {Array<String>} [options.selectable]: The fields that can be projected. By default, any field
+ * @param {Number} [options.defaultLimit=20]: The page size when there is no limit parameter
+ * @param {Number} [options.maxLimit=100]: The maximum accepted limit
+ * @returns {{query: Object, limit: Number, skip: Number, sort: Object, projection: Object}}
+ * @throws {QueryStringError} If a parameter is not allowed or its value is not valid
+ */
+function parse(input, options = {}) {
+  const {
+      filterable = {},
+      sortable = [],
+      selectable,
+      defaultLimit = 20,
+      maxLimit = 100
+    } = options,
+    query = {},
+    seen = new Set();
+  let sort, projection, page, limit;
+
+  for (const [parameter, value] of entries(input)) {
+    if (seen.has(parameter)) {
+      throw new QueryStringError(
+        `The '${parameter}' parameter is duplicated`,
+        parameter
+      );
+    }
+    seen.add(parameter);
+    if (parameter === "sort") {
+      sort = {};
+      for (const item of list(value)) {
+        const field = item.replace(/^[-+]/, "");
+        if (!sortable.includes(field)) {
+          throw new QueryStringError(
+            `The '${field}' field cannot be sorted`,
+            parameter
+          );
+        }
+        sort[field] = item.startsWith("-") ? -1 : 1;
+      }
+    } else if (parameter === "fields") {
+      projection = {};
+      for (const field of list(value)) {
+        if (selectable && !selectable.includes(field)) {
+          throw new QueryStringError(
+            `The '${field}' field cannot be selected`,
+            parameter
+          );
+        }
+        projection[field] = 1;
+      }
+    } else if (parameter === "page") {
+      page = positiveInteger(value, parameter);
+    } else if (parameter === "limit") {
+      limit = positiveInteger(value, parameter);
+      if (limit > maxLimit) {
+        throw new QueryStringError(
+          `The value of 'limit' must not be greater than ${maxLimit}`,
+          parameter
+        );
+      }
+    } else {
+      const match = /^([^[\]]+)(?:\[([^[\]]+)\])?$/.exec(parameter);
+      if (!match) {
+        throw new QueryStringError(
+          `The '${parameter}' parameter is not valid`,
+          parameter
+        );
+      }
+      const [, field, operator = "eq"] = match,
+        config = fieldOptions(filterable, field);
+      if (!config) {
+        throw new QueryStringError(
+          `The '${field}' field cannot be filtered`,
+          parameter
+        );
+      }
+      if (
+        !OPERATORS.hasOwnProperty(operator) ||
+        !config.operators.includes(operator)
+      ) {
+        throw new QueryStringError(
+          `The '${operator}' operator is not allowed for the '${field}' field. Allowed operators: ${config.operators.join(
+            ", "
+          )}`,
+          parameter
+        );
+      }
+      let condition;
+      if (operator === "in" || operator === "nin") {
+        condition = list(value).map(item =>
+          coerce(config.type, item, parameter)
+        );
+      } else if (operator === "exists") {
+        condition = coerce("boolean", value, parameter);
+      } else if (operator === "like") {
+        condition = new RegExp(
+          String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+          "i"
+        );
+      } else {
+        condition = coerce(config.type, value, parameter);
+      }
+      if (!query.hasOwnProperty(field)) {
+        query[field] = {};
+      }
+      query[field][OPERATORS[operator]] = condition;
+    }
+  }
+
+  /* { $eq: value } is written as value, so the queries look as usual */
+  for (const field of Object.keys(query)) {
+    const conditions = Object.keys(query[field]);
+    if (conditions.length === 1 && conditions[0] === "$eq") {
+      query[field] = query[field].$eq;
+    }
+  }
+  limit = limit || defaultLimit;
+  return {
+    query,
+    limit,
+    skip: ((page || 1) - 1) * limit,
+    sort,
+    projection
+  };
+}
+
+module.exports = {
+  OPERATORS,
+  parse
+};
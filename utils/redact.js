@@ -0,0 +1,182 @@
+const assert = require("assert"),
+  crypto = require("crypto");
+
+/**
+ * Redaction of sensitive fields.
+ *
+ * The rules are an object whose keys are dot notation paths and whose values
+ * are the actions applied to the matched fields:
+ *
+ * - "drop": the field is removed
+ * - "mask": the value is replaced by "****"
+ * - "hash": the value is replaced by its HMAC-SHA256 (hex), using a key
+ *
+ * Paths traverse arrays implicitly like MongoDB queries, so "cards.number"
+ * matches the number of every item of the cards array. Array indexes can also
+ * be used explicitly ("cards.0.number"). In a segment, "*" matches any
+ * characters ("*Token" matches "accessToken"), and a "**" segment matches any
+ * number of segments ("**.password" matches a password at any depth).
+ */
+
+const ACTIONS = ["drop", "mask", "hash"],
+  MASK = "****",
+  DROP = Symbol("drop");
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof RegExp) &&
+    !value._bsontype
+  );
+}
+
+function segmentPattern(segment) {
+  if (segment === "**") {
+    return segment;
+  }
+  const source = segment
+    .split("*")
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validates and compiles the redaction rules
+ *
+ * @param {Object} [rules={}]: Object whose keys are paths and values are actions
+ * @param {String} [key]: The HMAC key. Required if a rule uses the hash action
+ * @returns {Array<{path: String, segments: Array, action: String}>}
+ */
+function compileRules(rules = {}, key) {
+  return Object.keys(rules).map(path => {
+    const action = rules[path];
+    assert(
+      ACTIONS.includes(action),
+      `The redaction action of '${path}' must be one of ${ACTIONS.join(", ")}`
+    );
+    assert(
+      action !== "hash" || key,
+      "A redaction key is required to hash fields"
+    );
+    return { path, segments: path.split(".").map(segmentPattern), action };
+  });
+}
+
+/**
+ * Checks if the path of a field is matched by the segments of a rule. Array
+ * indexes in the field path can be skipped by the rule.
+ *
+ * @param {Array} segments: The compiled segments of a rule
+ * @param {Array<{key: String, isIndex: boolean}>} path: The path of the field
+ */
+function matches(segments, path, i = 0, j = 0) {
+  if (i === segments.length) {
+    return j === path.length;
+  }
+  if (segments[i] === "**") {
+    return (
+      matches(segments, path, i + 1, j) ||
+      (j < path.length && matches(segments, path, i, j + 1))
+    );
+  }
+  if (j === path.length) {
+    return false;
+  }
+  if (segments[i].test(path[j].key) && matches(segments, path, i + 1, j + 1)) {
+    return true;
+  }
+  return path[j].isIndex && matches(segments, path, i, j + 1);
+}
+
+function applyAction(action, value, key) {
+  if (action === "drop") {
+    return DROP;
+  }
+  if (action === "mask") {
+    return MASK;
+  }
+  return crypto
+    .createHmac("sha256", key)
+    .update(typeof value === "string" ? value : JSON.stringify(value))
+    .digest("hex");
+}
+
+function redactValue(value, rules, key, path) {
+  const rule =
+    path.length > 0 && rules.find(rule => matches(rule.segments, path));
+  if (rule) {
+    return applyAction(rule.action, value, key);
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map((item, i) =>
+        redactValue(
+          item,
+          rules,
+          key,
+          path.concat({ key: `${i}`, isIndex: true })
+        )
+      )
+      .filter(item => item !== DROP);
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const field of Object.keys(value)) {
+      const redacted = redactValue(
+        value[field],
+        rules,
+        key,
+        path.concat({ key: field, isIndex: false })
+      );
+      if (redacted !== DROP) {
+        result[field] = redacted;
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Returns a copy of a value with the sensitive fields redacted. The value is
+ * not modified.
+ *
+ * @param {*} value: The document, subdocument or user to be redacted
+ * @param {Array<Object>} rules: Rules compiled with compileRules
+ * @param {Object} [options={}]:
+ * @param {String} [options.key]: The HMAC key used by the hash action
+ * @param {String} [options.path]: Dot notation path of the value in the document,
+ * for example the array field of a subdocument. The value is treated as an array item
+ */
+function redact(value, rules, options = {}) {
+  if (rules.length === 0) {
+    return value;
+  }
+  const path = options.path
+    ? options.path
+        .split(".")
+        .map(key => ({ key, isIndex: false }))
+        .concat({ key: "", isIndex: true })
+    : [];
+  /* If a parent of the value is sensitive, the whole value is */
+  for (let length = 1; length <= path.length; length++) {
+    const parentPath = path.slice(0, length),
+      rule = rules.find(rule => matches(rule.segments, parentPath));
+    if (rule) {
+      const result = applyAction(rule.action, value, options.key);
+      return result === DROP ? undefined : result;
+    }
+  }
+  const result = redactValue(value, rules, options.key, path);
+  return result === DROP ? undefined : result;
+}
+
+module.exports = {
+  MASK,
+  compileRules,
+  redact
+};
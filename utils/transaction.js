@@ -0,0 +1,118 @@
+/**
+ * Helpers for running MongoDB transactions. Transactions require MongoDB 4.0
+ * replica sets or MongoDB 4.2 sharded clusters.
+ *
+ * https://docs.mongodb.com/manual/core/transactions/
+ */
+
+/* Same limit used by the official drivers before giving up on retrying */
+const MAX_TRANSACTION_RETRY_TIME = 120000,
+  NAMESPACE_EXISTS = 48;
+
+function hasErrorLabel(error, label) {
+  return Boolean(
+    error &&
+      Array.isArray(error.errorLabels) &&
+      error.errorLabels.includes(label)
+  );
+}
+
+/**
+ * Runs a function inside a transaction, retrying it while MongoDB reports
+ * transient errors. The transaction is committed when the function resolves
+ * and aborted when it throws.
+ *
+ * @param {MongoClient} client: A connected MongoClient instance
+ * @param {Function} fn: async (session) => result
+ * @param {Object} [options={}]: Transaction options (readConcern, writeConcern, readPreference)
+ * @returns {*} The value returned by fn
+ */
+async function runTransaction(client, fn, options = {}) {
+  const session = client.startSession(),
+    startTime = Date.now(),
+    canRetry = () => Date.now() - startTime < MAX_TRANSACTION_RETRY_TIME;
+  try {
+    for (;;) {
+      session.startTransaction(options);
+      let result;
+      try {
+        result = await fn(session);
+      } catch (error) {
+        if (session.inTransaction()) {
+          await session.abortTransaction();
+        }
+        if (hasErrorLabel(error, "TransientTransactionError") && canRetry()) {
+          continue;
+        }
+        throw error;
+      }
+
+      /* Breaking out of this loop retries the whole transaction */
+      for (;;) {
+        try {
+          await session.commitTransaction();
+          return result;
+        } catch (error) {
+          if (
+            hasErrorLabel(error, "UnknownTransactionCommitResult") &&
+            canRetry()
+          ) {
+            continue;
+          }
+          if (hasErrorLabel(error, "TransientTransactionError") && canRetry()) {
+            break;
+          }
+          throw error;
+        }
+      }
+    }
+  } finally {
+    session.endSession();
+  }
+}
+
+/**
+ * Checks if the deployment a client is connected to supports transactions
+ *
+ * @param {Db} database: A database of the connected client
+ * @returns {boolean}
+ */
+async function supportsTransactions(database) {
+  const info = await database.admin().command({ isMaster: 1 });
+  if (info.logicalSessionTimeoutMinutes === undefined) {
+    return false;
+  }
+  if (info.setName) {
+    return info.maxWireVersion >= 7;
+  }
+  if (info.msg === "isdbgrid") {
+    return info.maxWireVersion >= 8;
+  }
+  return false;
+}
+
+/**
+ * Creates a collection if it does not exist. MongoDB 4.0 and 4.2 cannot
+ * create collections inside a transaction, so the collections written in
+ * transactions have to be created before.
+ *
+ * @param {Db} database: A database of the connected client
+ * @param {String} name: The collection name
+ */
+async function ensureCollection(database, name) {
+  try {
+    await database.createCollection(name);
+  } catch (error) {
+    /* Another client created it between the check and the creation */
+    if (error.code !== NAMESPACE_EXISTS) {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  ensureCollection,
+  hasErrorLabel,
+  runTransaction,
+  supportsTransactions
+};